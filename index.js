@@ -11,14 +11,24 @@ configDotenv();
 const logger = require('./src/config/logger');
 const db = require('./src/config/database');
 const { globalErrorHandler, AppError } = require('./src/utils/responseHandler');
+const emailWorker = require('./src/workers/emailWorker');
+const scheduler = require('./src/workers/scheduler');
 
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
 const emailRoutes = require('./src/routes/emailRoutes');
+const organizationRoutes = require('./src/routes/organizationRoutes');
+const contactRoutes = require('./src/routes/contactRoutes');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, trust its X-Forwarded-For so rate limits see the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, 'logs');
 if (!fs.existsSync(logsDir)) {
@@ -53,6 +63,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/email', emailRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -85,6 +97,10 @@ const startServer = async () => {
     // Setup database tables
     await db.setupDatabase();
 
+    // Start draining the email send queue and releasing scheduled sends
+    await emailWorker.start();
+    await scheduler.start();
+
     // Start listening for requests
     const server = app.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
@@ -98,6 +114,16 @@ const startServer = async () => {
       server.close(() => process.exit(1));
     });
 
+    // Let in-flight sends finish before shutting down
+    const shutdown = async (signal) => {
+      logger.info(`${signal} received. Shutting down gracefully...`);
+      scheduler.stop();
+      await emailWorker.stop();
+      server.close(() => process.exit(0));
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
   } catch (error) {
     logger.error(`Failed to start server: ${error.message}`);
     process.exit(1);
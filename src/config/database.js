@@ -1,6 +1,7 @@
 const logger = require('./logger');
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
 
 // Create database directory if it doesn't exist
@@ -93,6 +94,8 @@ const query = async (sql, params = []) => {
     sqliteSql = sqliteSql.replace(enumRegex, 'TEXT');
   }
 
+  await waitForTransactions();
+
   try {
     // For SELECT queries
     if (sqliteSql.trim().toUpperCase().startsWith('SELECT')) {
@@ -109,105 +112,230 @@ const query = async (sql, params = []) => {
 };
 
 // Execute transaction
-const transaction = async (callback) => {
-  try {
-    await runAsync('BEGIN TRANSACTION');
-    const result = await callback(db);
-    await runAsync('COMMIT');
-    return result;
-  } catch (error) {
-    await runAsync('ROLLBACK');
-    logger.error(`Transaction error: ${error.message}`);
-    throw error;
+// All queries share one connection, so transactions are run one at a time and queries from
+// outside the open transaction wait for it to finish (see query), otherwise they would run inside
+// it and be undone by its ROLLBACK. A transaction started from inside another one's callback
+// joins the outer transaction instead.
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let transactionOpen = false;
+
+// Wait until no transaction is open, unless the caller is part of it
+const waitForTransactions = async () => {
+  if (transactionContext.getStore()) {
+    return;
+  }
+
+  while (transactionOpen) {
+    await transactionQueue;
   }
 };
 
-// Load SQL file and execute it
-const executeSqlFile = async (filePath) => {
-  try {
-    const sqlContent = fs
-      .readFileSync(filePath, 'utf8')
-      .replace(/`/g, '"') // Replace backticks with double quotes
-      .replace(/AUTO_INCREMENT/g, 'AUTOINCREMENT') // Fix autoincrement syntax
-      .replace(/CURRENT_TIMESTAMP/g, "datetime('now')") // Fix timestamp
-      .replace(/JSON/g, 'TEXT'); // Handle MySQL JSON data type
-
-    // Split by semicolons but ignore semicolons in quotes or parentheses
-    const statements = [];
-    let currentStmt = '';
-    let inQuote = false;
-    let quoteChar = '';
-    let depth = 0;
-
-    for (let i = 0; i < sqlContent.length; i++) {
-      const char = sqlContent[i];
-
-      if ((char === "'" || char === '"') && (i === 0 || sqlContent[i - 1] !== '\\')) {
-        if (!inQuote) {
-          inQuote = true;
-          quoteChar = char;
-        } else if (char === quoteChar) {
-          inQuote = false;
-        }
-      } else if (char === '(' && !inQuote) {
-        depth++;
-      } else if (char === ')' && !inQuote) {
-        depth--;
-      } else if (char === ';' && !inQuote && depth === 0) {
-        currentStmt = currentStmt.trim();
-        if (currentStmt) {
-          statements.push(currentStmt);
-        }
-        currentStmt = '';
-        continue;
+const transaction = async (callback) => {
+  if (transactionContext.getStore()) {
+    return callback(db);
+  }
+
+  const run = () =>
+    transactionContext.run(true, async () => {
+      transactionOpen = true;
+      try {
+        await runAsync('BEGIN TRANSACTION');
+        const result = await callback(db);
+        await runAsync('COMMIT');
+        return result;
+      } catch (error) {
+        await runAsync('ROLLBACK');
+        logger.error(`Transaction error: ${error.message}`);
+        throw error;
+      } finally {
+        transactionOpen = false;
       }
+    });
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
+};
 
-      currentStmt += char;
+// Split a SQL script into statements, ignoring semicolons in quotes or parentheses
+const splitSqlStatements = (sqlContent) => {
+  // Drop full-line comments so they don't swallow the statement that follows them
+  const content = sqlContent
+    .split('\n')
+    .filter((line) => !line.trim().startsWith('--'))
+    .join('\n');
+
+  const statements = [];
+  let currentStmt = '';
+  let inQuote = false;
+  let quoteChar = '';
+  let depth = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if ((char === "'" || char === '"') && (i === 0 || content[i - 1] !== '\\')) {
+      if (!inQuote) {
+        inQuote = true;
+        quoteChar = char;
+      } else if (char === quoteChar) {
+        inQuote = false;
+      }
+    } else if (char === '(' && !inQuote) {
+      depth++;
+    } else if (char === ')' && !inQuote) {
+      depth--;
+    } else if (char === ';' && !inQuote && depth === 0) {
+      currentStmt = currentStmt.trim();
+      if (currentStmt) {
+        statements.push(currentStmt);
+      }
+      currentStmt = '';
+      continue;
     }
 
-    // Add the last statement if it exists
-    currentStmt = currentStmt.trim();
-    if (currentStmt) {
-      statements.push(currentStmt);
+    currentStmt += char;
+  }
+
+  // Add the last statement if it exists
+  currentStmt = currentStmt.trim();
+  if (currentStmt) {
+    statements.push(currentStmt);
+  }
+
+  return statements;
+};
+
+/*
+ * Schema migrations
+ *
+ * Every file in src/db/migrations is named `<version>_<name>.sql` and holds an
+ * `-- migrate:up` section and a `-- migrate:down` section written in SQLite
+ * syntax. Applied versions are recorded in the schema_migrations table so each
+ * migration runs exactly once per database, in version order.
+ */
+const migrationsDir = path.join(__dirname, '../db/migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.sql$/;
+
+// Parse a migration file into its up and down statements
+const parseMigration = (content) => {
+  const sections = { up: [], down: [] };
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    const marker = line.trim().match(/^--\s*migrate:(up|down)\s*$/i);
+    if (marker) {
+      current = marker[1].toLowerCase();
+      continue;
+    }
+    if (current) {
+      sections[current].push(line);
     }
+  }
 
-    // Execute each statement
-    for (const statement of statements) {
-      // Skip empty statements and comments
-      if (!statement.trim() || statement.trim().startsWith('--')) {
-        continue;
-      }
+  return {
+    up: splitSqlStatements(sections.up.join('\n')),
+    down: splitSqlStatements(sections.down.join('\n')),
+  };
+};
+
+// Load all migration files sorted by version
+const loadMigrations = () => {
+  if (!fs.existsSync(migrationsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(migrationsDir)
+    .map((file) => ({ file, match: file.match(MIGRATION_FILE_REGEX) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: match[1],
+      name: match[2],
+      file: path.join(migrationsDir, file),
+    }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const ensureMigrationsTable = async () => {
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
 
-      // Handle ENUM types
-      let stmt = statement;
-      const enumRegex = /ENUM\(([^)]+)\)/g;
-      if (enumRegex.test(stmt)) {
-        stmt = stmt.replace(enumRegex, 'TEXT');
+const getAppliedVersions = async () => {
+  await ensureMigrationsTable();
+  const rows = await allAsync('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map((row) => row.version));
+};
+
+// Apply all pending migrations, returns the list of applied migrations
+const migrate = async () => {
+  const applied = await getAppliedVersions();
+  const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    const { up } = parseMigration(fs.readFileSync(migration.file, 'utf8'));
+
+    await transaction(async () => {
+      for (const statement of up) {
+        await runAsync(statement);
       }
+      await runAsync('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+        migration.version,
+        migration.name,
+      ]);
+    });
 
-      await runAsync(stmt);
-    }
+    logger.info(`Applied migration ${migration.version}_${migration.name}`);
+  }
 
-    logger.info(`Executed SQL file: ${filePath}`);
-    return true;
-  } catch (error) {
-    logger.error(`Error executing SQL file ${filePath}: ${error.message}`);
-    return false;
+  return pending;
+};
+
+// Revert the most recently applied migrations, returns the list of reverted migrations
+const rollback = async (steps = 1) => {
+  const applied = await getAppliedVersions();
+  const toRevert = loadMigrations()
+    .filter((migration) => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    const { down } = parseMigration(fs.readFileSync(migration.file, 'utf8'));
+
+    await transaction(async () => {
+      for (const statement of down) {
+        await runAsync(statement);
+      }
+      await runAsync('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+
+    logger.info(`Reverted migration ${migration.version}_${migration.name}`);
   }
+
+  return toRevert;
+};
+
+// List every known migration with whether it has been applied
+const migrationStatus = async () => {
+  const applied = await getAppliedVersions();
+  return loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+  }));
 };
 
-// Setup database - create tables if they don't exist
+// Setup database - bring the schema up to date
 const setupDatabase = async () => {
   try {
-    // Execute all db SQL files with mysql syntax adaptations
-    const dbDir = path.join(__dirname, '../db');
-    if (fs.existsSync(dbDir)) {
-      const files = fs.readdirSync(dbDir).filter((file) => file.endsWith('.sql'));
-
-      for (const file of files) {
-        await executeSqlFile(path.join(dbDir, file));
-      }
-    }
+    await migrate();
 
     logger.info('Database setup completed successfully');
   } catch (error) {
@@ -235,5 +363,8 @@ module.exports = {
   transaction,
   testConnection,
   setupDatabase,
+  migrate,
+  rollback,
+  migrationStatus,
   close,
 };
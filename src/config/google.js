@@ -0,0 +1,22 @@
+/**
+ * Google OAuth2 settings used to connect Gmail accounts
+ * The endpoint overrides exist so the flow can run against a local stub of Google's servers
+ */
+const getGoogleConfig = () => ({
+  clientId: process.env.GOOGLE_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  redirectUri: process.env.GOOGLE_REDIRECT_URI,
+  endpoints: {
+    oauth2AuthBaseUrl:
+      process.env.GOOGLE_OAUTH_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    oauth2TokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+  },
+});
+
+// Full Gmail access is needed to send over SMTP, openid + email identify the account
+const GOOGLE_SCOPES = ['https://mail.google.com/', 'openid', 'email'];
+
+module.exports = {
+  getGoogleConfig,
+  GOOGLE_SCOPES,
+};
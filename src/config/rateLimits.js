@@ -0,0 +1,63 @@
+/**
+ * Rate limits per route, each counted separately for every key it lists:
+ *   ip    - client address (set TRUST_PROXY when running behind a proxy)
+ *   user  - authenticated user, for routes behind authMiddleware
+ *   email - `email` in the request body, e.g. the account someone is trying to log in to
+ *
+ * Override a limit with RATE_LIMIT_<NAME>=<limit>/<window>, e.g. RATE_LIMIT_LOGIN=5/10m
+ * (window in s, m, h or d). RATE_LIMIT_<NAME>=off disables it.
+ */
+const RATE_LIMITS = {
+  login: { limit: 10, window: '15m', keys: ['ip', 'email'] },
+  loginTwoFactor: { limit: 10, window: '15m', keys: ['ip'] },
+  forgotPassword: { limit: 5, window: '1h', keys: ['ip', 'email'] },
+  resetPassword: { limit: 10, window: '15m', keys: ['ip'] },
+  resendVerification: { limit: 5, window: '1h', keys: ['ip', 'email'] },
+  send: { limit: 60, window: '1m', keys: ['user'] },
+  sendBulk: { limit: 10, window: '1m', keys: ['user'] },
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const parseWindow = (window) => {
+  const match = /^(\d+)([smhd])$/.exec(String(window).trim());
+  if (!match) {
+    throw new Error(`Invalid rate limit window: ${window}`);
+  }
+  return parseInt(match[1], 10) * UNITS[match[2]];
+};
+
+/**
+ * Settings for a named limit, with the env override applied
+ * @returns {{limit: number, windowMs: number, keys: string[]}|null} null when disabled
+ */
+const getRateLimit = (name) => {
+  const defaults = RATE_LIMITS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  const envName = `RATE_LIMIT_${name.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+  const override = process.env[envName];
+
+  if (override === 'off') {
+    return null;
+  }
+
+  let { limit, window } = defaults;
+  if (override) {
+    const [overrideLimit, overrideWindow] = override.split('/');
+    limit = parseInt(overrideLimit, 10);
+    window = overrideWindow || window;
+    if (!(limit > 0)) {
+      throw new Error(`Invalid ${envName}: ${override}`);
+    }
+  }
+
+  return { limit, windowMs: parseWindow(window), keys: defaults.keys };
+};
+
+module.exports = {
+  RATE_LIMITS,
+  getRateLimit,
+};
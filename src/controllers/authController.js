@@ -1,19 +1,45 @@
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const { AppError, catchAsync, ApiResponse } = require('../utils/responseHandler');
 const db = require('../config/database');
 const logger = require('../config/logger');
+const googleOAuthService = require('../services/googleOAuthService');
+const credentialService = require('../services/credentialService');
+const providers = require('../services/providers');
+const systemMailer = require('../services/systemMailer');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const apiKeyService = require('../services/apiKeyService');
+const organizationService = require('../services/organizationService');
+const lockoutService = require('../services/lockoutService');
+const { getGoogleConfig } = require('../config/google');
+
+// Email verification links stay valid for a day, resends are allowed once a minute
+const VERIFICATION_TTL_HOURS = 24;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Stands in for the stored hash of unknown emails (same salt and key lengths as hashPassword)
+const DUMMY_PASSWORD_HASH = `${'0'.repeat(32)}:${'0'.repeat(128)}`;
 
 /**
- * Generate JWT token
+ * User fields that are safe to return to the client
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '30d'
-  });
+const toPublicUser = (user) => {
+  const {
+    password, password_reset_token, password_reset_expires, verification_token,
+    verification_expires, totp_secret, totp_last_step, ...publicUser
+  } = user;
+  return { ...publicUser, totp_enabled: Boolean(user.totp_enabled) };
 };
 
+/**
+ * Device details stored with a session
+ */
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -42,26 +68,42 @@ const register = catchAsync(async (req, res, next) => {
   // Generate unique ID
   const userId = uuidv4();
   
-  // Create user
+  // Create user, unverified until the email address is confirmed
   await db.query(
-    `INSERT INTO users (id, email, username, password) 
-     VALUES (?, ?, ?, ?)`,
+    `INSERT INTO users (id, email, username, password, account_status) 
+     VALUES (?, ?, ?, ?, 'unverified')`,
     [userId, email, username || email.split('@')[0], hashedPassword]
   );
   
-  // Generate token
-  const token = generateToken(userId);
+  // Send the verification link, the account is still created if that fails
+  let verificationEmailSent = true;
+  try {
+    await sendVerificationEmail({ id: userId, email });
+  } catch (error) {
+    verificationEmailSent = false;
+    logger.error(`Error sending verification email to ${email}: ${error.message}`);
+  }
+  
+  // Start a session
+  const session = await sessionService.createSession(userId, getClientInfo(req));
   
   // Get user without password
   const newUser = await db.query(
-    'SELECT id, email, username, created_at FROM users WHERE id = ?',
+    'SELECT id, email, username, account_status, created_at FROM users WHERE id = ?',
     [userId]
   );
   
-  res.status(201).json(new ApiResponse(201, 'User registered successfully', {
-    user: newUser[0],
-    token
-  }));
+  res.status(201).json(new ApiResponse(
+    201,
+    verificationEmailSent
+      ? 'User registered successfully. Check your inbox to verify your email address'
+      : 'User registered successfully, but the verification email could not be sent. Request a new one later',
+    {
+      user: newUser[0],
+      ...session,
+      verificationEmailSent
+    }
+  ));
 });
 
 /**
@@ -76,34 +118,83 @@ const login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password', 400));
   }
   
+  // Locked emails are refused before the password is checked and with the same answer as a wrong
+  // one, so a lock neither confirms a guess nor tells whether an account exists
+  if (await lockoutService.isLocked(email)) {
+    return next(new AppError('Invalid email or password', 401));
+  }
+  
   // Get user
   const users = await db.query(
     'SELECT * FROM users WHERE email = ?',
     [email]
   );
+  const user = users[0];
   
-  if (!users || users.length === 0) {
+  // Unknown emails are checked against a dummy hash so they take as long as a wrong password
+  const isPasswordCorrect = await verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+  
+  // Failures are counted per email, known or not
+  if (!user || !isPasswordCorrect) {
+    await lockoutService.recordFailedLogin(email);
     return next(new AppError('Invalid email or password', 401));
   }
   
-  const user = users[0];
+  // With 2FA on, the password only earns a challenge for the second step
+  if (user.totp_enabled) {
+    return res.status(200).json(new ApiResponse(200, 'Enter your authentication code', {
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.createChallenge(user.id)
+    }));
+  }
   
-  // Check password
-  const isPasswordCorrect = await verifyPassword(password, user.password);
+  // Failed attempts only reset once the whole login succeeded (2FA included)
+  await lockoutService.clearFailedLogins(user.email);
   
-  if (!isPasswordCorrect) {
-    return next(new AppError('Invalid email or password', 401));
+  // Start a session
+  const session = await sessionService.createSession(user.id, getClientInfo(req));
+  
+  res.status(200).json(new ApiResponse(200, 'Login successful', {
+    user: toPublicUser(user),
+    ...session
+  }));
+});
+
+/**
+ * Second login step for accounts with 2FA: a TOTP or recovery code
+ * POST /api/auth/login/2fa
+ */
+const loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+  
+  if (!challengeToken || !code) {
+    return next(new AppError('Please provide the challenge token and an authentication code', 400));
+  }
+  
+  const userId = twoFactorService.verifyChallenge(challengeToken);
+  
+  const users = await db.query('SELECT * FROM users WHERE id = ?', [userId]);
+  
+  if (!users || users.length === 0) {
+    return next(new AppError('Invalid authentication code', 401));
+  }
+  
+  // Wrong codes count towards the same lockout as wrong passwords
+  await lockoutService.assertNotLocked(users[0].email);
+  
+  if (!(await twoFactorService.verifySecondFactor(userId, code))) {
+    const lockedError = await lockoutService.recordFailedLogin(users[0].email);
+    return next(lockedError || new AppError('Invalid authentication code', 401));
   }
   
-  // Generate token
-  const token = generateToken(user.id);
+  await lockoutService.clearFailedLogins(users[0].email);
   
-  // Remove password from response
-  delete user.password;
+  // Start a session
+  const session = await sessionService.createSession(userId, getClientInfo(req));
   
   res.status(200).json(new ApiResponse(200, 'Login successful', {
-    user,
-    token
+    user: toPublicUser(users[0]),
+    ...session
   }));
 });
 
@@ -113,10 +204,60 @@ const login = catchAsync(async (req, res, next) => {
  */
 const getCurrentUser = catchAsync(async (req, res, next) => {
   res.status(200).json(new ApiResponse(200, 'User profile fetched successfully', {
-    user: req.user
+    user: toPublicUser(req.user)
   }));
 });
 
+/**
+ * Start enabling 2FA, returns the secret and otpauth URL for the authenticator app
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const enrollment = await twoFactorService.startEnrollment(req.user);
+  
+  res.status(200).json(new ApiResponse(
+    200,
+    'Add the secret to your authenticator app, then confirm with a code',
+    enrollment
+  ));
+});
+
+/**
+ * Turn 2FA on with the first code from the authenticator app
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    return next(new AppError('Please provide an authentication code', 400));
+  }
+  
+  const recoveryCodes = await twoFactorService.confirmEnrollment(req.user, code);
+  
+  res.status(200).json(new ApiResponse(
+    200,
+    'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are only shown once',
+    { recoveryCodes }
+  ));
+});
+
+/**
+ * Turn 2FA off, needs a TOTP or recovery code
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    return next(new AppError('Please provide an authentication code', 400));
+  }
+  
+  await twoFactorService.disable(req.user, code);
+  
+  res.status(200).json(new ApiResponse(200, 'Two-factor authentication disabled'));
+});
+
 /**
  * Update user password
  * PATCH /api/auth/update-password
@@ -155,8 +296,9 @@ const updatePassword = catchAsync(async (req, res, next) => {
     [hashedPassword, req.user.id]
   );
   
-  // Generate new token
-  const token = generateToken(req.user.id);
+  // Sign out every other device, this one gets a fresh access token
+  await sessionService.revokeUserSessions(req.user.id, 'password_changed', { except: req.sessionId });
+  const token = sessionService.generateAccessToken(req.user.id, req.sessionId);
   
   res.status(200).json(new ApiResponse(200, 'Password updated successfully', { token }));
 });
@@ -204,15 +346,17 @@ const forgotPassword = catchAsync(async (req, res, next) => {
     [passwordResetToken, passwordResetExpires, users[0].id]
   );
   
-  // Send email with reset URL (implementation would be in emailService)
+  // Send email with reset URL
   const resetURL = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
   
   try {
-    // Here we would call the email service to send the reset email
-    logger.info(`Password reset link for ${email}: ${resetURL}`);
+    await systemMailer.sendSystemEmail(users[0].email, 'passwordReset', {
+      resetURL,
+      expiresInMinutes: 15
+    });
     
     res.status(200).json(
-      new ApiResponse(200, 'Password reset link sent to email', { resetURL })
+      new ApiResponse(200, 'If the email exists, a password reset link will be sent')
     );
   } catch (error) {
     // If sending email fails, reset the token
@@ -271,14 +415,311 @@ const resetPassword = catchAsync(async (req, res, next) => {
     [hashedPassword, users[0].id]
   );
   
-  // Generate new JWT
-  const newToken = generateToken(users[0].id);
+  // Proving access to the mailbox lifts a lockout
+  await lockoutService.clearFailedLogins(users[0].email);
+  
+  // Sign out every device and start a new session
+  await sessionService.revokeUserSessions(users[0].id, 'password_reset');
+  const session = await sessionService.createSession(users[0].id, getClientInfo(req));
   
   res.status(200).json(
-    new ApiResponse(200, 'Password has been reset successfully', { token: newToken })
+    new ApiResponse(200, 'Password has been reset successfully', session)
+  );
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ */
+const refresh = catchAsync(async (req, res, next) => {
+  const { refreshToken } = req.body;
+  
+  if (!refreshToken) {
+    return next(new AppError('Please provide a refresh token', 400));
+  }
+  
+  const session = await sessionService.rotateRefreshToken(refreshToken, getClientInfo(req));
+  
+  res.status(200).json(new ApiResponse(200, 'Token refreshed successfully', session));
+});
+
+/**
+ * End the current session
+ * POST /api/auth/logout
+ */
+const logout = catchAsync(async (req, res, next) => {
+  await sessionService.revokeSession(req.sessionId, 'logout');
+  
+  res.status(200).json(new ApiResponse(200, 'Logged out successfully'));
+});
+
+/**
+ * List the devices the user is signed in on
+ * GET /api/auth/sessions
+ */
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await sessionService.listSessions(req.user.id);
+  
+  res.status(200).json(new ApiResponse(200, 'Sessions retrieved successfully', sessions.map(session => ({
+    ...session,
+    current: session.id === req.sessionId
+  }))));
+});
+
+/**
+ * Sign out a device
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const deleteSession = catchAsync(async (req, res, next) => {
+  const session = await sessionService.getActiveSession(req.params.sessionId);
+  
+  if (!session || session.user_id !== req.user.id) {
+    return next(new AppError('Session not found', 404));
+  }
+  
+  await sessionService.revokeSession(session.id, 'revoked_by_user');
+  
+  res.status(200).json(new ApiResponse(200, 'Session revoked successfully'));
+});
+
+/**
+ * List the user's API keys (secrets are never returned again)
+ * GET /api/auth/api-keys
+ */
+const getApiKeys = catchAsync(async (req, res, next) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.user.id);
+  
+  res.status(200).json(new ApiResponse(200, 'API keys retrieved successfully', apiKeys));
+});
+
+/**
+ * Create an API key for server-to-server calls
+ * POST /api/auth/api-keys
+ */
+const createApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes, credentialIds, expiresAt } = req.body;
+  
+  const { apiKey, key } = await apiKeyService.createApiKey(req.user.id, {
+    name,
+    scopes,
+    credentialIds: credentialIds || null,
+    expiresAt
+  });
+  
+  res.status(201).json(new ApiResponse(
+    201,
+    'API key created. Copy the key now, it will not be shown again',
+    { ...apiKey, key }
+  ));
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/auth/api-keys/:keyId
+ */
+const deleteApiKey = catchAsync(async (req, res, next) => {
+  const revoked = await apiKeyService.revokeApiKey(req.user.id, req.params.keyId);
+  
+  if (!revoked) {
+    return next(new AppError('API key not found', 404));
+  }
+  
+  res.status(200).json(new ApiResponse(200, 'API key revoked successfully'));
+});
+
+/**
+ * Confirm an email address with the token from the verification email
+ * GET|POST /api/auth/verify-email/:token
+ */
+const verifyEmail = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+  
+  const users = await db.query(
+    `SELECT id FROM users 
+     WHERE verification_token = ? AND verification_expires > ?`,
+    [hashedToken, new Date()]
   );
+  
+  if (!users || users.length === 0) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+  
+  await db.query(
+    `UPDATE users 
+     SET 
+       account_status = CASE WHEN account_status = 'unverified' THEN 'active' ELSE account_status END,
+       auth_verified = 1,
+       verification_token = NULL,
+       verification_expires = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [users[0].id]
+  );
+  
+  res.status(200).json(new ApiResponse(200, 'Email address verified successfully'));
+});
+
+/**
+ * Send a new verification email
+ * POST /api/auth/resend-verification
+ */
+const resendVerification = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+  
+  if (!email) {
+    return next(new AppError('Please provide an email address', 400));
+  }
+  
+  const users = await db.query('SELECT * FROM users WHERE email = ?', [email]);
+  const user = users[0];
+  const waitMs = user && user.verification_sent_at
+    ? new Date(user.verification_sent_at).getTime() + VERIFICATION_RESEND_COOLDOWN_MS - Date.now()
+    : 0;
+  
+  // Don't reveal whether the account exists, is already verified or was sent a link just now
+  if (!user || user.account_status !== 'unverified' || waitMs > 0) {
+    return res.status(200).json(new ApiResponse(
+      200,
+      'If the account exists and is not verified yet, a new verification link will be sent'
+    ));
+  }
+  
+  // A delivery failure is only logged, an error here would tell that the account exists
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`Error sending verification email to ${user.email}: ${error.message}`);
+  }
+  
+  res.status(200).json(new ApiResponse(
+    200,
+    'If the account exists and is not verified yet, a new verification link will be sent'
+  ));
 });
 
+/**
+ * Start connecting a Gmail account, returns the Google consent URL
+ * GET /api/auth/google/connect
+ */
+const connectGoogle = catchAsync(async (req, res, next) => {
+  const isDefault = req.query.isDefault === 'true';
+  const organizationId = req.query.organizationId || null;
+  
+  // Connecting a shared account for an organization needs the right to manage its credentials
+  if (organizationId) {
+    await assertCanManageCredentials(organizationId, req.user.id);
+  }
+  
+  const url = googleOAuthService.getConsentUrl(req.user.id, { isDefault, organizationId });
+  
+  res.status(200).json(new ApiResponse(200, 'Open the URL to grant access to your Gmail account', {
+    url
+  }));
+});
+
+/**
+ * Google redirects here after consent, stores the account as Gmail credentials
+ * GET /api/auth/google/callback
+ */
+const googleCallback = catchAsync(async (req, res, next) => {
+  const { code, state, error } = req.query;
+  
+  if (error) {
+    return next(new AppError(`Google authorization failed: ${error}`, 400));
+  }
+  
+  if (!code || !state) {
+    return next(new AppError('Missing authorization code or state', 400));
+  }
+  
+  const { userId, isDefault, organizationId } = googleOAuthService.parseState(state);
+  
+  const users = await db.query('SELECT id FROM users WHERE id = ?', [userId]);
+  if (users.length === 0) {
+    return next(new AppError('The user who started this connection no longer exists', 400));
+  }
+  
+  if (organizationId) {
+    await assertCanManageCredentials(organizationId, userId);
+  }
+  
+  const account = await googleOAuthService.exchangeCode(code);
+  const { clientId, clientSecret, redirectUri } = getGoogleConfig();
+  
+  const credentialId = await credentialService.saveCredentials(userId, {
+    email: account.email,
+    provider: 'gmail',
+    isDefault,
+    fields: providers.validateCredentials('gmail', {
+      clientId,
+      clientSecret,
+      refreshToken: account.refreshToken,
+      accessToken: account.accessToken,
+      tokenExpiresAt: account.expiresAt,
+      redirectUri
+    }),
+    organizationId
+  });
+  
+  logger.info(
+    `Gmail account ${account.email} connected for ${organizationId ? `organization ${organizationId}` : `user ${userId}`}`
+  );
+  
+  res.status(200).json(new ApiResponse(200, 'Gmail account connected successfully', {
+    credentialId,
+    email: account.email
+  }));
+});
+
+/**
+ * Helper function to check a user may connect credentials for an organization
+ */
+const assertCanManageCredentials = async (organizationId, userId) => {
+  const membership = await organizationService.getMembership(organizationId, userId);
+  
+  if (!membership) {
+    throw new AppError('Organization not found or you are not a member', 404);
+  }
+  
+  if (!organizationService.hasPermission(membership.role, 'credentials:manage')) {
+    throw new AppError(`Your role (${membership.role}) does not allow this: credentials:manage`, 403);
+  }
+};
+
+/**
+ * Helper function to create a new verification token and email the link
+ * Replaces any earlier token, so only the latest link works
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  
+  await db.query(
+    `UPDATE users 
+     SET verification_token = ?, verification_expires = ?, verification_sent_at = ? 
+     WHERE id = ?`,
+    [
+      hashedToken,
+      new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+      new Date(),
+      user.id
+    ]
+  );
+  
+  const verifyURL = `${process.env.API_URL || 'http://localhost:3000'}/api/auth/verify-email/${verificationToken}`;
+  
+  await systemMailer.sendSystemEmail(user.email, 'emailVerification', {
+    verifyURL,
+    expiresInHours: VERIFICATION_TTL_HOURS
+  });
+};
+
 /**
  * Helper function to hash password
  */
@@ -308,8 +749,23 @@ const verifyPassword = async (password, hash) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   getCurrentUser,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
   updatePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  getApiKeys,
+  createApiKey,
+  deleteApiKey,
+  verifyEmail,
+  resendVerification,
+  connectGoogle,
+  googleCallback
 };
\ No newline at end of file
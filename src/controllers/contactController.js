@@ -0,0 +1,281 @@
+const { AppError, catchAsync, ApiResponse } = require('../utils/responseHandler');
+const contactService = require('../services/contactService');
+const MultipartReader = require('../utils/multipart');
+const csv = require('../utils/csv');
+
+const MAX_IMPORT_BYTES = parseInt(process.env.CONTACT_IMPORT_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+/**
+ * Workspace the request works in, see organizationContext
+ */
+const getScope = (req) => ({
+  userId: req.user.id,
+  organizationId: req.organization ? req.organization.id : null,
+});
+
+/**
+ * Search contacts by address or name, tag and list
+ * GET /api/contacts?q=&tag=&listId=&page=&limit=
+ */
+const getContacts = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const { total, contacts } = await contactService.searchContacts(getScope(req), {
+    q: req.query.q,
+    tag: req.query.tag,
+    listId: req.query.listId,
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, 'Contacts retrieved', { page, limit, total, items: contacts }));
+});
+
+/**
+ * Create a contact
+ * POST /api/contacts
+ */
+const createContact = catchAsync(async (req, res, next) => {
+  const { email, name, fields, tags } = req.body;
+  const contact = await contactService.createContact(getScope(req), { email, name, fields, tags });
+
+  res.status(201).json(new ApiResponse(201, 'Contact created successfully', contact));
+});
+
+/**
+ * Options of an import from its form fields
+ */
+const parseImportOptions = (fields) => {
+  const parseJson = (name) => {
+    try {
+      return JSON.parse(fields[name]);
+    } catch (error) {
+      throw new AppError(`${name} must be valid JSON`, 400);
+    }
+  };
+
+  // Tags as a JSON array or comma separated
+  let tags = [];
+  if (fields.tags) {
+    tags = fields.tags.trim().startsWith('[') ? parseJson('tags') : fields.tags.split(',');
+  }
+
+  return {
+    mapping: fields.mapping ? parseJson('mapping') : {},
+    listId: fields.listId || null,
+    tags,
+    updateExisting: ['true', '1'].includes(String(fields.updateExisting).toLowerCase()),
+  };
+};
+
+/**
+ * Import contacts from a CSV file uploaded as multipart/form-data
+ * Form fields (`mapping`, `listId`, `tags`, `updateExisting`) must come before the `file`
+ * POST /api/contacts/import
+ */
+const importContacts = catchAsync(async (req, res, next) => {
+  const reader = new MultipartReader(req, { maxBytes: MAX_IMPORT_BYTES });
+  const fields = {};
+  let report = null;
+  let part;
+
+  while ((part = await reader.nextPart())) {
+    if (part.filename === null) {
+      fields[part.name] = await reader.readField();
+    } else if (!report) {
+      report = await contactService.importContacts(
+        getScope(req),
+        csv.parse(reader.partData()),
+        parseImportOptions(fields)
+      );
+
+      // The rest of the upload can't be read, report what was imported up to the error
+      if (report.stopped) {
+        const { row, error } = report.stopped;
+        return next(
+          new AppError(
+            `Import stopped at row ${row}: ${error.message}. Rows before it were imported`,
+            error.statusCode || 400,
+            'IMPORT_INCOMPLETE',
+            { ...report, stopped: { row, error: error.message } }
+          )
+        );
+      }
+    }
+  }
+
+  if (!report) {
+    return next(new AppError('Please upload a CSV file in the `file` field', 400));
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        `${report.created} contact(s) created, ${report.updated} updated, ${report.failed} row(s) failed`,
+        report
+      )
+    );
+});
+
+/**
+ * Get a contact with its tags and lists
+ * GET /api/contacts/:contactId
+ */
+const getContact = catchAsync(async (req, res, next) => {
+  const contact = await contactService.getContact(getScope(req), req.params.contactId);
+  if (!contact) {
+    return next(new AppError('Contact not found', 404));
+  }
+
+  res.status(200).json(new ApiResponse(200, 'Contact retrieved', contact));
+});
+
+/**
+ * Update a contact, `fields` are merged and `tags` replaced
+ * PATCH /api/contacts/:contactId
+ */
+const updateContact = catchAsync(async (req, res, next) => {
+  const { email, name, fields, tags } = req.body;
+  const contact = await contactService.updateContact(getScope(req), req.params.contactId, {
+    email,
+    name,
+    fields,
+    tags,
+  });
+
+  res.status(200).json(new ApiResponse(200, 'Contact updated successfully', contact));
+});
+
+/**
+ * Delete a contact
+ * DELETE /api/contacts/:contactId
+ */
+const deleteContact = catchAsync(async (req, res, next) => {
+  if (!(await contactService.deleteContact(getScope(req), req.params.contactId))) {
+    return next(new AppError('Contact not found', 404));
+  }
+
+  res.status(200).json(new ApiResponse(200, 'Contact deleted successfully'));
+});
+
+/**
+ * Tags in use with their contact counts
+ * GET /api/contacts/tags
+ */
+const getTags = catchAsync(async (req, res, next) => {
+  const tags = await contactService.listTags(getScope(req));
+
+  res.status(200).json(new ApiResponse(200, 'Tags retrieved', tags));
+});
+
+/**
+ * List the workspace's lists
+ * GET /api/contacts/lists
+ */
+const getLists = catchAsync(async (req, res, next) => {
+  const lists = await contactService.listLists(getScope(req));
+
+  res.status(200).json(new ApiResponse(200, 'Lists retrieved', lists));
+});
+
+/**
+ * Create a list
+ * POST /api/contacts/lists
+ */
+const createList = catchAsync(async (req, res, next) => {
+  const list = await contactService.createList(getScope(req), req.body);
+
+  res.status(201).json(new ApiResponse(201, 'List created successfully', list));
+});
+
+/**
+ * Get a list with its member count
+ * GET /api/contacts/lists/:listId
+ */
+const getList = catchAsync(async (req, res, next) => {
+  const list = await contactService.getList(getScope(req), req.params.listId);
+  if (!list) {
+    return next(new AppError('List not found', 404));
+  }
+
+  res.status(200).json(new ApiResponse(200, 'List retrieved', list));
+});
+
+/**
+ * Rename a list or change its description
+ * PATCH /api/contacts/lists/:listId
+ */
+const updateList = catchAsync(async (req, res, next) => {
+  const { name, description } = req.body;
+  const list = await contactService.updateList(getScope(req), req.params.listId, {
+    name,
+    description,
+  });
+
+  res.status(200).json(new ApiResponse(200, 'List updated successfully', list));
+});
+
+/**
+ * Delete a list, its contacts are kept
+ * DELETE /api/contacts/lists/:listId
+ */
+const deleteList = catchAsync(async (req, res, next) => {
+  if (!(await contactService.deleteList(getScope(req), req.params.listId))) {
+    return next(new AppError('List not found', 404));
+  }
+
+  res.status(200).json(new ApiResponse(200, 'List deleted successfully'));
+});
+
+/**
+ * Add contacts to a list
+ * POST /api/contacts/lists/:listId/members
+ */
+const addListMembers = catchAsync(async (req, res, next) => {
+  const added = await contactService.addListMembers(
+    getScope(req),
+    req.params.listId,
+    req.body.contactIds
+  );
+
+  res.status(200).json(new ApiResponse(200, `${added} contact(s) added to the list`, { added }));
+});
+
+/**
+ * Take a contact off a list
+ * DELETE /api/contacts/lists/:listId/members/:contactId
+ */
+const removeListMember = catchAsync(async (req, res, next) => {
+  const removed = await contactService.removeListMember(
+    getScope(req),
+    req.params.listId,
+    req.params.contactId
+  );
+  if (!removed) {
+    return next(new AppError('Contact is not on this list', 404));
+  }
+
+  res.status(200).json(new ApiResponse(200, 'Contact removed from the list'));
+});
+
+module.exports = {
+  getContacts,
+  createContact,
+  importContacts,
+  getContact,
+  updateContact,
+  deleteContact,
+  getTags,
+  getLists,
+  createList,
+  getList,
+  updateList,
+  deleteList,
+  addListMembers,
+  removeListMember,
+};
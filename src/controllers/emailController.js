@@ -4,6 +4,22 @@ const path = require('path');
 const logger = require('../config/logger');
 const { AppError, catchAsync, ApiResponse } = require('../utils/responseHandler');
 const emailService = require('../services/emailService');
+const providers = require('../services/providers');
+const credentialService = require('../services/credentialService');
+const { getCredentials } = credentialService;
+const scheduleService = require('../services/scheduleService');
+const retryService = require('../services/retryService');
+const suppressionService = require('../services/suppressionService');
+const apiKeyService = require('../services/apiKeyService');
+const organizationService = require('../services/organizationService');
+const quotaService = require('../services/quotaService');
+const rotationService = require('../services/rotationService');
+const templateService = require('../services/templateService');
+const contactService = require('../services/contactService');
+const campaignService = require('../services/campaignService');
+const { TemplateError } = require('../utils/templateEngine');
+const { parseSendAt } = require('../utils/timezone');
+const csv = require('../utils/csv');
 const db = require('../config/database');
 
 /**
@@ -12,8 +28,9 @@ const db = require('../config/database');
  */
 const sendEmail = catchAsync(async (req, res, next) => {
   const {
-    to, cc, bcc, subject, text, html, attachments,
-    enableTracking, templateId, credentialId
+    to, cc, bcc, attachments,
+    enableTracking, trackClicks, includeUnsubscribe, templateId, variables, strictVariables,
+    credentialId, sendAt, timezone
   } = req.body;
   
   // Validate required fields
@@ -21,34 +38,134 @@ const sendEmail = catchAsync(async (req, res, next) => {
     return next(new AppError('Recipient email address is required', 400));
   }
   
-  if (!subject) {
+  // Start from the stored template when one is given, fields in the request override it
+  const content = await getMessageContent(req, templateId);
+  
+  if (!content.subject) {
     return next(new AppError('Email subject is required', 400));
   }
   
-  if (!text && !html) {
+  if (!content.text && !content.html) {
     return next(new AppError('Either text or HTML content is required', 400));
   }
   
+  assertVariables(variables);
+  
+  // Validate the send time before touching credentials
+  const scheduledAt = sendAt ? parseSendAt(sendAt, timezone) : null;
+  
+  // Skip addresses the workspace has suppressed
+  const recipients = await suppressionService.filterMessageRecipients(getScope(req), { to, cc, bcc });
+  if (recipients.to.length === 0) {
+    return res.status(200).json(new ApiResponse(
+      200,
+      'All recipients are suppressed, nothing was sent',
+      { suppressed: recipients.suppressed }
+    ));
+  }
+  
+  if (includeUnsubscribe && recipients.to.length > 1) {
+    return next(new AppError('includeUnsubscribe requires a single recipient', 400));
+  }
+  
   // Get credentials from database or use default
-  const credentials = await getCredentials(credentialId, req.user.id);
+  const credentials = await getCredentials(credentialId, req.user.id, getOrganizationId(req));
   if (!credentials) {
     return next(new AppError('Email credentials not found', 404));
   }
+  apiKeyService.assertCredentialAllowed(req.apiKey, credentials.id);
   
-  // Send email
-  const result = await emailService.sendEmail(credentials, {
-    to,
-    cc,
-    bcc,
-    subject,
-    text,
-    html,
+  const unsubscribeUrl = includeUnsubscribe
+    ? suppressionService.buildUnsubscribeUrl(getScope(req), recipients.to[0])
+    : undefined;
+  
+  // Fill in the variables for template sends, other content is sent as it is
+  let message = content;
+  if (templateId || variables !== undefined) {
+    message = renderContent(
+      content,
+      { ...variables, ...(unsubscribeUrl && { unsubscribe_url: unsubscribeUrl }) },
+      { partials: await templateService.getPartials(getScope(req)), strict: Boolean(strictVariables) }
+    );
+  }
+  
+  const emailOptions = {
+    to: recipients.to.join(', '),
+    cc: recipients.cc.length > 0 ? recipients.cc.join(', ') : undefined,
+    bcc: recipients.bcc.length > 0 ? recipients.bcc.join(', ') : undefined,
+    subject: message.subject,
+    text: message.text || undefined,
+    html: message.html || undefined,
     attachments,
     enableTracking,
-    templateId
-  });
+    trackClicks,
+    templateId,
+    unsubscribeUrl
+  };
   
-  res.status(200).json(new ApiResponse(200, 'Email sent successfully', result));
+  // Store for later if a future send time was requested
+  if (scheduledAt) {
+    const scheduled = await emailService.scheduleEmail(credentials, emailOptions, {
+      sendAt: scheduledAt,
+      timezone: timezone || 'UTC'
+    });
+    
+    return res.status(202).json(new ApiResponse(202, 'Email scheduled successfully', {
+      ...scheduled,
+      suppressed: recipients.suppressed
+    }));
+  }
+  
+  // Every recipient counts against the credential's sending quotas
+  const recipientCount = recipients.to.length + recipients.cc.length + recipients.bcc.length;
+  const quota = await quotaService.reserve(credentials, recipientCount);
+  if (!quota.allowed) {
+    return next(quotaService.quotaExceededError(credentials, quota));
+  }
+  
+  // Send email
+  let result;
+  try {
+    result = await emailService.sendEmail(credentials, emailOptions);
+  } catch (error) {
+    // Nothing went out, a retry is counted again by the worker when it sends
+    await quotaService.release(credentials, recipientCount, quota.reservedAt);
+    
+    const { transient, code } = retryService.classifySendError(error);
+    
+    // Temporary failures are handed to the queue worker to be retried with backoff
+    if (transient && (await retryService.getMaxRetries(req.user.id)) > 0) {
+      const retry = await retryService.queueRetry({
+        userId: req.user.id,
+        credentialId: credentials.id,
+        message: emailOptions
+      });
+      
+      return res.status(202).json(new ApiResponse(
+        202,
+        'Email could not be sent right now and will be retried automatically',
+        { ...retry, error: error.message, errorCode: code, suppressed: recipients.suppressed }
+      ));
+    }
+    
+    const deadLetterId = await retryService.recordDeadLetter({
+      userId: req.user.id,
+      credentialId: credentials.id,
+      recipient: emailOptions.to,
+      message: emailOptions,
+      error
+    });
+    
+    return next(new AppError(
+      `${error.message} (${code}). The email was added to the failed list with id ${deadLetterId}.`,
+      502
+    ));
+  }
+  
+  res.status(200).json(new ApiResponse(200, 'Email sent successfully', {
+    ...result,
+    suppressed: recipients.suppressed
+  }));
 });
 
 /**
@@ -56,53 +173,180 @@ const sendEmail = catchAsync(async (req, res, next) => {
  * POST /api/email/send-bulk
  */
 const sendBulkEmails = catchAsync(async (req, res, next) => {
-  const {
-    recipients, subject, text, html, attachments, 
-    enableTracking, templateId, credentialId
-  } = req.body;
+  // Create a campaign ID for tracking
+  const { result, suppressed, quota } = await queueCampaign(req, uuidv4(), req.body);
   
-  // Validate required fields
-  if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
-    return next(new AppError('Valid recipients array is required', 400));
+  if (!result) {
+    return res.status(200).json(new ApiResponse(
+      200,
+      'All recipients are suppressed, nothing was queued',
+      { suppressed }
+    ));
   }
   
-  if (!subject) {
-    return next(new AppError('Email subject is required', 400));
+  res.status(202).json(new ApiResponse(
+    202, 
+    result.sendAt
+      ? `${result.totalQueued} emails scheduled for ${result.sendAt}`
+      : `${result.totalQueued} emails queued for sending`,
+    { ...result, suppressed, quota }
+  ));
+});
+
+/**
+ * Get scheduled emails and campaigns
+ * GET /api/email/scheduled
+ */
+const getScheduledEmails = catchAsync(async (req, res, next) => {
+  const scheduled = await scheduleService.listScheduled(getScope(req));
+  
+  res.status(200).json(new ApiResponse(200, 'Scheduled emails retrieved', scheduled));
+});
+
+/**
+ * Reschedule a scheduled email or campaign
+ * PATCH /api/email/scheduled/:scheduledId
+ */
+const rescheduleEmail = catchAsync(async (req, res, next) => {
+  const { scheduledId } = req.params;
+  const { sendAt, timezone } = req.body;
+  
+  if (!sendAt) {
+    return next(new AppError('sendAt is required', 400));
   }
   
-  if (!text && !html) {
-    return next(new AppError('Either text or HTML content is required', 400));
+  const scheduledAt = parseSendAt(sendAt, timezone);
+  
+  const item = await scheduleService.findScheduledItem(scheduledId, getScope(req));
+  if (!item) {
+    return next(new AppError('Scheduled email not found', 404));
   }
   
-  // Get credentials from database or use default
-  const credentials = await getCredentials(credentialId, req.user.id);
-  if (!credentials) {
-    return next(new AppError('Email credentials not found', 404));
+  if (item.status !== 'scheduled') {
+    return next(new AppError(`Cannot reschedule: ${item.type} is already ${item.status}`, 409));
   }
   
-  // Create a campaign ID for tracking
-  const campaignId = uuidv4();
+  apiKeyService.assertCredentialAllowed(req.apiKey, item.credential_id);
   
-  // Send bulk emails
-  const result = await emailService.sendBulkEmails(
-    credentials,
-    recipients,
-    {
-      subject,
-      text,
-      html,
-      attachments,
-      enableTracking,
-      templateId
-    },
-    campaignId
-  );
+  await scheduleService.reschedule(item, scheduledAt, timezone || 'UTC');
   
-  res.status(200).json(new ApiResponse(
-    200, 
-    `Emails sent: ${result.totalSent}, Failed: ${result.totalFailed}`,
-    { ...result, campaignId }
-  ));
+  res.status(200).json(new ApiResponse(200, 'Email rescheduled successfully', {
+    id: item.id,
+    type: item.type,
+    sendAt: scheduledAt.toISOString(),
+    timezone: timezone || 'UTC'
+  }));
+});
+
+/**
+ * Cancel a scheduled email or campaign
+ * DELETE /api/email/scheduled/:scheduledId
+ */
+const cancelScheduledEmail = catchAsync(async (req, res, next) => {
+  const { scheduledId } = req.params;
+  
+  const item = await scheduleService.findScheduledItem(scheduledId, getScope(req));
+  if (!item) {
+    return next(new AppError('Scheduled email not found', 404));
+  }
+  
+  if (item.status !== 'scheduled') {
+    return next(new AppError(`Cannot cancel: ${item.type} is already ${item.status}`, 409));
+  }
+  
+  apiKeyService.assertCredentialAllowed(req.apiKey, item.credential_id);
+  
+  await scheduleService.cancelScheduled(item);
+  
+  res.status(200).json(new ApiResponse(200, 'Scheduled email cancelled successfully'));
+});
+
+/**
+ * Get failed sends that won't be retried automatically
+ * GET /api/email/failed
+ */
+const getFailedEmails = catchAsync(async (req, res, next) => {
+  const { campaignId, status } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  
+  const failed = await retryService.listDeadLetters(req.user.id, {
+    campaignId,
+    status,
+    limit,
+    offset: (page - 1) * limit
+  });
+  
+  res.status(200).json(new ApiResponse(200, 'Failed emails retrieved', {
+    page,
+    limit,
+    items: failed
+  }));
+});
+
+/**
+ * Get a single failed send
+ * GET /api/email/failed/:failedId
+ */
+const getFailedEmail = catchAsync(async (req, res, next) => {
+  const deadLetter = await retryService.getDeadLetter(req.params.failedId, req.user.id);
+  
+  if (!deadLetter) {
+    return next(new AppError('Failed email not found', 404));
+  }
+  
+  res.status(200).json(new ApiResponse(200, 'Failed email retrieved', deadLetter));
+});
+
+/**
+ * Resend a failed email
+ * POST /api/email/failed/:failedId/retry
+ */
+const retryFailedEmail = catchAsync(async (req, res, next) => {
+  const deadLetter = await retryService.getDeadLetter(req.params.failedId, req.user.id);
+  
+  if (!deadLetter) {
+    return next(new AppError('Failed email not found', 404));
+  }
+  
+  if (deadLetter.status === 'retried') {
+    return next(new AppError('This email has already been retried', 409));
+  }
+  
+  apiKeyService.assertCredentialAllowed(req.apiKey, deadLetter.credential_id);
+  
+  const jobId = await retryService.retryDeadLetter(deadLetter);
+  
+  res.status(202).json(new ApiResponse(202, 'Email queued for resending', { jobId }));
+});
+
+/**
+ * Get the user's sending settings
+ * GET /api/email/settings
+ */
+const getEmailSettings = catchAsync(async (req, res, next) => {
+  const maxRetries = await retryService.getMaxRetries(req.user.id);
+  
+  res.status(200).json(new ApiResponse(200, 'Email settings retrieved', { maxRetries }));
+});
+
+/**
+ * Update the user's sending settings
+ * PATCH /api/email/settings
+ */
+const updateEmailSettings = catchAsync(async (req, res, next) => {
+  const { maxRetries } = req.body;
+  
+  // null resets the limit to the server default
+  if (maxRetries !== null && (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > 20)) {
+    return next(new AppError('maxRetries must be an integer between 0 and 20, or null', 400));
+  }
+  
+  await db.query(`UPDATE users SET max_send_retries = ? WHERE id = ?`, [maxRetries, req.user.id]);
+  
+  res.status(200).json(new ApiResponse(200, 'Email settings updated', {
+    maxRetries: await retryService.getMaxRetries(req.user.id)
+  }));
 });
 
 /**
@@ -129,6 +373,145 @@ const trackEmailOpen = catchAsync(async (req, res, next) => {
   res.end(trackingPixel);
 });
 
+/**
+ * Track link clicks and redirect to the original URL
+ * GET /api/email/click/:trackingId/:linkId
+ */
+const trackEmailClick = catchAsync(async (req, res, next) => {
+  const { trackingId, linkId } = req.params;
+  
+  const url = await emailService.getClickTarget(trackingId, linkId, req.query.sig);
+  if (!url) {
+    return next(new AppError('Link not found', 404));
+  }
+  
+  // Get IP and user agent
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent') || '';
+  
+  await emailService.recordClick(trackingId, url, ipAddress, userAgent);
+  
+  res.redirect(302, url);
+});
+
+/**
+ * Confirmation page for unsubscribe links opened in a browser
+ * GET /api/email/unsubscribe/:token
+ */
+const showUnsubscribePage = catchAsync(async (req, res, next) => {
+  const unsubscribe = suppressionService.parseUnsubscribeToken(req.params.token);
+  if (!unsubscribe) {
+    return next(new AppError('Invalid unsubscribe link', 404));
+  }
+  
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Unsubscribe</title></head>
+  <body style="font-family:sans-serif;text-align:center;padding:40px;">
+    <p>Stop receiving these emails at ${escapeHtml(unsubscribe.email)}?</p>
+    <form method="POST">
+      <input type="hidden" name="List-Unsubscribe" value="One-Click">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  </body>
+</html>`);
+});
+
+/**
+ * One-click unsubscribe (RFC 8058), public
+ * POST /api/email/unsubscribe/:token
+ */
+const unsubscribe = catchAsync(async (req, res, next) => {
+  const unsubscribe = suppressionService.parseUnsubscribeToken(req.params.token);
+  if (!unsubscribe) {
+    return next(new AppError('Invalid unsubscribe link', 404));
+  }
+  
+  await suppressionService.addSuppression(
+    { userId: unsubscribe.userId, organizationId: unsubscribe.organizationId },
+    unsubscribe.email,
+    { reason: 'unsubscribed', campaignId: unsubscribe.campaignId }
+  );
+  
+  const workspace = unsubscribe.organizationId
+    ? `organization ${unsubscribe.organizationId}`
+    : `user ${unsubscribe.userId}`;
+  logger.info(`${unsubscribe.email} unsubscribed from ${workspace}`);
+  
+  // Forms submitted from the confirmation page get a page back, mail clients get JSON
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.status(200).type('html').send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Unsubscribed</title></head>
+  <body style="font-family:sans-serif;text-align:center;padding:40px;">
+    <p>${escapeHtml(unsubscribe.email)} has been unsubscribed.</p>
+  </body>
+</html>`);
+  }
+  
+  res.status(200).json(new ApiResponse(200, 'Unsubscribed successfully'));
+});
+
+/**
+ * Get suppressed addresses
+ * GET /api/email/suppressions
+ */
+const getSuppressions = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  
+  const suppressions = await suppressionService.listSuppressions(getScope(req), {
+    search: req.query.search,
+    limit,
+    offset: (page - 1) * limit
+  });
+  
+  res.status(200).json(new ApiResponse(200, 'Suppressions retrieved', {
+    page,
+    limit,
+    items: suppressions
+  }));
+});
+
+/**
+ * Add addresses to the suppression list
+ * POST /api/email/suppressions
+ */
+const addSuppressions = catchAsync(async (req, res, next) => {
+  const { email, emails, reason } = req.body;
+  const addresses = [].concat(emails || [], email || []).filter(Boolean);
+  
+  if (addresses.length === 0) {
+    return next(new AppError('Provide an email or an emails array', 400));
+  }
+  
+  let added = 0;
+  for (const address of addresses) {
+    if (await suppressionService.addSuppression(getScope(req), address, { reason })) {
+      added++;
+    }
+  }
+  
+  res.status(201).json(new ApiResponse(201, `${added} address(es) suppressed`, {
+    added,
+    alreadySuppressed: addresses.length - added
+  }));
+});
+
+/**
+ * Remove an address from the suppression list
+ * DELETE /api/email/suppressions/:email
+ */
+const deleteSuppression = catchAsync(async (req, res, next) => {
+  const removed = await suppressionService.removeSuppression(getScope(req), req.params.email);
+  
+  if (!removed) {
+    return next(new AppError('Address is not suppressed', 404));
+  }
+  
+  res.status(200).json(new ApiResponse(200, 'Address removed from suppression list'));
+});
+
 /**
  * Get email campaign statistics
  * GET /api/email/campaigns/:campaignId/stats
@@ -136,6 +519,16 @@ const trackEmailOpen = catchAsync(async (req, res, next) => {
 const getCampaignStats = catchAsync(async (req, res, next) => {
   const { campaignId } = req.params;
   
+  // Only campaigns of the current workspace
+  const scope = organizationService.scopeFilter(getScope(req));
+  const campaign = await db.query(`
+    SELECT id FROM email_campaigns WHERE id = ? AND ${scope.sql}
+  `, [campaignId, ...scope.params]);
+  
+  if (campaign.length === 0) {
+    return next(new AppError('Campaign not found', 404));
+  }
+  
   const stats = await emailService.getCampaignStats(campaignId);
   
   if (stats.error) {
@@ -145,38 +538,207 @@ const getCampaignStats = catchAsync(async (req, res, next) => {
   res.status(200).json(new ApiResponse(200, 'Campaign statistics retrieved', stats));
 });
 
+/**
+ * Export every email of a campaign with its opens and clicks as CSV
+ * Rows are streamed as they are read so large campaigns aren't held in memory
+ * GET /api/email/campaigns/:campaignId/export.csv
+ */
+const exportCampaignResults = catchAsync(async (req, res, next) => {
+  const { campaignId } = req.params;
+  
+  // Only campaigns of the current workspace
+  const scope = organizationService.scopeFilter(getScope(req));
+  const campaign = await db.query(`
+    SELECT id FROM email_campaigns WHERE id = ? AND ${scope.sql}
+  `, [campaignId, ...scope.params]);
+  
+  if (campaign.length === 0) {
+    return next(new AppError('Campaign not found', 404));
+  }
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaignId}.csv"`);
+  res.write(csv.formatRow([
+    'recipient', 'sender', 'subject', 'status', 'sent_at', 'opened_at', 'opens', 'clicks'
+  ]));
+  
+  try {
+    for await (const rows of emailService.getCampaignResults(campaignId)) {
+      // Stop reading when the client went away
+      if (res.destroyed) {
+        return;
+      }
+      
+      const chunk = rows.map(row => csv.formatRow([
+        row.recipient, row.sender, row.subject, row.status,
+        row.sent_at, row.opened_at, row.opens, row.clicks
+      ])).join('');
+      
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+    
+    res.end();
+  } catch (error) {
+    // The status line is already sent, all that's left is cutting the download short
+    logger.error(`Error exporting campaign ${campaignId}: ${error.message}`);
+    res.destroy(error);
+  }
+});
+
 /**
  * Get all email campaigns
  * GET /api/email/campaigns
  */
 const getAllCampaigns = catchAsync(async (req, res, next) => {
-  const campaigns = await db.query(`
-    SELECT 
-      c.*,
-      (SELECT COUNT(*) FROM emails WHERE campaign_id = c.id) as total_emails,
-      (SELECT COUNT(*) FROM emails WHERE campaign_id = c.id AND status = 'opened') as opened_emails
-    FROM email_campaigns c
-    WHERE c.sender IN (
-      SELECT email FROM email_credentials WHERE user_id = ?
-    )
-    ORDER BY c.created_at DESC
-  `, [req.user.id]);
+  const campaigns = await campaignService.listCampaigns(getScope(req), {
+    status: req.query.status
+  });
   
   res.status(200).json(new ApiResponse(200, 'Campaigns retrieved successfully', campaigns));
 });
 
+/**
+ * Get a campaign with its settings and progress
+ * GET /api/email/campaigns/:campaignId
+ */
+const getCampaign = catchAsync(async (req, res, next) => {
+  const campaign = await findWorkspaceCampaign(req);
+  
+  res.status(200).json(new ApiResponse(200, 'Campaign retrieved successfully', campaign));
+});
+
+/**
+ * Create a draft campaign, launched later with POST /campaigns/:campaignId/launch
+ * Takes the /send-bulk fields (without sendAt/timezone) and a required `name`
+ * POST /api/email/campaigns
+ */
+const createCampaign = catchAsync(async (req, res, next) => {
+  if (req.body.name === undefined) {
+    return next(new AppError('Campaign name is required', 400));
+  }
+  
+  const settings = await getDraftSettings(req, req.body);
+  const campaignId = await campaignService.createDraft(getScope(req), settings);
+  const campaign = await campaignService.getCampaign(getScope(req), campaignId);
+  
+  res.status(201).json(new ApiResponse(201, 'Draft campaign created successfully', campaign));
+});
+
+/**
+ * Change a draft campaign, fields left out keep their value and null clears them
+ * PATCH /api/email/campaigns/:campaignId
+ */
+const updateCampaign = catchAsync(async (req, res, next) => {
+  const campaign = await findWorkspaceCampaign(req);
+  campaignService.assertTransition(campaign, 'edit');
+  
+  await campaignService.updateDraft(campaign, await getDraftSettings(req, req.body));
+  const updated = await campaignService.getCampaign(getScope(req), campaign.id);
+  
+  res.status(200).json(new ApiResponse(200, 'Draft campaign updated successfully', updated));
+});
+
+/**
+ * Launch a draft campaign now, or at `sendAt` in `timezone`
+ * POST /api/email/campaigns/:campaignId/launch
+ */
+const launchCampaign = catchAsync(async (req, res, next) => {
+  const { sendAt, timezone } = req.body || {};
+  const campaign = await findWorkspaceCampaign(req);
+  
+  // Claiming the draft makes a second launch fail instead of queueing everything twice
+  await campaignService.claimDraft(campaign);
+  
+  let launched;
+  try {
+    launched = await queueCampaign(req, campaign.id, {
+      ...draftToSettings(campaign),
+      sendAt,
+      timezone
+    });
+    if (!launched.result) {
+      throw new AppError(
+        'All recipients are suppressed, nothing was queued',
+        400,
+        'AUDIENCE_SUPPRESSED',
+        { suppressed: launched.suppressed }
+      );
+    }
+  } catch (error) {
+    await campaignService.releaseDraft(campaign.id);
+    throw error;
+  }
+  
+  const { result, suppressed, quota } = launched;
+  res.status(202).json(new ApiResponse(
+    202,
+    result.sendAt
+      ? `Campaign scheduled for ${result.sendAt}, ${result.totalQueued} emails`
+      : `Campaign launched, ${result.totalQueued} emails queued for sending`,
+    { ...result, suppressed, quota }
+  ));
+});
+
+/**
+ * Pause a running campaign, emails being sent go out and the others wait for a resume
+ * POST /api/email/campaigns/:campaignId/pause
+ */
+const pauseCampaign = catchAsync(async (req, res, next) => {
+  const campaign = await findWorkspaceCampaign(req, { sending: true });
+  const held = await campaignService.pauseCampaign(campaign);
+  const updated = await campaignService.getCampaign(getScope(req), campaign.id);
+  
+  res.status(200).json(new ApiResponse(200, `Campaign paused, ${held} email(s) held back`, updated));
+});
+
+/**
+ * Resume a paused campaign
+ * POST /api/email/campaigns/:campaignId/resume
+ */
+const resumeCampaign = catchAsync(async (req, res, next) => {
+  const campaign = await findWorkspaceCampaign(req, { sending: true });
+  const resumed = await campaignService.resumeCampaign(campaign);
+  const updated = await campaignService.getCampaign(getScope(req), campaign.id);
+  
+  res.status(200).json(new ApiResponse(
+    200,
+    `Campaign resumed, ${resumed} email(s) back on the queue`,
+    updated
+  ));
+});
+
+/**
+ * Cancel a draft, scheduled, running or paused campaign, emails not sent yet are dropped
+ * POST /api/email/campaigns/:campaignId/cancel
+ */
+const cancelCampaign = catchAsync(async (req, res, next) => {
+  const campaign = await findWorkspaceCampaign(req, { sending: true });
+  const cancelled = await campaignService.cancelCampaign(campaign);
+  const updated = await campaignService.getCampaign(getScope(req), campaign.id);
+  
+  res.status(200).json(new ApiResponse(
+    200,
+    `Campaign cancelled, ${cancelled} email(s) will not be sent`,
+    updated
+  ));
+});
+
 /**
  * Get email templates
  * GET /api/email/templates
  */
 const getEmailTemplates = catchAsync(async (req, res, next) => {
-  const templates = await emailService.getEmailTemplates(req.user.id);
+  const templates = await emailService.getEmailTemplates(req.user.id, getOrganizationId(req));
   
   res.status(200).json(new ApiResponse(200, 'Email templates retrieved', templates));
 });
 
 /**
  * Create or update email template
+ * Every save creates a new version of the template
  * POST /api/email/templates
  */
 const saveEmailTemplate = catchAsync(async (req, res, next) => {
@@ -191,125 +753,200 @@ const saveEmailTemplate = catchAsync(async (req, res, next) => {
     return next(new AppError('Either HTML or text content is required', 400));
   }
   
-  const templateId = await emailService.saveEmailTemplate({
-    id,
-    name,
-    subject,
-    html,
-    text,
-    userId: req.user.id,
-    isPublic: isPublic || false
-  });
+  const saved = await templateService.saveTemplate(
+    getScope(req),
+    { id, name, subject, html, text, isPublic: isPublic || false },
+    req.user.id
+  );
   
   res.status(200).json(new ApiResponse(
     200, 
     id ? 'Email template updated' : 'Email template created', 
-    { templateId }
+    saved
   ));
 });
 
 /**
- * Delete email template
+ * Delete email template with its versions
  * DELETE /api/email/templates/:templateId
  */
 const deleteEmailTemplate = catchAsync(async (req, res, next) => {
-  const { templateId } = req.params;
+  const deleted = await templateService.deleteTemplate(getScope(req), req.params.templateId);
+  
+  if (!deleted) {
+    return next(new AppError('Template not found or unauthorized', 404));
+  }
+  
+  res.status(200).json(new ApiResponse(200, 'Email template deleted successfully'));
+});
+
+/**
+ * Get the version history of a template
+ * GET /api/email/templates/:templateId/versions
+ */
+const getTemplateVersions = catchAsync(async (req, res, next) => {
+  const template = await templateService.findTemplate(getScope(req), req.params.templateId, {
+    includePublic: true
+  });
+  if (!template) {
+    return next(new AppError('Template not found or unauthorized', 404));
+  }
   
-  // Check if template exists and belongs to user
-  const template = await db.query(`
-    SELECT * FROM email_templates WHERE id = ? AND user_id = ?
-  `, [templateId, req.user.id]);
+  const versions = await templateService.listVersions(template.id);
   
-  if (template.length === 0) {
+  res.status(200).json(new ApiResponse(200, 'Template versions retrieved', {
+    templateId: template.id,
+    currentVersion: template.current_version,
+    versions
+  }));
+});
+
+/**
+ * Get one version of a template with its content
+ * GET /api/email/templates/:templateId/versions/:version
+ */
+const getTemplateVersion = catchAsync(async (req, res, next) => {
+  const template = await templateService.findTemplate(getScope(req), req.params.templateId, {
+    includePublic: true
+  });
+  if (!template) {
     return next(new AppError('Template not found or unauthorized', 404));
   }
   
-  // Delete template
-  await db.query(`DELETE FROM email_templates WHERE id = ?`, [templateId]);
+  const version = await templateService.getVersion(template.id, req.params.version);
+  if (!version) {
+    return next(new AppError(`Template version ${req.params.version} not found`, 404));
+  }
   
-  res.status(200).json(new ApiResponse(200, 'Email template deleted successfully'));
+  res.status(200).json(new ApiResponse(200, 'Template version retrieved', version));
 });
 
 /**
- * Save email credentials
- * POST /api/email/credentials
+ * Roll a template back to an earlier version (saved as a new version)
+ * POST /api/email/templates/:templateId/versions/:version/restore
  */
-const saveEmailCredentials = catchAsync(async (req, res, next) => {
-  const {
-    email, provider, clientId, clientSecret, refreshToken, accessToken,
-    redirectUri, isDefault
-  } = req.body;
+const restoreTemplateVersion = catchAsync(async (req, res, next) => {
+  const restored = await templateService.restoreVersion(
+    getScope(req),
+    req.params.templateId,
+    req.params.version,
+    req.user.id
+  );
   
-  // Validate required fields
-  if (!email || !provider) {
-    return next(new AppError('Email address and provider are required', 400));
+  res.status(200).json(new ApiResponse(
+    200,
+    `Template restored to version ${restored.restoredFrom}`,
+    restored
+  ));
+});
+
+/**
+ * Render a template against sample recipient data
+ * POST /api/email/templates/:templateId/preview
+ */
+const previewTemplate = catchAsync(async (req, res, next) => {
+  const rendered = await renderTemplateForRequest(req);
+  
+  res.status(200).json(new ApiResponse(200, 'Template rendered', rendered));
+});
+
+/**
+ * Render a template against sample data and send it to the caller's own address
+ * POST /api/email/templates/:templateId/test-send
+ */
+const testSendTemplate = catchAsync(async (req, res, next) => {
+  const rendered = await renderTemplateForRequest(req);
+  
+  const credentials = await getCredentials(req.body.credentialId, req.user.id, getOrganizationId(req));
+  if (!credentials) {
+    return next(new AppError('Email credentials not found', 404));
   }
+  apiKeyService.assertCredentialAllowed(req.apiKey, credentials.id);
   
-  if (provider === 'gmail' && (!clientId || !clientSecret || !refreshToken)) {
-    return next(new AppError('OAuth2 credentials are required for Gmail', 400));
+  const quota = await quotaService.reserve(credentials, 1);
+  if (!quota.allowed) {
+    return next(quotaService.quotaExceededError(credentials, quota));
   }
   
-  // If setting as default, update all others to non-default
-  if (isDefault) {
-    await db.query(`
-      UPDATE email_credentials SET is_default = FALSE 
-      WHERE user_id = ? AND provider = ?
-    `, [req.user.id, provider]);
+  let result;
+  try {
+    result = await emailService.sendEmail(credentials, {
+      to: req.user.email,
+      subject: `[Test] ${rendered.subject}`,
+      text: rendered.text || undefined,
+      html: rendered.html || undefined,
+      enableTracking: false
+    });
+  } catch (error) {
+    // The test email didn't go out, so it doesn't count towards the quota
+    await quotaService.release(credentials, 1, quota.reservedAt);
+    return next(new AppError(error.message, 502));
   }
   
-  // Check if credentials already exist
-  const existingCreds = await db.query(`
-    SELECT id FROM email_credentials WHERE user_id = ? AND email = ? AND provider = ?
-  `, [req.user.id, email, provider]);
+  res.status(200).json(new ApiResponse(200, `Test email sent to ${req.user.email}`, {
+    ...rendered,
+    messageId: result.messageId,
+    to: req.user.email
+  }));
+});
+
+/**
+ * Get the template partials of the current workspace
+ * GET /api/email/partials
+ */
+const getEmailPartials = catchAsync(async (req, res, next) => {
+  const partials = await templateService.listPartials(getScope(req));
   
-  let credentialId;
+  res.status(200).json(new ApiResponse(200, 'Partials retrieved successfully', partials));
+});
+
+/**
+ * Create or replace a template partial, used in templates as {{> name}}
+ * PUT /api/email/partials/:name
+ */
+const saveEmailPartial = catchAsync(async (req, res, next) => {
+  await templateService.savePartial(getScope(req), req.params.name, req.body.content);
   
-  if (existingCreds.length > 0) {
-    // Update existing credentials
-    credentialId = existingCreds[0].id;
-    
-    await db.query(`
-      UPDATE email_credentials 
-      SET 
-        client_id = ?,
-        client_secret = ?,
-        refresh_token = ?,
-        access_token = ?,
-        redirect_uri = ?,
-        is_default = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, [
-      clientId,
-      clientSecret,
-      refreshToken,
-      accessToken,
-      redirectUri,
-      isDefault || false,
-      credentialId
-    ]);
-  } else {
-    // Create new credentials
-    const result = await db.query(`
-      INSERT INTO email_credentials (
-        user_id, email, provider, client_id, client_secret, 
-        refresh_token, access_token, redirect_uri, is_default
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      req.user.id,
-      email,
-      provider,
-      clientId,
-      clientSecret,
-      refreshToken,
-      accessToken,
-      redirectUri,
-      isDefault || false
-    ]);
-    
-    credentialId = result.insertId;
+  res.status(200).json(new ApiResponse(200, 'Partial saved successfully', { name: req.params.name }));
+});
+
+/**
+ * Delete a template partial
+ * DELETE /api/email/partials/:name
+ */
+const deleteEmailPartial = catchAsync(async (req, res, next) => {
+  const deleted = await templateService.deletePartial(getScope(req), req.params.name);
+  
+  if (!deleted) {
+    return next(new AppError('Partial not found', 404));
   }
   
+  res.status(200).json(new ApiResponse(200, 'Partial deleted successfully'));
+});
+
+/**
+ * Save email credentials
+ * POST /api/email/credentials
+ */
+const saveEmailCredentials = catchAsync(async (req, res, next) => {
+  const { email, provider, isDefault } = req.body;
+  
+  // Validate required fields
+  if (!email || !provider) {
+    return next(new AppError('Email address and provider are required', 400));
+  }
+  
+  // Check and normalize the provider specific fields (OAuth2 tokens, SMTP host, API key...)
+  const fields = providers.validateCredentials(provider, req.body);
+  
+  const credentialId = await credentialService.saveCredentials(req.user.id, {
+    email,
+    provider,
+    isDefault: Boolean(isDefault),
+    fields,
+    organizationId: getOrganizationId(req)
+  });
+  
   res.status(200).json(new ApiResponse(
     200, 
     'Email credentials saved successfully', 
@@ -322,13 +959,16 @@ const saveEmailCredentials = catchAsync(async (req, res, next) => {
  * GET /api/email/credentials
  */
 const getEmailCredentialsList = catchAsync(async (req, res, next) => {
+  const scope = organizationService.scopeFilter(getScope(req));
   const credentials = await db.query(`
     SELECT 
-      id, user_id, email, provider, redirect_uri, is_default, created_at, updated_at
+      id, user_id, organization_id, email, provider, redirect_uri, config, status, status_reason,
+      token_expires_at, is_default, daily_quota, hourly_quota, per_minute_limit,
+      created_at, updated_at
     FROM email_credentials 
-    WHERE user_id = ?
+    WHERE ${scope.sql}
     ORDER BY is_default DESC, updated_at DESC
-  `, [req.user.id]);
+  `, scope.params);
   
   // Remove sensitive data
   credentials.forEach(cred => {
@@ -336,6 +976,8 @@ const getEmailCredentialsList = catchAsync(async (req, res, next) => {
     delete cred.client_secret;
     delete cred.refresh_token;
     delete cred.access_token;
+    delete cred.secret;
+    cred.config = cred.config ? JSON.parse(cred.config) : null;
   });
   
   res.status(200).json(new ApiResponse(200, 'Credentials retrieved successfully', credentials));
@@ -348,10 +990,11 @@ const getEmailCredentialsList = catchAsync(async (req, res, next) => {
 const deleteEmailCredentials = catchAsync(async (req, res, next) => {
   const { credentialId } = req.params;
   
-  // Check if credentials exist and belong to user
+  // Check if credentials exist and belong to the current workspace
+  const scope = organizationService.scopeFilter(getScope(req));
   const credential = await db.query(`
-    SELECT * FROM email_credentials WHERE id = ? AND user_id = ?
-  `, [credentialId, req.user.id]);
+    SELECT * FROM email_credentials WHERE id = ? AND ${scope.sql}
+  `, [credentialId, ...scope.params]);
   
   if (credential.length === 0) {
     return next(new AppError('Credentials not found or unauthorized', 404));
@@ -359,56 +1002,550 @@ const deleteEmailCredentials = catchAsync(async (req, res, next) => {
   
   // Delete credentials
   await db.query(`DELETE FROM email_credentials WHERE id = ?`, [credentialId]);
+  providers.invalidateTransport(credential[0].id);
   
   res.status(200).json(new ApiResponse(200, 'Email credentials deleted successfully'));
 });
 
 /**
- * Helper function to get credentials from database
+ * Get a credential's sending quotas and how much of them is used
+ * GET /api/email/credentials/:credentialId/usage
+ */
+const getCredentialUsage = catchAsync(async (req, res, next) => {
+  const credentials = await findWorkspaceCredential(req);
+  if (!credentials) {
+    return next(new AppError('Credentials not found or unauthorized', 404));
+  }
+  
+  const usage = await quotaService.getUsage(credentials);
+  
+  res.status(200).json(new ApiResponse(200, 'Credential usage retrieved successfully', {
+    credentialId: credentials.id,
+    email: credentials.email,
+    provider: credentials.provider,
+    ...usage
+  }));
+});
+
+/**
+ * Set a credential's own sending quotas, null restores the provider default
+ * PATCH /api/email/credentials/:credentialId/quotas
  */
-const getCredentials = async (credentialId, userId) => {
-  let query = `
-    SELECT * FROM email_credentials 
-    WHERE user_id = ? 
-  `;
+const updateCredentialQuotas = catchAsync(async (req, res, next) => {
+  const credentials = await findWorkspaceCredential(req);
+  if (!credentials) {
+    return next(new AppError('Credentials not found or unauthorized', 404));
+  }
+  
+  const { dailyQuota, hourlyQuota, perMinuteLimit } = req.body;
+  await quotaService.updateLimits(credentials.id, { dailyQuota, hourlyQuota, perMinuteLimit });
+  
+  const limits = quotaService.getLimits({
+    ...credentials,
+    ...(dailyQuota !== undefined && { dailyQuota }),
+    ...(hourlyQuota !== undefined && { hourlyQuota }),
+    ...(perMinuteLimit !== undefined && { perMinuteLimit })
+  });
   
-  const params = [userId];
+  res.status(200).json(new ApiResponse(200, 'Credential quotas updated successfully', limits));
+});
+
+/**
+ * Helper function to get the subject and bodies of a send: the request's own, or those of the
+ * stored `templateId` with any of subject/text/html in the request taking their place
+ */
+const getMessageContent = async (req, templateId, { subject, text, html } = req.body) => {
+  if (!templateId) {
+    return { subject, text, html };
+  }
+  
+  // API keys need to be allowed to read templates to send them
+  if (req.apiKey && !req.apiKey.scopes.includes('templates:read')) {
+    throw new AppError('This API key is missing the required scope: templates:read', 403);
+  }
   
-  if (credentialId) {
-    query += ` AND id = ?`;
-    params.push(credentialId);
+  const template = await templateService.getTemplateForSending(getScope(req), templateId);
+  
+  return {
+    subject: subject ?? template.subject,
+    text: text ?? template.text_content,
+    html: html ?? template.html_content
+  };
+};
+
+/**
+ * Helper function to queue a campaign to everyone in its audience, as /send-bulk does
+ * `settings` are the /send-bulk request fields, a draft being launched passes its own
+ * @returns {Promise<{result: object|null, suppressed: string[], quota?: object}>} `result` is null
+ *   when every recipient is suppressed and nothing was queued
+ */
+const queueCampaign = async (req, campaignId, settings) => {
+  const {
+    recipients, listId, tag, name, attachments,
+    enableTracking, trackClicks, includeUnsubscribe, templateId, variables, credentialId,
+    credentialIds, rotation, rotationStrategy, weights, strictVariables, sendAt, timezone
+  } = settings;
+  
+  // Send to the given recipients, or to the contacts of a list and/or tag
+  const audience = await getAudience(req, { recipients, listId, tag });
+  
+  // Start from the stored template when one is given, fields in the request override it
+  const { subject, text, html } = await getMessageContent(req, templateId, settings);
+  
+  if (!subject) {
+    throw new AppError('Email subject is required', 400);
+  }
+  
+  if (!text && !html) {
+    throw new AppError('Either text or HTML content is required', 400);
+  }
+  
+  assertVariables(variables);
+  
+  const scheduledAt = sendAt ? parseSendAt(sendAt, timezone) : null;
+  
+  // Spread the campaign over several credentials, or use a single one (the default if none given)
+  let senderRotation = null;
+  let credentials;
+  if (credentialIds !== undefined || rotation !== undefined) {
+    const senders = await getRotationSenders(req, { credentialIds, rotation });
+    senderRotation = {
+      strategy: rotationService.parseStrategy(rotationStrategy),
+      pool: rotationService.buildPool(senders, weights)
+    };
+    credentials = senders[0];
   } else {
-    query += ` AND is_default = TRUE`;
+    credentials = await getCredentials(credentialId, req.user.id, getOrganizationId(req));
+    if (!credentials) {
+      throw new AppError('Email credentials not found', 404);
+    }
+    apiKeyService.assertCredentialAllowed(req.apiKey, credentials.id);
   }
   
-  query += ` LIMIT 1`;
+  // Skip addresses the workspace has suppressed
+  const suppressedEmails = await suppressionService.findSuppressed(
+    getScope(req),
+    audience.map(recipient => recipient.email)
+  );
+  const isSuppressed = (recipient) =>
+    suppressedEmails.has(suppressionService.normalizeEmail(recipient.email));
+  // `variables` are shared by every recipient, their own fields take precedence
+  const allowedRecipients = audience
+    .filter(recipient => !isSuppressed(recipient))
+    .map(recipient => ({ ...variables, ...recipient }));
+  const suppressed = audience.filter(isSuppressed).map(recipient => recipient.email);
+  
+  if (allowedRecipients.length === 0) {
+    return { result: null, suppressed };
+  }
   
-  const credentials = await db.query(query, params);
+  // Render every recipient once so template mistakes are reported before anything is queued
+  templateService.assertRenderable(
+    { subject, text, html },
+    allowedRecipients,
+    recipient => (includeUnsubscribe !== false ? { ...recipient, unsubscribe_url: '' } : recipient),
+    { partials: await templateService.getPartials(getScope(req)), strict: Boolean(strictVariables) }
+  );
   
-  if (credentials.length === 0) {
+  // Queue one job per recipient, the email worker sends them in the background
+  const result = await emailService.sendBulkEmails(
+    credentials,
+    allowedRecipients,
+    {
+      name,
+      subject,
+      text,
+      html,
+      attachments,
+      enableTracking,
+      trackClicks,
+      includeUnsubscribe,
+      templateId,
+      strictVariables: Boolean(strictVariables),
+      suppressedCount: suppressed.length
+    },
+    campaignId,
+    scheduledAt && { sendAt: scheduledAt, timezone: timezone || 'UTC' },
+    senderRotation
+  );
+  
+  // Jobs past the credential's quotas wait in the queue until the quota resets
+  const quota = await quotaService.getUsage(credentials);
+  
+  return { result, suppressed, quota };
+};
+
+/**
+ * Helper function to wait until a response can take more data, or the client disconnected
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Helper function to check the audience of a bulk send: `recipients`, or a list `listId`
+ * and/or a `tag` of contacts
+ * @returns {{recipients: object[]}|{listId?: string, tag?: string}}
+ */
+const checkAudience = ({ recipients, listId, tag }) => {
+  if (listId || tag) {
+    if (recipients !== undefined) {
+      throw new AppError('Send to either recipients or a listId/tag audience, not both', 400);
+    }
+    return { listId, tag };
+  }
+  
+  if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
+    throw new AppError('Valid recipients array (or a listId or tag) is required', 400);
+  }
+  if (recipients.some(recipient => !recipient || !recipient.email)) {
+    throw new AppError('Every recipient needs an email address', 400);
+  }
+  
+  return { recipients };
+};
+
+/**
+ * Helper function to get the recipients of a bulk send: the `recipients` given,
+ * or the workspace's contacts on list `listId` and/or tagged `tag`
+ */
+const getAudience = async (req, settings) => {
+  const { recipients, listId, tag } = checkAudience(settings);
+  if (recipients) {
+    return recipients;
+  }
+  
+  // API keys need to be allowed to read contacts to send to them
+  if (req.apiKey && !req.apiKey.scopes.includes('contacts:read')) {
+    throw new AppError('This API key is missing the required scope: contacts:read', 403);
+  }
+  
+  const audience = await contactService.resolveAudience(getScope(req), { listId, tag });
+  if (audience.length === 0) {
+    throw new AppError('The audience has no contacts', 400);
+  }
+  
+  return audience;
+};
+
+/**
+ * Helper function to check the template variables of a send
+ */
+const assertVariables = (variables) => {
+  if (variables !== undefined && (variables === null || typeof variables !== 'object' || Array.isArray(variables))) {
+    throw new AppError('variables must be an object', 400);
+  }
+};
+
+/**
+ * Helper function to render message content, template problems become a 400
+ */
+const renderContent = (content, data, options) => {
+  try {
+    return templateService.renderContent(content, data, options);
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      throw new AppError(error.message, 400, 'TEMPLATE_ERROR', { missing: error.missing });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Helper function to render the template (or the requested `version` of it) in the request
+ * with the sample recipient `data` from the body
+ */
+const renderTemplateForRequest = async (req) => {
+  const { data = {}, version, strictVariables } = req.body;
+  
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new AppError('data must be an object of sample recipient fields', 400);
+  }
+  
+  const template = await templateService.findTemplate(getScope(req), req.params.templateId, {
+    includePublic: true
+  });
+  if (!template) {
+    throw new AppError('Template not found or unauthorized', 404);
+  }
+  
+  const content = version !== undefined
+    ? await templateService.getVersion(template.id, version)
+    : template;
+  if (!content) {
+    throw new AppError(`Template version ${version} not found`, 404);
+  }
+  
+  const rendered = renderContent(
+    { subject: content.subject, text: content.text_content, html: content.html_content },
+    { unsubscribe_url: '#unsubscribe', ...data },
+    {
+      partials: await templateService.getPartials(getScope(req)),
+      strict: Boolean(strictVariables)
+    }
+  );
+  
+  return { ...rendered, version: version !== undefined ? content.version : template.current_version };
+};
+
+/**
+ * Helper function to resolve the credentials a bulk send rotates through:
+ * the listed `credentialIds`, or every active credential of the workspace with `rotation: 'all'`
+ */
+const getRotationSenders = async (req, { credentialIds, rotation }) => {
+  const organizationId = getOrganizationId(req);
+  
+  if (rotation !== undefined) {
+    if (rotation !== 'all') {
+      throw new AppError('rotation must be "all", or list the credentials in credentialIds', 400);
+    }
+    
+    // API keys restricted to some credentials only rotate through those
+    const senders = (await credentialService.getWorkspaceCredentials(req.user.id, organizationId))
+      .filter(sender => !req.apiKey || !req.apiKey.credentialIds ||
+        req.apiKey.credentialIds.includes(String(sender.id)));
+    if (senders.length === 0) {
+      throw new AppError('No active email credentials to rotate through', 404);
+    }
+    return senders;
+  }
+  
+  if (!Array.isArray(credentialIds) || credentialIds.length === 0) {
+    throw new AppError('credentialIds must be a non-empty array', 400);
+  }
+  
+  const senders = [];
+  for (const id of new Set(credentialIds.map(String))) {
+    const sender = await getCredentials(id, req.user.id, organizationId);
+    if (!sender) {
+      throw new AppError(`Email credentials ${id} not found`, 404);
+    }
+    apiKeyService.assertCredentialAllowed(req.apiKey, sender.id);
+    senders.push(sender);
+  }
+  
+  return senders;
+};
+
+/**
+ * Helper function to find a campaign of the current workspace by the :campaignId param
+ * With `sending`, API keys must also be allowed to use the campaign's credential
+ */
+const findWorkspaceCampaign = async (req, { sending = false } = {}) => {
+  const campaign = await campaignService.getCampaign(getScope(req), req.params.campaignId);
+  if (!campaign) {
+    throw new AppError('Campaign not found', 404);
+  }
+  
+  if (sending && campaign.credential_id) {
+    apiKeyService.assertCredentialAllowed(req.apiKey, campaign.credential_id);
+  }
+  
+  return campaign;
+};
+
+/**
+ * Helper function to check the /send-bulk fields of a draft campaign, as stored by campaignService
+ * Fields left undefined are left out; credentials and the audience are checked now, the
+ * recipients themselves when the draft is launched
+ */
+const getDraftSettings = async (req, body) => {
+  const {
+    name, subject, text, html, templateId, recipients, listId, tag, variables, attachments,
+    credentialId, credentialIds, rotation, rotationStrategy, weights,
+    enableTracking, trackClicks, includeUnsubscribe, strictVariables
+  } = body;
+  const settings = { subject, text, html, variables, attachments };
+  
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AppError('Campaign name is required', 400);
+    }
+    settings.name = name.trim();
+  }
+  
+  // Template mistakes are reported while editing rather than at launch
+  for (const field of ['subject', 'text', 'html']) {
+    if (typeof body[field] === 'string') {
+      templateService.assertValidTemplate(body[field], field);
+    }
+  }
+  
+  if (templateId !== undefined) {
+    if (templateId !== null) {
+      await getMessageContent(req, templateId, {});
+    }
+    settings.templateId = templateId;
+  }
+  
+  if (variables !== null) {
+    assertVariables(variables);
+  }
+  
+  // The audience is replaced as a whole
+  if (recipients !== undefined || listId !== undefined || tag !== undefined) {
+    settings.audience = checkAudience({ recipients, listId, tag });
+    if (settings.audience.listId && !(await contactService.getList(getScope(req), listId))) {
+      throw new AppError('List not found', 404);
+    }
+  }
+  
+  // One credential, or a pool to rotate through whose first credential is the campaign's own
+  if (credentialIds !== undefined || rotation !== undefined) {
+    const senders = await getRotationSenders(req, { credentialIds, rotation });
+    Object.assign(settings, {
+      credentialId: senders[0].id,
+      sender: senders[0].email,
+      senderPool: rotationService.buildPool(senders, weights),
+      rotationStrategy: rotationService.parseStrategy(rotationStrategy)
+    });
+  } else if (credentialId !== undefined) {
+    const credentials = await getCredentials(credentialId, req.user.id, getOrganizationId(req));
+    if (!credentials) {
+      throw new AppError('Email credentials not found', 404);
+    }
+    apiKeyService.assertCredentialAllowed(req.apiKey, credentials.id);
+    Object.assign(settings, {
+      credentialId: credentials.id,
+      sender: credentials.email,
+      senderPool: null,
+      rotationStrategy: null
+    });
+  }
+  
+  for (const [flag, value] of Object.entries({
+    enableTracking, trackClicks, includeUnsubscribe, strictVariables
+  })) {
+    if (value !== undefined) {
+      settings[flag] = Boolean(value);
+    }
+  }
+  
+  return settings;
+};
+
+/**
+ * Helper function to turn a draft campaign back into /send-bulk fields for queueCampaign()
+ */
+const draftToSettings = (campaign) => {
+  const parse = (value) => (value ? JSON.parse(value) : undefined);
+  const pool = parse(campaign.sender_pool);
+  
+  return {
+    ...parse(campaign.audience),
+    name: campaign.name,
+    subject: campaign.subject || undefined,
+    text: campaign.text_content || undefined,
+    html: campaign.html_content || undefined,
+    templateId: campaign.template_id || undefined,
+    variables: parse(campaign.variables),
+    attachments: parse(campaign.attachments),
+    credentialId: pool ? undefined : campaign.credential_id || undefined,
+    credentialIds: pool && pool.map(sender => sender.id),
+    weights: pool && Object.fromEntries(pool.map(sender => [sender.id, sender.weight])),
+    rotationStrategy: campaign.rotation_strategy || undefined,
+    enableTracking: Boolean(campaign.enable_tracking),
+    trackClicks: Boolean(campaign.track_clicks),
+    includeUnsubscribe: Boolean(campaign.include_unsubscribe),
+    strictVariables: Boolean(campaign.strict_variables)
+  };
+};
+
+/**
+ * Helper function to find a credential of the current workspace by the :credentialId param
+ */
+const findWorkspaceCredential = async (req) => {
+  const scope = organizationService.scopeFilter(getScope(req));
+  const rows = await db.query(`
+    SELECT id, email, provider, daily_quota, hourly_quota, per_minute_limit
+    FROM email_credentials WHERE id = ? AND ${scope.sql}
+  `, [req.params.credentialId, ...scope.params]);
+  
+  if (rows.length === 0) {
     return null;
   }
   
+  const row = rows[0];
   return {
-    email: credentials[0].email,
-    clientId: credentials[0].client_id,
-    clientSecret: credentials[0].client_secret,
-    refreshToken: credentials[0].refresh_token,
-    accessToken: credentials[0].access_token,
-    redirectUri: credentials[0].redirect_uri
+    id: row.id,
+    email: row.email,
+    provider: row.provider,
+    dailyQuota: row.daily_quota,
+    hourlyQuota: row.hourly_quota,
+    perMinuteLimit: row.per_minute_limit
   };
 };
 
+/**
+ * Helper function to get the organization the request works in (null for the personal workspace)
+ */
+const getOrganizationId = (req) => (req.organization ? req.organization.id : null);
+
+/**
+ * Helper function to get the owner filter for the current workspace
+ */
+const getScope = (req) => ({ userId: req.user.id, organizationId: getOrganizationId(req) });
+
+/**
+ * Helper function to escape text placed in HTML pages
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
 module.exports = {
   sendEmail,
   sendBulkEmails,
+  getScheduledEmails,
+  rescheduleEmail,
+  cancelScheduledEmail,
+  getFailedEmails,
+  getFailedEmail,
+  retryFailedEmail,
+  getEmailSettings,
+  updateEmailSettings,
   trackEmailOpen,
+  trackEmailClick,
+  showUnsubscribePage,
+  unsubscribe,
+  getSuppressions,
+  addSuppressions,
+  deleteSuppression,
   getCampaignStats,
+  exportCampaignResults,
   getAllCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  launchCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
   getEmailTemplates,
   saveEmailTemplate,
   deleteEmailTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  restoreTemplateVersion,
+  previewTemplate,
+  testSendTemplate,
+  getEmailPartials,
+  saveEmailPartial,
+  deleteEmailPartial,
   saveEmailCredentials,
   getEmailCredentialsList,
-  deleteEmailCredentials
+  deleteEmailCredentials,
+  getCredentialUsage,
+  updateCredentialQuotas
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+const logger = require('../config/logger');
+const { AppError, catchAsync, ApiResponse } = require('../utils/responseHandler');
+const organizationService = require('../services/organizationService');
+const systemMailer = require('../services/systemMailer');
+const providers = require('../services/providers');
+
+const INVITE_TTL_DAYS = 7;
+
+/**
+ * Create an organization, the creator becomes its owner
+ * POST /api/organizations
+ */
+const createOrganization = catchAsync(async (req, res, next) => {
+  const organization = await organizationService.createOrganization(req.user.id, req.body.name);
+
+  res.status(201).json(new ApiResponse(201, 'Organization created successfully', organization));
+});
+
+/**
+ * List the organizations the user belongs to
+ * GET /api/organizations
+ */
+const getOrganizations = catchAsync(async (req, res, next) => {
+  const organizations = await organizationService.listOrganizations(req.user.id);
+
+  res.status(200).json(new ApiResponse(200, 'Organizations retrieved successfully', organizations));
+});
+
+/**
+ * Get an organization with its members
+ * GET /api/organizations/:organizationId
+ */
+const getOrganization = catchAsync(async (req, res, next) => {
+  const members = await organizationService.listMembers(req.organization.id);
+
+  res.status(200).json(
+    new ApiResponse(200, 'Organization retrieved successfully', {
+      ...req.organization,
+      permissions: organizationService.permissionsFor(req.organization.role),
+      members,
+    })
+  );
+});
+
+/**
+ * Rename an organization
+ * PATCH /api/organizations/:organizationId
+ */
+const updateOrganization = catchAsync(async (req, res, next) => {
+  await organizationService.renameOrganization(req.organization.id, req.body.name);
+
+  res.status(200).json(new ApiResponse(200, 'Organization updated successfully'));
+});
+
+/**
+ * Delete an organization with its credentials and templates
+ * DELETE /api/organizations/:organizationId
+ */
+const deleteOrganization = catchAsync(async (req, res, next) => {
+  const credentialIds = await organizationService.deleteOrganization(req.organization.id);
+  credentialIds.forEach((id) => providers.invalidateTransport(id));
+
+  res.status(200).json(new ApiResponse(200, 'Organization deleted successfully'));
+});
+
+/**
+ * Change a member's role
+ * PATCH /api/organizations/:organizationId/members/:userId
+ */
+const updateMember = catchAsync(async (req, res, next) => {
+  await organizationService.updateMemberRole(
+    req.organization.id,
+    req.organization.role,
+    req.params.userId,
+    req.body.role
+  );
+
+  res.status(200).json(new ApiResponse(200, 'Member role updated successfully'));
+});
+
+/**
+ * Remove a member, or leave the organization when it's the user's own id
+ * DELETE /api/organizations/:organizationId/members/:userId
+ */
+const removeMember = catchAsync(async (req, res, next) => {
+  const leaving = req.params.userId === req.user.id;
+
+  if (!leaving && !organizationService.hasPermission(req.organization.role, 'members:manage')) {
+    return next(
+      new AppError(`Your role (${req.organization.role}) does not allow this: members:manage`, 403)
+    );
+  }
+
+  await organizationService.removeMember(
+    req.organization.id,
+    leaving ? null : req.organization.role,
+    req.params.userId
+  );
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, leaving ? 'You left the organization' : 'Member removed'));
+});
+
+/**
+ * List pending invites
+ * GET /api/organizations/:organizationId/invites
+ */
+const getInvites = catchAsync(async (req, res, next) => {
+  const invites = await organizationService.listInvites(req.organization.id);
+
+  res.status(200).json(new ApiResponse(200, 'Invites retrieved successfully', invites));
+});
+
+/**
+ * Invite someone by email
+ * POST /api/organizations/:organizationId/invites
+ */
+const createInvite = catchAsync(async (req, res, next) => {
+  const { invite, token } = await organizationService.createInvite(
+    req.organization.id,
+    req.organization.role,
+    req.user.id,
+    { email: req.body.email, role: req.body.role }
+  );
+
+  try {
+    await systemMailer.sendSystemEmail(invite.email, 'organizationInvite', {
+      organizationName: req.organization.name,
+      invitedBy: req.user.username || req.user.email,
+      role: invite.role,
+      acceptURL: `${process.env.CLIENT_URL}/invites/${token}`,
+      expiresInDays: INVITE_TTL_DAYS,
+    });
+  } catch (error) {
+    // Without the email nobody can accept it
+    await organizationService.deleteInvite(req.organization.id, invite.id);
+
+    logger.error(`Error sending organization invite: ${error.message}`);
+    return next(new AppError('Error sending the invite email. Please try again later.', 500));
+  }
+
+  res.status(201).json(new ApiResponse(201, `Invite sent to ${invite.email}`, invite));
+});
+
+/**
+ * Withdraw a pending invite
+ * DELETE /api/organizations/:organizationId/invites/:inviteId
+ */
+const deleteInvite = catchAsync(async (req, res, next) => {
+  const deleted = await organizationService.deleteInvite(req.organization.id, req.params.inviteId);
+
+  if (!deleted) {
+    return next(new AppError('Invite not found', 404));
+  }
+
+  res.status(200).json(new ApiResponse(200, 'Invite withdrawn'));
+});
+
+/**
+ * Accept an invite sent to the user's address
+ * POST /api/organizations/invites/:token/accept
+ */
+const acceptInvite = catchAsync(async (req, res, next) => {
+  const organization = await organizationService.acceptInvite(req.user, req.params.token);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, `You joined ${organization.name} as ${organization.role}`, organization)
+    );
+});
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  updateMember,
+  removeMember,
+  getInvites,
+  createInvite,
+  deleteInvite,
+  acceptInvite,
+};
@@ -0,0 +1,57 @@
+const { configDotenv } = require('dotenv');
+
+configDotenv();
+
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   npm run migrate                 Apply all pending migrations
+ *   npm run migrate:rollback        Revert the last applied migration
+ *   npm run migrate:rollback -- 3   Revert the last 3 applied migrations
+ *   npm run migrate:status          List migrations and whether they are applied
+ */
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await db.migrate();
+      logger.info(
+        applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date'
+      );
+      break;
+    }
+    case 'rollback': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Rollback steps must be a positive integer');
+      }
+      const reverted = await db.rollback(steps);
+      logger.info(
+        reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back'
+      );
+      break;
+    }
+    case 'status': {
+      const migrations = await db.migrationStatus();
+      migrations.forEach((migration) => {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown migration command: ${command}`);
+  }
+};
+
+run()
+  .then(() => db.close())
+  .catch(async (error) => {
+    logger.error(`Migration failed: ${error.message}`);
+    await db.close();
+    process.exit(1);
+  });
@@ -0,0 +1,30 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  phone TEXT UNIQUE,
+  email TEXT UNIQUE,
+  username TEXT UNIQUE,
+  password TEXT,
+  bio TEXT,
+  profile_picture TEXT,
+  pic_id TEXT,
+  is_admin INTEGER DEFAULT 0,
+  interests TEXT,
+  vibe_preference TEXT,
+  account_status TEXT DEFAULT 'active',
+  mode_preference TEXT DEFAULT 'light',
+  auth_provider TEXT DEFAULT 'local',
+  auth_provider_id TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  password_changed_at TIMESTAMP NULL DEFAULT NULL,
+  password_reset_token TEXT,
+  password_reset_expires TIMESTAMP NULL DEFAULT NULL,
+  auth_verified INTEGER DEFAULT 0,
+  verification_token TEXT,
+  verification_expires TIMESTAMP NULL DEFAULT NULL
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,17 @@
+-- migrate:up
+-- Audit log for security events
+CREATE TABLE IF NOT EXISTS auth_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT,
+  event_type TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  details TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_logs_user_id ON auth_logs (user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_logs_event_type ON auth_logs (event_type);
+
+-- migrate:down
+DROP TABLE IF EXISTS auth_logs;
@@ -0,0 +1,24 @@
+-- migrate:up
+-- Email records table
+CREATE TABLE IF NOT EXISTS emails (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id TEXT UNIQUE,
+  tracking_id TEXT UNIQUE,
+  sender TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  status TEXT DEFAULT 'sent',
+  template_id TEXT,
+  campaign_id TEXT,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL DEFAULT NULL,
+  opened_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_emails_campaign_id ON emails (campaign_id);
+CREATE INDEX IF NOT EXISTS idx_emails_status ON emails (status);
+
+-- migrate:down
+DROP TABLE IF EXISTS emails;
@@ -0,0 +1,17 @@
+-- migrate:up
+-- Email events (opens, clicks, etc.)
+CREATE TABLE IF NOT EXISTS email_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tracking_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  link_url TEXT,
+  event_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_events_tracking_id ON email_events (tracking_id);
+CREATE INDEX IF NOT EXISTS idx_email_events_event_type ON email_events (event_type);
+
+-- migrate:down
+DROP TABLE IF EXISTS email_events;
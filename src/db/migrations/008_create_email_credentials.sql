@@ -0,0 +1,21 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS email_credentials (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  email TEXT NOT NULL,
+  provider TEXT DEFAULT 'gmail',
+  client_id TEXT,
+  client_secret TEXT,
+  refresh_token TEXT,
+  access_token TEXT,
+  redirect_uri TEXT,
+  is_default INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credentials_user_email ON email_credentials (user_id, email);
+CREATE INDEX IF NOT EXISTS idx_email_credentials_user_id ON email_credentials (user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS email_credentials;
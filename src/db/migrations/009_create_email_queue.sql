@@ -0,0 +1,49 @@
+-- migrate:up
+-- Campaigns keep the message content so queued jobs can be rendered by the worker
+ALTER TABLE email_campaigns ADD COLUMN user_id TEXT;
+ALTER TABLE email_campaigns ADD COLUMN credential_id INTEGER;
+ALTER TABLE email_campaigns ADD COLUMN subject TEXT;
+ALTER TABLE email_campaigns ADD COLUMN text_content TEXT;
+ALTER TABLE email_campaigns ADD COLUMN html_content TEXT;
+ALTER TABLE email_campaigns ADD COLUMN attachments TEXT;
+ALTER TABLE email_campaigns ADD COLUMN enable_tracking INTEGER DEFAULT 1;
+ALTER TABLE email_campaigns ADD COLUMN template_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_user_id ON email_campaigns (user_id);
+
+-- One row per recipient waiting to be sent by the queue worker
+CREATE TABLE IF NOT EXISTS email_queue (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  campaign_id TEXT,
+  user_id TEXT NOT NULL,
+  credential_id INTEGER,
+  recipient TEXT NOT NULL,
+  recipient_data TEXT,
+  status TEXT DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  available_at TEXT NOT NULL,
+  lease_token TEXT,
+  lease_expires_at TEXT,
+  last_error TEXT,
+  message_id TEXT,
+  tracking_id TEXT,
+  completed_at TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_queue_status_available ON email_queue (status, available_at);
+CREATE INDEX IF NOT EXISTS idx_email_queue_campaign_id ON email_queue (campaign_id);
+CREATE INDEX IF NOT EXISTS idx_email_queue_lease_token ON email_queue (lease_token);
+
+-- migrate:down
+DROP TABLE IF EXISTS email_queue;
+DROP INDEX IF EXISTS idx_email_campaigns_user_id;
+ALTER TABLE email_campaigns DROP COLUMN template_id;
+ALTER TABLE email_campaigns DROP COLUMN enable_tracking;
+ALTER TABLE email_campaigns DROP COLUMN attachments;
+ALTER TABLE email_campaigns DROP COLUMN html_content;
+ALTER TABLE email_campaigns DROP COLUMN text_content;
+ALTER TABLE email_campaigns DROP COLUMN subject;
+ALTER TABLE email_campaigns DROP COLUMN credential_id;
+ALTER TABLE email_campaigns DROP COLUMN user_id;
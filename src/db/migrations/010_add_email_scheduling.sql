@@ -0,0 +1,13 @@
+-- migrate:up
+-- Full message for queued emails that don't belong to a campaign
+ALTER TABLE email_queue ADD COLUMN message TEXT;
+ALTER TABLE email_queue ADD COLUMN timezone TEXT;
+ALTER TABLE email_campaigns ADD COLUMN timezone TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_status_schedule ON email_campaigns (status, schedule_time);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_email_campaigns_status_schedule;
+ALTER TABLE email_campaigns DROP COLUMN timezone;
+ALTER TABLE email_queue DROP COLUMN timezone;
+ALTER TABLE email_queue DROP COLUMN message;
@@ -0,0 +1,29 @@
+-- migrate:up
+-- Per-user override for how many times a transient send failure is retried
+ALTER TABLE users ADD COLUMN max_send_retries INTEGER;
+
+-- Sends that failed permanently or ran out of retries
+CREATE TABLE IF NOT EXISTS email_dead_letters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  job_id INTEGER,
+  campaign_id TEXT,
+  credential_id INTEGER,
+  recipient TEXT NOT NULL,
+  recipient_data TEXT,
+  message TEXT,
+  error TEXT,
+  error_code TEXT,
+  attempts INTEGER DEFAULT 0,
+  status TEXT DEFAULT 'dead',
+  retried_job_id INTEGER,
+  retried_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_dead_letters_user_id ON email_dead_letters (user_id);
+CREATE INDEX IF NOT EXISTS idx_email_dead_letters_campaign_id ON email_dead_letters (campaign_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS email_dead_letters;
+ALTER TABLE users DROP COLUMN max_send_retries;
@@ -0,0 +1,17 @@
+-- migrate:up
+-- Original URLs behind the rewritten links of click-tracked emails
+CREATE TABLE IF NOT EXISTS email_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tracking_id TEXT NOT NULL,
+  link_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_links_tracking_link ON email_links (tracking_id, link_id);
+
+ALTER TABLE email_campaigns ADD COLUMN track_clicks INTEGER DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE email_campaigns DROP COLUMN track_clicks;
+DROP TABLE IF EXISTS email_links;
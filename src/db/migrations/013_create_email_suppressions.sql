@@ -0,0 +1,20 @@
+-- migrate:up
+-- Addresses a user must not send to (unsubscribed or added by hand)
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  email TEXT NOT NULL,
+  reason TEXT DEFAULT 'manual',
+  campaign_id TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_suppressions_user_email ON email_suppressions (user_id, email);
+
+ALTER TABLE email_campaigns ADD COLUMN include_unsubscribe INTEGER DEFAULT 1;
+ALTER TABLE email_campaigns ADD COLUMN suppressed_count INTEGER DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE email_campaigns DROP COLUMN suppressed_count;
+ALTER TABLE email_campaigns DROP COLUMN include_unsubscribe;
+DROP TABLE IF EXISTS email_suppressions;
@@ -0,0 +1,8 @@
+-- migrate:up
+-- Provider specific settings (JSON) and the SMTP password / API key for non-Gmail credentials
+ALTER TABLE email_credentials ADD COLUMN config TEXT;
+ALTER TABLE email_credentials ADD COLUMN secret TEXT;
+
+-- migrate:down
+ALTER TABLE email_credentials DROP COLUMN secret;
+ALTER TABLE email_credentials DROP COLUMN config;
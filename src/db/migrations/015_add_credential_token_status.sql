@@ -0,0 +1,10 @@
+-- migrate:up
+-- Expiry of the cached access token, and whether the credential still works
+ALTER TABLE email_credentials ADD COLUMN token_expires_at TEXT;
+ALTER TABLE email_credentials ADD COLUMN status TEXT DEFAULT 'active';
+ALTER TABLE email_credentials ADD COLUMN status_reason TEXT;
+
+-- migrate:down
+ALTER TABLE email_credentials DROP COLUMN status_reason;
+ALTER TABLE email_credentials DROP COLUMN status;
+ALTER TABLE email_credentials DROP COLUMN token_expires_at;
@@ -0,0 +1,6 @@
+-- migrate:up
+-- When the last verification email went out, used to rate limit resends
+ALTER TABLE users ADD COLUMN verification_sent_at TIMESTAMP NULL DEFAULT NULL;
+
+-- migrate:down
+ALTER TABLE users DROP COLUMN verification_sent_at;
@@ -0,0 +1,20 @@
+-- migrate:up
+-- sessions.token holds the hash of the session's current refresh token
+ALTER TABLE sessions ADD COLUMN last_used_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN revoked_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN revoke_reason TEXT;
+
+-- Refresh tokens that were already exchanged, presenting one again means it was stolen
+CREATE TABLE IF NOT EXISTS rotated_refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rotated_refresh_tokens_session_id ON rotated_refresh_tokens (session_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS rotated_refresh_tokens;
+ALTER TABLE sessions DROP COLUMN revoke_reason;
+ALTER TABLE sessions DROP COLUMN revoked_at;
+ALTER TABLE sessions DROP COLUMN last_used_at;
@@ -0,0 +1,63 @@
+-- migrate:up
+-- Shared workspaces whose members send with the same credentials, templates and campaigns
+CREATE TABLE IF NOT EXISTS organizations (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- role: owner, admin, sender or viewer
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members (user_id);
+
+-- Invites by email, accepted with the (hashed) token from the invite email
+CREATE TABLE IF NOT EXISTS organization_invites (
+  id TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  invited_by TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invites_token_hash ON organization_invites (token_hash);
+CREATE INDEX IF NOT EXISTS idx_organization_invites_organization_id ON organization_invites (organization_id);
+
+-- Resources owned by an organization instead of a single user
+ALTER TABLE email_credentials ADD COLUMN organization_id TEXT;
+ALTER TABLE email_templates ADD COLUMN organization_id TEXT;
+ALTER TABLE email_campaigns ADD COLUMN organization_id TEXT;
+
+-- An address can be connected once per user and once per organization
+DROP INDEX IF EXISTS idx_credentials_user_email;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credentials_user_email ON email_credentials (user_id, email) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credentials_organization_email ON email_credentials (organization_id, email) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_templates_organization_id ON email_templates (organization_id);
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_organization_id ON email_campaigns (organization_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_email_campaigns_organization_id;
+DROP INDEX IF EXISTS idx_email_templates_organization_id;
+DROP INDEX IF EXISTS idx_credentials_organization_email;
+DROP INDEX IF EXISTS idx_credentials_user_email;
+DELETE FROM email_credentials WHERE organization_id IS NOT NULL;
+DELETE FROM email_templates WHERE organization_id IS NOT NULL;
+ALTER TABLE email_campaigns DROP COLUMN organization_id;
+ALTER TABLE email_templates DROP COLUMN organization_id;
+ALTER TABLE email_credentials DROP COLUMN organization_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credentials_user_email ON email_credentials (user_id, email);
+DROP TABLE IF EXISTS organization_invites;
+DROP TABLE IF EXISTS organization_members;
+DROP TABLE IF EXISTS organizations;
@@ -0,0 +1,16 @@
+-- migrate:up
+-- Fixed window counters for the sqlite rate limit store (reset_at in ms since epoch)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  reset_at INTEGER NOT NULL
+);
+
+-- Failed logins since the last successful one, and until when the account is locked
+ALTER TABLE users ADD COLUMN failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP NULL DEFAULT NULL;
+
+-- migrate:down
+ALTER TABLE users DROP COLUMN locked_until;
+ALTER TABLE users DROP COLUMN failed_login_attempts;
+DROP TABLE IF EXISTS rate_limits;
@@ -0,0 +1,20 @@
+-- migrate:up
+-- Sending limits per credential, NULL falls back to the provider's default (if any)
+ALTER TABLE email_credentials ADD COLUMN daily_quota INTEGER;
+ALTER TABLE email_credentials ADD COLUMN hourly_quota INTEGER;
+ALTER TABLE email_credentials ADD COLUMN per_minute_limit INTEGER;
+
+-- Recipients sent to per credential in each fixed window (day, hour, minute)
+CREATE TABLE IF NOT EXISTS credential_usage (
+  credential_id INTEGER NOT NULL,
+  period TEXT NOT NULL,
+  window_start TIMESTAMP NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (credential_id, period, window_start)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS credential_usage;
+ALTER TABLE email_credentials DROP COLUMN per_minute_limit;
+ALTER TABLE email_credentials DROP COLUMN hourly_quota;
+ALTER TABLE email_credentials DROP COLUMN daily_quota;
@@ -0,0 +1,14 @@
+-- migrate:up
+-- Credential each email was sent with
+ALTER TABLE emails ADD COLUMN credential_id INTEGER;
+CREATE INDEX IF NOT EXISTS idx_emails_credential_id ON emails (credential_id);
+
+-- Campaigns spread over several credentials: [{ "id": 1, "weight": 1 }, ...] and how to pick from them
+ALTER TABLE email_campaigns ADD COLUMN sender_pool TEXT;
+ALTER TABLE email_campaigns ADD COLUMN rotation_strategy TEXT;
+
+-- migrate:down
+ALTER TABLE email_campaigns DROP COLUMN rotation_strategy;
+ALTER TABLE email_campaigns DROP COLUMN sender_pool;
+DROP INDEX IF EXISTS idx_emails_credential_id;
+ALTER TABLE emails DROP COLUMN credential_id;
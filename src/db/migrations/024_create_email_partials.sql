@@ -0,0 +1,23 @@
+-- migrate:up
+-- Reusable template snippets (headers, footers...) included with {{> name}}
+CREATE TABLE IF NOT EXISTS email_partials (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  organization_id TEXT,
+  name TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_partials_user_name ON email_partials (user_id, name) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_partials_organization_name ON email_partials (organization_id, name) WHERE organization_id IS NOT NULL;
+
+-- Reject campaign sends that reference variables a recipient doesn't have
+ALTER TABLE email_campaigns ADD COLUMN strict_variables INTEGER DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE email_campaigns DROP COLUMN strict_variables;
+DROP INDEX IF EXISTS idx_email_partials_organization_name;
+DROP INDEX IF EXISTS idx_email_partials_user_name;
+DROP TABLE IF EXISTS email_partials;
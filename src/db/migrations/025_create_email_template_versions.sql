@@ -0,0 +1,24 @@
+-- migrate:up
+-- Every save of a template is kept as an immutable version
+CREATE TABLE IF NOT EXISTS email_template_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  template_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html_content TEXT,
+  text_content TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (template_id, version)
+);
+
+ALTER TABLE email_templates ADD COLUMN current_version INTEGER DEFAULT 1;
+
+-- Existing templates start their history at version 1
+INSERT INTO email_template_versions (template_id, version, name, subject, html_content, text_content, created_by, created_at)
+SELECT id, 1, name, subject, html_content, text_content, user_id, updated_at FROM email_templates;
+
+-- migrate:down
+ALTER TABLE email_templates DROP COLUMN current_version;
+DROP TABLE IF EXISTS email_template_versions;
@@ -0,0 +1,53 @@
+-- migrate:up
+-- Address book of a user's (or an organization's) workspace, one contact per normalized address
+CREATE TABLE IF NOT EXISTS contacts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  organization_id TEXT,
+  email TEXT NOT NULL,
+  email_normalized TEXT NOT NULL,
+  name TEXT,
+  fields TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_user_email ON contacts (user_id, email_normalized) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_organization_email ON contacts (organization_id, email_normalized) WHERE organization_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS contact_tags (
+  contact_id INTEGER NOT NULL,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (contact_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_tags_tag ON contact_tags (tag);
+
+-- Named mailing lists
+CREATE TABLE IF NOT EXISTS contact_lists (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  organization_id TEXT,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_lists_user_name ON contact_lists (user_id, name) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_lists_organization_name ON contact_lists (organization_id, name) WHERE organization_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS contact_list_members (
+  list_id INTEGER NOT NULL,
+  contact_id INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (list_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_list_members_contact_id ON contact_list_members (contact_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS contact_list_members;
+DROP TABLE IF EXISTS contact_lists;
+DROP TABLE IF EXISTS contact_tags;
+DROP TABLE IF EXISTS contacts;
@@ -0,0 +1,17 @@
+-- migrate:up
+-- Drafts keep their audience until launch: { "recipients": [...] } or { "listId": 1, "tag": "vip" },
+-- and the variables shared by every recipient
+ALTER TABLE email_campaigns ADD COLUMN audience TEXT;
+ALTER TABLE email_campaigns ADD COLUMN variables TEXT;
+ALTER TABLE email_campaigns ADD COLUMN paused_at TIMESTAMP NULL DEFAULT NULL;
+ALTER TABLE email_campaigns ADD COLUMN cancelled_at TIMESTAMP NULL DEFAULT NULL;
+
+-- Pausing, resuming and cancelling move a campaign's jobs by status
+CREATE INDEX IF NOT EXISTS idx_email_queue_campaign_status ON email_queue (campaign_id, status);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_email_queue_campaign_status;
+ALTER TABLE email_campaigns DROP COLUMN cancelled_at;
+ALTER TABLE email_campaigns DROP COLUMN paused_at;
+ALTER TABLE email_campaigns DROP COLUMN variables;
+ALTER TABLE email_campaigns DROP COLUMN audience;
@@ -0,0 +1,15 @@
+-- migrate:up
+-- Suppressions belong to a workspace like credentials do: an address unsubscribed from an
+-- organization's email is suppressed for every member sending from it
+ALTER TABLE email_suppressions ADD COLUMN organization_id TEXT;
+
+DROP INDEX IF EXISTS idx_email_suppressions_user_email;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_suppressions_user_email ON email_suppressions (user_id, email) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_suppressions_org_email ON email_suppressions (organization_id, email) WHERE organization_id IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_email_suppressions_org_email;
+DROP INDEX IF EXISTS idx_email_suppressions_user_email;
+DELETE FROM email_suppressions WHERE organization_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_suppressions_user_email ON email_suppressions (user_id, email);
+ALTER TABLE email_suppressions DROP COLUMN organization_id;
@@ -0,0 +1,26 @@
+-- migrate:up
+-- Failed logins are counted per (normalized) email rather than per user, so unknown addresses
+-- are locked exactly like real accounts
+CREATE TABLE IF NOT EXISTS login_failures (
+  email TEXT PRIMARY KEY,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP NULL DEFAULT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO login_failures (email, attempts, locked_until)
+SELECT lower(trim(email)), COALESCE(failed_login_attempts, 0), locked_until FROM users
+WHERE failed_login_attempts > 0 OR locked_until IS NOT NULL;
+
+ALTER TABLE users DROP COLUMN locked_until;
+ALTER TABLE users DROP COLUMN failed_login_attempts;
+
+-- migrate:down
+ALTER TABLE users ADD COLUMN failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP NULL DEFAULT NULL;
+
+UPDATE users SET
+  failed_login_attempts = COALESCE((SELECT attempts FROM login_failures WHERE login_failures.email = lower(trim(users.email))), 0),
+  locked_until = (SELECT locked_until FROM login_failures WHERE login_failures.email = lower(trim(users.email)));
+
+DROP TABLE IF EXISTS login_failures;
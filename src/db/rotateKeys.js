@@ -0,0 +1,33 @@
+const { configDotenv } = require('dotenv');
+
+configDotenv();
+
+const db = require('../config/database');
+const logger = require('../config/logger');
+const credentialService = require('../services/credentialService');
+
+/**
+ * Encryption key rotation CLI
+ *
+ * Usage:
+ *   npm run credentials:rotate-key   Re-encrypt stored credential secrets with the active key
+ *
+ * Add the new key next to the old ones, make it the active key, run this command, then remove
+ * the old key once it reports nothing left to change.
+ */
+const run = async () => {
+  const { credentials, values } = await credentialService.rotateEncryptionKey();
+  logger.info(
+    credentials
+      ? `Re-encrypted ${values} value(s) in ${credentials} credential(s)`
+      : 'All credentials already use the active key'
+  );
+};
+
+run()
+  .then(() => db.close())
+  .catch(async (error) => {
+    logger.error(`Key rotation failed: ${error.message}`);
+    await db.close();
+    process.exit(1);
+  });
@@ -2,12 +2,39 @@ const jwt = require('jsonwebtoken');
 const { AppError } = require('../utils/responseHandler');
 const db = require('../config/database');
 const logger = require('../config/logger');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
 
 /**
- * Middleware to authenticate requests using JWT
+ * Authenticate a request made with an `X-API-Key` header instead of a session
+ */
+const authenticateApiKey = async (req, next) => {
+  const apiKey = await apiKeyService.authenticate(req.headers['x-api-key']);
+  
+  if (!apiKey) {
+    return next(new AppError('Invalid, expired or revoked API key.', 401));
+  }
+  
+  const user = await db.query('SELECT * FROM users WHERE id = ?', [apiKey.userId]);
+  
+  if (!user || user.length === 0) {
+    return next(new AppError('The user belonging to this API key no longer exists.', 401));
+  }
+  
+  req.user = user[0];
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Middleware to authenticate requests using a JWT (`Authorization: Bearer`) or an API key (`X-API-Key`)
  */
 const authMiddleware = async (req, res, next) => {
   try {
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, next);
+    }
+    
     // 1) Check if token exists in headers
     const authHeader = req.headers.authorization;
     
@@ -28,14 +55,21 @@ const authMiddleware = async (req, res, next) => {
       return next(new AppError('Invalid token. Please login again.', 401));
     }
     
-    // 3) Check if user still exists
+    // 3) Check the session behind the token hasn't been ended (logout, revoked device...)
+    const session = decoded.sid ? await sessionService.getActiveSession(decoded.sid) : null;
+    
+    if (!session || session.user_id !== decoded.id) {
+      return next(new AppError('Your session has ended. Please login again.', 401));
+    }
+    
+    // 4) Check if user still exists
     const user = await db.query('SELECT * FROM users WHERE id = ?', [decoded.id]);
     
     if (!user || user.length === 0) {
       return next(new AppError('The user belonging to this token no longer exists.', 401));
     }
     
-    // 4) Check if user changed password after token was issued
+    // 5) Check if user changed password after token was issued
     if (user[0].password_changed_at) {
       const changedTimestamp = parseInt(
         new Date(user[0].password_changed_at).getTime() / 1000,
@@ -47,8 +81,9 @@ const authMiddleware = async (req, res, next) => {
       }
     }
     
-    // 5) Grant access to protected route
+    // 6) Grant access to protected route
     req.user = user[0];
+    req.sessionId = session.id;
     next();
   } catch (error) {
     logger.error(`Auth middleware error: ${error.message}`);
@@ -0,0 +1,59 @@
+const { AppError } = require('../utils/responseHandler');
+const organizationService = require('../services/organizationService');
+
+/**
+ * Set `req.organization` to the user's membership of an organization
+ */
+const loadMembership = async (organizationId, req, next) => {
+  try {
+    const membership = await organizationService.getMembership(organizationId, req.user.id);
+
+    if (!membership) {
+      return next(new AppError('Organization not found or you are not a member', 404));
+    }
+
+    req.organization = membership;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware selecting the workspace a request works in, must run after authMiddleware
+ * `X-Organization-Id` switches to a shared organization the user is a member of,
+ * without it requests use the user's personal credentials, templates and campaigns
+ */
+const organizationContext = (req, res, next) => {
+  const organizationId = req.headers['x-organization-id'];
+
+  if (!organizationId) {
+    req.organization = null;
+    return next();
+  }
+
+  return loadMembership(organizationId, req, next);
+};
+
+/**
+ * Middleware for `/:organizationId` routes, members only
+ */
+const loadOrganization = (req, res, next) => loadMembership(req.params.organizationId, req, next);
+
+/**
+ * Middleware limiting a route to organization roles granted `permission`
+ * Users have every permission in their personal workspace
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.organization && !organizationService.hasPermission(req.organization.role, permission)) {
+    return next(
+      new AppError(`Your role (${req.organization.role}) does not allow this: ${permission}`, 403)
+    );
+  }
+
+  next();
+};
+
+module.exports = organizationContext;
+module.exports.loadOrganization = loadOrganization;
+module.exports.requirePermission = requirePermission;
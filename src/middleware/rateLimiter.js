@@ -0,0 +1,71 @@
+const { AppError } = require('../utils/responseHandler');
+const { getRateLimit } = require('../config/rateLimits');
+const { getStore } = require('../services/rateLimitStore');
+
+// Value identifying the client for each kind of key, requests without it aren't counted for that key
+const KEY_VALUES = {
+  ip: (req) => req.ip,
+  user: (req) => (req.user ? req.user.id : null),
+  email: (req) =>
+    req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null,
+};
+
+/**
+ * Middleware limiting how often a route can be called, see src/config/rateLimits.js
+ * Sets the RateLimit-* headers for the most constrained key and responds 429 (code RATE_LIMITED)
+ * once any key is over its limit
+ * @param {string} name - name of the limit in RATE_LIMITS
+ */
+const rateLimit = (name) => {
+  const settings = getRateLimit(name);
+
+  if (!settings) {
+    return (req, res, next) => next();
+  }
+
+  const { limit, windowMs, keys } = settings;
+
+  return async (req, res, next) => {
+    try {
+      const store = getStore();
+      const counters = [];
+
+      for (const key of keys) {
+        const value = KEY_VALUES[key](req);
+        if (value) {
+          counters.push(await store.increment(`${name}:${key}:${value}`, windowMs));
+        }
+      }
+
+      if (counters.length === 0) {
+        return next();
+      }
+
+      const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 0);
+      const tightest = counters.reduce((a, b) =>
+        b.count > a.count || (b.count === a.count && b.resetAt > a.resetAt) ? b : a
+      );
+
+      res.set({
+        'RateLimit-Policy': `${limit};w=${Math.round(windowMs / 1000)}`,
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(limit - tightest.count, 0)),
+        'RateLimit-Reset': String(secondsUntil(tightest.resetAt)),
+      });
+
+      if (tightest.count > limit) {
+        return next(
+          new AppError('Too many requests, please try again later.', 429, 'RATE_LIMITED', {
+            retryAfter: secondsUntil(tightest.resetAt),
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = rateLimit;
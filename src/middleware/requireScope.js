@@ -0,0 +1,27 @@
+const { AppError } = require('../utils/responseHandler');
+
+/**
+ * Middleware limiting a route to API keys granted `scope`, must run after authMiddleware
+ * Requests authenticated with a session (JWT) are not limited by scopes
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    return next(new AppError(`This API key is missing the required scope: ${scope}`, 403));
+  }
+
+  next();
+};
+
+/**
+ * Middleware for routes API keys can't use at all (account, session and key management)
+ */
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new AppError('This endpoint is not available to API keys. Please login.', 403));
+  }
+
+  next();
+};
+
+module.exports = requireScope;
+module.exports.requireSession = requireSession;
@@ -0,0 +1,20 @@
+const { AppError } = require('../utils/responseHandler');
+
+/**
+ * Middleware for endpoints that send email, must run after authMiddleware
+ * Accounts that haven't confirmed their email address yet can't send
+ */
+const requireVerified = (req, res, next) => {
+  if (req.user.account_status === 'unverified') {
+    return next(
+      new AppError(
+        'Please verify your email address before sending emails. Use the link we emailed you, or request a new one at POST /api/auth/resend-verification.',
+        403
+      )
+    );
+  }
+
+  next();
+};
+
+module.exports = requireVerified;
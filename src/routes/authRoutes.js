@@ -2,16 +2,39 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireSession } = require('../middleware/requireScope');
+const rateLimit = require('../middleware/rateLimiter');
 
 // Public routes
 router.post('/register', authController.register);
-router.post('/login', authController.login);
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password/:token', authController.resetPassword);
+router.post('/login', rateLimit('login'), authController.login);
+router.post('/login/2fa', rateLimit('loginTwoFactor'), authController.loginTwoFactor);
+router.post('/refresh', authController.refresh);
+router.post('/forgot-password', rateLimit('forgotPassword'), authController.forgotPassword);
+router.post('/reset-password/:token', rateLimit('resetPassword'), authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-email/:token', authController.verifyEmail);
+router.post(
+  '/resend-verification',
+  rateLimit('resendVerification'),
+  authController.resendVerification
+);
+router.get('/google/callback', authController.googleCallback);
 
-// Protected routes
+// Protected routes (account management, not available to API keys)
 router.use(authMiddleware);
+router.use(requireSession);
 router.get('/me', authController.getCurrentUser);
+router.post('/logout', authController.logout);
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post('/2fa/enable', authController.enableTwoFactor);
+router.post('/2fa/disable', authController.disableTwoFactor);
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions/:sessionId', authController.deleteSession);
+router.get('/api-keys', authController.getApiKeys);
+router.post('/api-keys', authController.createApiKey);
+router.delete('/api-keys/:keyId', authController.deleteApiKey);
 router.patch('/update-password', authController.updatePassword);
+router.get('/google/connect', authController.connectGoogle);
 
 module.exports = router;
\ No newline at end of file
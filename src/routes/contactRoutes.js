@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const contactController = require('../controllers/contactController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireScope = require('../middleware/requireScope');
+const organizationContext = require('../middleware/organizationContext');
+const { requirePermission } = organizationContext;
+
+// Session or API key, in the workspace selected by X-Organization-Id
+router.use(authMiddleware);
+router.use(organizationContext);
+
+const canRead = [requireScope('contacts:read'), requirePermission('contacts:read')];
+const canWrite = [requireScope('contacts:write'), requirePermission('contacts:manage')];
+
+router.get('/', canRead, contactController.getContacts);
+router.post('/', canWrite, contactController.createContact);
+router.post('/import', canWrite, contactController.importContacts);
+
+// Declared before /:contactId
+router.get('/tags', canRead, contactController.getTags);
+router.get('/lists', canRead, contactController.getLists);
+router.post('/lists', canWrite, contactController.createList);
+router.get('/lists/:listId', canRead, contactController.getList);
+router.patch('/lists/:listId', canWrite, contactController.updateList);
+router.delete('/lists/:listId', canWrite, contactController.deleteList);
+router.post('/lists/:listId/members', canWrite, contactController.addListMembers);
+router.delete('/lists/:listId/members/:contactId', canWrite, contactController.removeListMember);
+
+router.get('/:contactId', canRead, contactController.getContact);
+router.patch('/:contactId', canWrite, contactController.updateContact);
+router.delete('/:contactId', canWrite, contactController.deleteContact);
+
+module.exports = router;
@@ -2,29 +2,266 @@ const express = require('express');
 const router = express.Router();
 const emailController = require('../controllers/emailController');
 const authMiddleware = require('../middleware/authMiddleware');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimiter');
+const requireScope = require('../middleware/requireScope');
+const { requireSession } = requireScope;
+const organizationContext = require('../middleware/organizationContext');
+const { requirePermission } = organizationContext;
 
-// Apply authentication middleware to all routes
+// Tracking endpoints (public, no auth required)
+router.get('/track/:trackingId', emailController.trackEmailOpen);
+router.get('/click/:trackingId/:linkId', emailController.trackEmailClick);
+
+// Unsubscribe endpoints (public, no auth required)
+router.get('/unsubscribe/:token', emailController.showUnsubscribePage);
+router.post('/unsubscribe/:token', emailController.unsubscribe);
+
+// Apply authentication middleware to all other routes (session or API key)
 router.use(authMiddleware);
 
-// Email sending endpoints
-router.post('/send', emailController.sendEmail);
-router.post('/send-bulk', emailController.sendBulkEmails);
+// Work in an organization's workspace when X-Organization-Id is sent
+router.use(organizationContext);
 
-// Tracking endpoint (public, no auth required)
-router.get('/track/:trackingId', emailController.trackEmailOpen);
+// Email sending endpoints (verified accounts only)
+router.post(
+  '/send',
+  rateLimit('send'),
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  requireVerified,
+  emailController.sendEmail
+);
+router.post(
+  '/send-bulk',
+  rateLimit('sendBulk'),
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  requireVerified,
+  emailController.sendBulkEmails
+);
+
+// Scheduled sends
+router.get(
+  '/scheduled',
+  requireScope('email:read'),
+  requirePermission('campaigns:read'),
+  emailController.getScheduledEmails
+);
+router.patch(
+  '/scheduled/:scheduledId',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.rescheduleEmail
+);
+router.delete(
+  '/scheduled/:scheduledId',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.cancelScheduledEmail
+);
+
+// Failed sends (dead letters)
+router.get('/failed', requireScope('email:read'), emailController.getFailedEmails);
+router.get('/failed/:failedId', requireScope('email:read'), emailController.getFailedEmail);
+router.post(
+  '/failed/:failedId/retry',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  requireVerified,
+  emailController.retryFailedEmail
+);
+
+// Suppression list, shared by the members of an organization
+router.get(
+  '/suppressions',
+  requireScope('suppressions:read'),
+  requirePermission('campaigns:read'),
+  emailController.getSuppressions
+);
+router.post(
+  '/suppressions',
+  requireScope('suppressions:write'),
+  requirePermission('email:send'),
+  emailController.addSuppressions
+);
+router.delete(
+  '/suppressions/:email',
+  requireScope('suppressions:write'),
+  requirePermission('email:send'),
+  emailController.deleteSuppression
+);
+
+// Sending settings and credentials are managed by the account owner, not API keys
+router.get('/settings', requireSession, emailController.getEmailSettings);
+router.patch('/settings', requireSession, emailController.updateEmailSettings);
 
 // Email campaigns
-router.get('/campaigns', emailController.getAllCampaigns);
-router.get('/campaigns/:campaignId/stats', emailController.getCampaignStats);
+router.get(
+  '/campaigns',
+  requireScope('campaigns:read'),
+  requirePermission('campaigns:read'),
+  emailController.getAllCampaigns
+);
+router.post(
+  '/campaigns',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.createCampaign
+);
+router.get(
+  '/campaigns/:campaignId',
+  requireScope('campaigns:read'),
+  requirePermission('campaigns:read'),
+  emailController.getCampaign
+);
+router.patch(
+  '/campaigns/:campaignId',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.updateCampaign
+);
+router.post(
+  '/campaigns/:campaignId/launch',
+  rateLimit('sendBulk'),
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  requireVerified,
+  emailController.launchCampaign
+);
+router.post(
+  '/campaigns/:campaignId/pause',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.pauseCampaign
+);
+router.post(
+  '/campaigns/:campaignId/resume',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.resumeCampaign
+);
+router.post(
+  '/campaigns/:campaignId/cancel',
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  emailController.cancelCampaign
+);
+router.get(
+  '/campaigns/:campaignId/stats',
+  requireScope('campaigns:read'),
+  requirePermission('campaigns:read'),
+  emailController.getCampaignStats
+);
+router.get(
+  '/campaigns/:campaignId/export.csv',
+  requireScope('campaigns:read'),
+  requirePermission('campaigns:read'),
+  emailController.exportCampaignResults
+);
 
 // Email templates
-router.get('/templates', emailController.getEmailTemplates);
-router.post('/templates', emailController.saveEmailTemplate);
-router.delete('/templates/:templateId', emailController.deleteEmailTemplate);
+router.get(
+  '/templates',
+  requireScope('templates:read'),
+  requirePermission('templates:read'),
+  emailController.getEmailTemplates
+);
+router.post(
+  '/templates',
+  requireScope('templates:write'),
+  requirePermission('templates:manage'),
+  emailController.saveEmailTemplate
+);
+router.delete(
+  '/templates/:templateId',
+  requireScope('templates:write'),
+  requirePermission('templates:manage'),
+  emailController.deleteEmailTemplate
+);
+router.get(
+  '/templates/:templateId/versions',
+  requireScope('templates:read'),
+  requirePermission('templates:read'),
+  emailController.getTemplateVersions
+);
+router.get(
+  '/templates/:templateId/versions/:version',
+  requireScope('templates:read'),
+  requirePermission('templates:read'),
+  emailController.getTemplateVersion
+);
+router.post(
+  '/templates/:templateId/versions/:version/restore',
+  requireScope('templates:write'),
+  requirePermission('templates:manage'),
+  emailController.restoreTemplateVersion
+);
+router.post(
+  '/templates/:templateId/preview',
+  requireScope('templates:read'),
+  requirePermission('templates:read'),
+  emailController.previewTemplate
+);
+router.post(
+  '/templates/:templateId/test-send',
+  rateLimit('send'),
+  requireScope('email:send'),
+  requirePermission('email:send'),
+  requireVerified,
+  emailController.testSendTemplate
+);
+
+// Template partials
+router.get(
+  '/partials',
+  requireScope('templates:read'),
+  requirePermission('templates:read'),
+  emailController.getEmailPartials
+);
+router.put(
+  '/partials/:name',
+  requireScope('templates:write'),
+  requirePermission('templates:manage'),
+  emailController.saveEmailPartial
+);
+router.delete(
+  '/partials/:name',
+  requireScope('templates:write'),
+  requirePermission('templates:manage'),
+  emailController.deleteEmailPartial
+);
 
 // Email credentials
-router.get('/credentials', emailController.getEmailCredentialsList);
-router.post('/credentials', emailController.saveEmailCredentials);
-router.delete('/credentials/:credentialId', emailController.deleteEmailCredentials);
+router.get(
+  '/credentials',
+  requireSession,
+  requirePermission('credentials:read'),
+  emailController.getEmailCredentialsList
+);
+router.post(
+  '/credentials',
+  requireSession,
+  requirePermission('credentials:manage'),
+  emailController.saveEmailCredentials
+);
+router.delete(
+  '/credentials/:credentialId',
+  requireSession,
+  requirePermission('credentials:manage'),
+  emailController.deleteEmailCredentials
+);
+router.get(
+  '/credentials/:credentialId/usage',
+  requireSession,
+  requirePermission('credentials:read'),
+  emailController.getCredentialUsage
+);
+router.patch(
+  '/credentials/:credentialId/quotas',
+  requireSession,
+  requirePermission('credentials:manage'),
+  emailController.updateCredentialQuotas
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
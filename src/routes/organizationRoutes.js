@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireSession } = require('../middleware/requireScope');
+const { loadOrganization, requirePermission } = require('../middleware/organizationContext');
+
+// Organization management needs a login, API keys can't use it
+router.use(authMiddleware);
+router.use(requireSession);
+
+router.get('/', organizationController.getOrganizations);
+router.post('/', organizationController.createOrganization);
+router.post('/invites/:token/accept', organizationController.acceptInvite);
+
+// Routes below are for members of the organization only
+router.use('/:organizationId', loadOrganization);
+
+router.get('/:organizationId', organizationController.getOrganization);
+router.patch(
+  '/:organizationId',
+  requirePermission('organization:manage'),
+  organizationController.updateOrganization
+);
+router.delete(
+  '/:organizationId',
+  requirePermission('organization:manage'),
+  organizationController.deleteOrganization
+);
+
+// Members (anyone can remove themselves to leave)
+router.patch(
+  '/:organizationId/members/:userId',
+  requirePermission('members:manage'),
+  organizationController.updateMember
+);
+router.delete('/:organizationId/members/:userId', organizationController.removeMember);
+
+// Invites
+router.get(
+  '/:organizationId/invites',
+  requirePermission('members:manage'),
+  organizationController.getInvites
+);
+router.post(
+  '/:organizationId/invites',
+  requirePermission('members:manage'),
+  organizationController.createInvite
+);
+router.delete(
+  '/:organizationId/invites/:inviteId',
+  requirePermission('members:manage'),
+  organizationController.deleteInvite
+);
+
+module.exports = router;
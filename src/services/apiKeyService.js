@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { AppError } = require('../utils/responseHandler');
+
+// Scopes an API key can be granted
+const SCOPES = [
+  'email:send',
+  'email:read',
+  'templates:read',
+  'templates:write',
+  'campaigns:read',
+  'suppressions:read',
+  'suppressions:write',
+  'contacts:read',
+  'contacts:write',
+];
+
+// Keys look like `gsk_<prefix>_<secret>`, the prefix identifies the key without revealing it
+const KEY_PATTERN = /^gsk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.prefix,
+  scopes: JSON.parse(row.scopes),
+  credentialIds: row.credential_ids ? JSON.parse(row.credential_ids) : null,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at,
+});
+
+/**
+ * Create a key for a user
+ * @returns {Promise<{apiKey: object, key: string}>} the full key is only available here
+ */
+const createApiKey = async (userId, { name, scopes, credentialIds = null, expiresAt = null }) => {
+  if (!name) {
+    throw new AppError('Please provide a name for the API key', 400);
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AppError(`Please provide at least one scope (${SCOPES.join(', ')})`, 400);
+  }
+
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown scope(s): ${unknown.join(', ')}`, 400);
+  }
+
+  if (credentialIds !== null) {
+    if (!Array.isArray(credentialIds) || credentialIds.length === 0) {
+      throw new AppError('credentialIds must be a non-empty array', 400);
+    }
+
+    const ids = credentialIds.map(String);
+    // The user's own credentials and those of organizations they belong to
+    const owned = await db.query(
+      `
+      SELECT id FROM email_credentials
+      WHERE (
+        (user_id = ? AND organization_id IS NULL)
+        OR organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = ?)
+      ) AND id IN (${ids.map(() => '?').join(', ')})
+    `,
+      [userId, userId, ...ids]
+    );
+    const ownedIds = owned.map((row) => String(row.id));
+    const missing = ids.filter((id) => !ownedIds.includes(id));
+    if (missing.length > 0) {
+      throw new AppError(`Email credentials not found: ${missing.join(', ')}`, 404);
+    }
+    credentialIds = ids;
+  }
+
+  let expires = null;
+  if (expiresAt) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      throw new AppError('expiresAt must be a date in the future', 400);
+    }
+  }
+
+  const id = uuidv4();
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `gsk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  await db.query(
+    `
+    INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, credential_ids, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      id,
+      userId,
+      name,
+      prefix,
+      hashKey(key),
+      JSON.stringify([...new Set(scopes)]),
+      credentialIds ? JSON.stringify(credentialIds) : null,
+      expires ? expires.toISOString() : null,
+      new Date().toISOString(),
+    ]
+  );
+
+  const rows = await db.query(`SELECT * FROM api_keys WHERE id = ?`, [id]);
+  return { apiKey: toApiKey(rows[0]), key };
+};
+
+/**
+ * Look up the active key behind a presented `X-API-Key` value and record its use
+ * @returns {Promise<object|null>} the key with its `userId`, or null if it isn't valid
+ */
+const authenticate = async (key) => {
+  const match = KEY_PATTERN.exec(String(key));
+  if (!match) {
+    return null;
+  }
+
+  const rows = await db.query(`SELECT * FROM api_keys WHERE prefix = ? AND revoked_at IS NULL`, [
+    match[1],
+  ]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  const expected = Buffer.from(row.key_hash, 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(hashKey(key), 'hex'))) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  if (row.expires_at && row.expires_at <= now) {
+    return null;
+  }
+
+  await db.query(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [now, row.id]);
+
+  return { ...toApiKey({ ...row, last_used_at: now }), userId: row.user_id };
+};
+
+/**
+ * List a user's keys (without secrets), including expired ones so they can be cleaned up
+ */
+const listApiKeys = async (userId) => {
+  const rows = await db.query(
+    `SELECT * FROM api_keys WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return rows.map(toApiKey);
+};
+
+/**
+ * Revoke a key, requests using it fail immediately
+ */
+const revokeApiKey = async (userId, keyId) => {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [new Date().toISOString(), keyId, userId]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Make sure a key restricted to particular credentials may send with `credentialId`
+ * Requests authenticated with a session (no key) can use any of the user's credentials
+ */
+const assertCredentialAllowed = (apiKey, credentialId) => {
+  if (apiKey && apiKey.credentialIds && !apiKey.credentialIds.includes(String(credentialId))) {
+    throw new AppError('This API key is not allowed to send with these email credentials', 403);
+  }
+};
+
+module.exports = {
+  SCOPES,
+  createApiKey,
+  authenticate,
+  listApiKeys,
+  revokeApiKey,
+  assertCredentialAllowed,
+};
@@ -0,0 +1,326 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { AppError } = require('../utils/responseHandler');
+const organizationService = require('./organizationService');
+const queueService = require('./queueService');
+
+/*
+ * Campaign lifecycle
+ *
+ *   draft ──launch──> scheduled ──> in_progress ──> completed
+ *             └──────────────────────────^ │  ^
+ *                                    pause │  │ resume
+ *                                          v  │
+ *                                         paused
+ *
+ * Drafts, scheduled, running and paused campaigns can be cancelled. Pausing and cancelling take
+ * effect between recipients: emails already being sent go out, the others wait in the queue
+ * (`paused`) or are dropped (`cancelled`).
+ */
+
+// Statuses each action can be taken from
+const TRANSITIONS = {
+  edit: ['draft'],
+  launch: ['draft'],
+  pause: ['in_progress'],
+  resume: ['paused'],
+  cancel: ['draft', 'scheduled', 'in_progress', 'paused'],
+};
+
+// Draft settings and the columns they are stored in
+const DRAFT_COLUMNS = {
+  name: 'name',
+  sender: 'sender',
+  subject: 'subject',
+  text: 'text_content',
+  html: 'html_content',
+  templateId: 'template_id',
+  credentialId: 'credential_id',
+  senderPool: 'sender_pool',
+  rotationStrategy: 'rotation_strategy',
+  attachments: 'attachments',
+  enableTracking: 'enable_tracking',
+  trackClicks: 'track_clicks',
+  includeUnsubscribe: 'include_unsubscribe',
+  strictVariables: 'strict_variables',
+  audience: 'audience',
+  variables: 'variables',
+};
+const JSON_SETTINGS = ['senderPool', 'attachments', 'audience', 'variables'];
+
+// Queue statuses of jobs that haven't been sent yet
+const UNSENT_JOB_STATUSES = `'pending', 'processing', 'scheduled', 'paused'`;
+
+const toColumnValue = (setting, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (JSON_SETTINGS.includes(setting)) {
+    return JSON.stringify(value);
+  }
+
+  return typeof value === 'boolean' ? Number(value) : value;
+};
+
+const invalidTransition = (action, status) =>
+  new AppError(`Cannot ${action} a campaign that is ${status}`, 409, 'INVALID_CAMPAIGN_STATE', {
+    status,
+    allowedFrom: TRANSITIONS[action],
+  });
+
+/**
+ * Check that `action` (edit, launch, pause, resume or cancel) can be taken on a campaign
+ * @throws {AppError} 409 INVALID_CAMPAIGN_STATE
+ */
+const assertTransition = (campaign, action) => {
+  if (!TRANSITIONS[action].includes(campaign.status)) {
+    throw invalidTransition(action, campaign.status);
+  }
+};
+
+/**
+ * Add sending progress to a campaign row
+ */
+const withProgress = ({ remaining_count: remaining, cancelled_count: cancelled, ...campaign }) => {
+  const total = campaign.total_recipients || 0;
+  const done = campaign.sent_count + campaign.failed_count + campaign.suppressed_count;
+
+  return {
+    ...campaign,
+    progress: {
+      total,
+      sent: campaign.sent_count,
+      failed: campaign.failed_count,
+      suppressed: campaign.suppressed_count,
+      cancelled,
+      remaining,
+      percent: total > 0 ? Math.round((done / total) * 100) : 0,
+    },
+  };
+};
+
+const CAMPAIGN_SELECT = `
+  SELECT
+    c.*,
+    (SELECT COUNT(*) FROM emails WHERE campaign_id = c.id) as total_emails,
+    (SELECT COUNT(*) FROM emails WHERE campaign_id = c.id AND status = 'opened') as opened_emails,
+    (SELECT COUNT(*) FROM email_queue q
+      WHERE q.campaign_id = c.id AND q.status IN (${UNSENT_JOB_STATUSES})) as remaining_count,
+    (SELECT COUNT(*) FROM email_queue q
+      WHERE q.campaign_id = c.id AND q.status = 'cancelled') as cancelled_count
+  FROM email_campaigns c
+`;
+
+/**
+ * List the workspace's campaigns, newest first, with their progress
+ * @param {{status?: string}} filters
+ */
+const listCampaigns = async (scope, { status } = {}) => {
+  const filter = organizationService.scopeFilter(scope, 'c');
+  const rows = await db.query(
+    `${CAMPAIGN_SELECT} WHERE ${filter.sql} ${status ? 'AND c.status = ?' : ''} ORDER BY c.created_at DESC`,
+    status ? [...filter.params, status] : filter.params
+  );
+
+  return rows.map(withProgress);
+};
+
+/**
+ * Get a campaign of the workspace with its progress
+ */
+const getCampaign = async (scope, campaignId) => {
+  const filter = organizationService.scopeFilter(scope, 'c');
+  const rows = await db.query(`${CAMPAIGN_SELECT} WHERE c.id = ? AND ${filter.sql}`, [
+    campaignId,
+    ...filter.params,
+  ]);
+
+  return rows.length > 0 ? withProgress(rows[0]) : null;
+};
+
+/**
+ * Create a draft campaign from draft settings (see DRAFT_COLUMNS)
+ * @returns {Promise<string>} the campaign id
+ */
+const createDraft = async (scope, draftSettings) => {
+  const campaignId = uuidv4();
+  // The sender is only known once a credential is picked
+  const settings = { sender: '', ...draftSettings };
+  const fields = Object.keys(DRAFT_COLUMNS).filter((field) => settings[field] !== undefined);
+
+  await db.query(
+    `
+    INSERT INTO email_campaigns (
+      id, user_id, organization_id, status${fields.map((field) => `, ${DRAFT_COLUMNS[field]}`).join('')}
+    ) VALUES (?, ?, ?, 'draft'${', ?'.repeat(fields.length)})
+  `,
+    [
+      campaignId,
+      scope.userId,
+      scope.organizationId || null,
+      ...fields.map((field) => toColumnValue(field, settings[field])),
+    ]
+  );
+
+  return campaignId;
+};
+
+/**
+ * Change the settings of a draft, settings left undefined keep their value
+ */
+const updateDraft = async (campaign, settings) => {
+  assertTransition(campaign, 'edit');
+
+  const fields = Object.keys(DRAFT_COLUMNS).filter((field) => settings[field] !== undefined);
+  if (fields.length === 0) {
+    return;
+  }
+
+  const result = await db.query(
+    `
+    UPDATE email_campaigns
+    SET ${fields.map((field) => `${DRAFT_COLUMNS[field]} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'draft'
+  `,
+    [...fields.map((field) => toColumnValue(field, settings[field])), campaign.id]
+  );
+
+  if (result.changes === 0) {
+    throw invalidTransition('edit', 'no longer a draft');
+  }
+};
+
+/**
+ * Reserve a draft for launching so it is only launched once
+ * Hand it back with releaseDraft() if the launch fails. The campaign and its jobs are saved in
+ * one transaction (see emailService.sendBulkEmails), so a failed launch leaves nothing queued.
+ */
+const claimDraft = async (campaign) => {
+  assertTransition(campaign, 'launch');
+
+  const result = await db.query(
+    `UPDATE email_campaigns SET status = 'launching' WHERE id = ? AND status = 'draft'`,
+    [campaign.id]
+  );
+
+  if (result.changes === 0) {
+    throw invalidTransition('launch', 'no longer a draft');
+  }
+};
+
+/**
+ * Turn a claimed draft back into a draft, nothing changes once it was launched
+ */
+const releaseDraft = (campaignId) =>
+  db.query(`UPDATE email_campaigns SET status = 'draft' WHERE id = ? AND status = 'launching'`, [
+    campaignId,
+  ]);
+
+/**
+ * Turn drafts left `launching` by a previous run back into drafts
+ * A launch happens within a single request, so anything still launching at startup was cut short
+ */
+const releaseInterruptedLaunches = async () => {
+  const result = await db.query(
+    `UPDATE email_campaigns SET status = 'draft', updated_at = CURRENT_TIMESTAMP WHERE status = 'launching'`
+  );
+
+  if (result.changes > 0) {
+    logger.info(`Returned ${result.changes} interrupted campaign launch(es) to draft`);
+  }
+
+  return result.changes;
+};
+
+/**
+ * Move a campaign from one status to another together with its unsent jobs
+ * @returns {Promise<number>} how many jobs were moved
+ */
+const transition = async (campaign, action, { to, timestamps, jobsFrom, jobsTo }) => {
+  assertTransition(campaign, action);
+  let moved = 0;
+
+  await db.transaction(async () => {
+    const result = await db.query(
+      `
+      UPDATE email_campaigns
+      SET status = ?, ${timestamps}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN (${TRANSITIONS[action].map(() => '?').join(', ')})
+    `,
+      [to, campaign.id, ...TRANSITIONS[action]]
+    );
+    if (result.changes === 0) {
+      throw invalidTransition(action, `no longer ${campaign.status}`);
+    }
+
+    const jobs = await db.query(
+      `
+      UPDATE email_queue
+      SET status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE campaign_id = ? AND status IN (${jobsFrom.map(() => '?').join(', ')})
+    `,
+      [jobsTo, campaign.id, ...jobsFrom]
+    );
+    moved = jobs.changes;
+  });
+
+  return moved;
+};
+
+/**
+ * Stop sending a running campaign, its remaining emails wait until it is resumed
+ * @returns {Promise<number>} how many emails are held back
+ */
+const pauseCampaign = (campaign) =>
+  transition(campaign, 'pause', {
+    to: 'paused',
+    timestamps: 'paused_at = CURRENT_TIMESTAMP',
+    jobsFrom: ['pending'],
+    jobsTo: 'paused',
+  });
+
+/**
+ * Continue sending a paused campaign
+ * @returns {Promise<number>} how many emails went back on the queue
+ */
+const resumeCampaign = async (campaign) => {
+  const resumed = await transition(campaign, 'resume', {
+    to: 'in_progress',
+    timestamps: 'paused_at = NULL',
+    jobsFrom: ['paused'],
+    jobsTo: 'pending',
+  });
+
+  // Everything may have been sent while it was paused
+  await queueService.completeCampaignIfDone(campaign.id);
+
+  return resumed;
+};
+
+/**
+ * Cancel a campaign, emails that haven't been sent yet are dropped
+ * @returns {Promise<number>} how many emails were cancelled
+ */
+const cancelCampaign = (campaign) =>
+  transition(campaign, 'cancel', {
+    to: 'cancelled',
+    timestamps: 'cancelled_at = CURRENT_TIMESTAMP',
+    jobsFrom: ['pending', 'scheduled', 'paused'],
+    jobsTo: 'cancelled',
+  });
+
+module.exports = {
+  TRANSITIONS,
+  assertTransition,
+  listCampaigns,
+  getCampaign,
+  createDraft,
+  updateDraft,
+  claimDraft,
+  releaseDraft,
+  releaseInterruptedLaunches,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+};
@@ -0,0 +1,797 @@
+const db = require('../config/database');
+const { AppError } = require('../utils/responseHandler');
+const organizationService = require('./organizationService');
+const { normalizeEmail } = require('./suppressionService');
+
+const EMAIL_REGEX = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+const MAX_TAG_LENGTH = 50;
+// Rows per statement when touching many contacts at once
+const BATCH_SIZE = 500;
+
+const parseContact = (row, tags = []) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  fields: row.fields ? JSON.parse(row.fields) : {},
+  tags,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+const assertEmail = (email) => {
+  if (!email || !EMAIL_REGEX.test(String(email).trim())) {
+    throw new AppError(`Invalid email address: ${email}`, 400);
+  }
+};
+
+const assertFields = (fields) => {
+  if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new AppError('fields must be an object of custom fields', 400);
+  }
+};
+
+/**
+ * Lowercase, trim and dedupe tags
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    throw new AppError('tags must be an array of strings', 400);
+  }
+
+  const normalized = [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()))].filter(
+    Boolean
+  );
+  if (normalized.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new AppError(`Tags can be at most ${MAX_TAG_LENGTH} characters`, 400);
+  }
+
+  return normalized;
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Tags of the given contacts
+ * @returns {Promise<Map<number, string[]>>}
+ */
+const loadTags = async (contactIds) => {
+  const tags = new Map(contactIds.map((id) => [id, []]));
+
+  for (let i = 0; i < contactIds.length; i += BATCH_SIZE) {
+    const batch = contactIds.slice(i, i + BATCH_SIZE);
+    const rows = await db.query(
+      `SELECT contact_id, tag FROM contact_tags WHERE contact_id IN (${placeholders(batch)}) ORDER BY tag`,
+      batch
+    );
+    rows.forEach((row) => tags.get(row.contact_id).push(row.tag));
+  }
+
+  return tags;
+};
+
+const setTags = async (contactId, tags) => {
+  await db.query(`DELETE FROM contact_tags WHERE contact_id = ?`, [contactId]);
+  for (const tag of tags) {
+    await db.query(`INSERT INTO contact_tags (contact_id, tag) VALUES (?, ?)`, [contactId, tag]);
+  }
+};
+
+const addTags = async (contactId, tags) => {
+  for (const tag of tags) {
+    await db.query(
+      `INSERT INTO contact_tags (contact_id, tag) VALUES (?, ?) ON CONFLICT(contact_id, tag) DO NOTHING`,
+      [contactId, tag]
+    );
+  }
+};
+
+const addMembership = (listId, contactId) =>
+  db.query(
+    `
+    INSERT INTO contact_list_members (list_id, contact_id) VALUES (?, ?)
+    ON CONFLICT(list_id, contact_id) DO NOTHING
+  `,
+    [listId, contactId]
+  );
+
+/**
+ * @returns {Promise<number>} the new contact's id
+ */
+const insertContact = async (scope, { email, name, fields }) => {
+  const result = await db.query(
+    `
+    INSERT INTO contacts (user_id, organization_id, email, email_normalized, name, fields)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      scope.userId,
+      scope.organizationId || null,
+      String(email).trim(),
+      normalizeEmail(email),
+      name,
+      JSON.stringify(fields),
+    ]
+  );
+
+  return result.lastID;
+};
+
+const findContactRow = async (scope, contactId) => {
+  const filter = organizationService.scopeFilter(scope);
+  const rows = await db.query(`SELECT * FROM contacts WHERE id = ? AND ${filter.sql}`, [
+    contactId,
+    ...filter.params,
+  ]);
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const findContactByEmail = async (scope, email) => {
+  const filter = organizationService.scopeFilter(scope);
+  const rows = await db.query(
+    `SELECT * FROM contacts WHERE email_normalized = ? AND ${filter.sql}`,
+    [normalizeEmail(email), ...filter.params]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Get a contact of the workspace with its tags and lists
+ */
+const getContact = async (scope, contactId) => {
+  const row = await findContactRow(scope, contactId);
+  if (!row) {
+    return null;
+  }
+
+  const tags = await loadTags([row.id]);
+  const lists = await db.query(
+    `
+    SELECT l.id, l.name
+    FROM contact_list_members m
+    JOIN contact_lists l ON l.id = m.list_id
+    WHERE m.contact_id = ?
+    ORDER BY l.name
+  `,
+    [row.id]
+  );
+
+  return { ...parseContact(row, tags.get(row.id)), lists };
+};
+
+/**
+ * Create a contact, addresses are unique per workspace once normalized
+ * @throws {AppError} 409 CONTACT_EXISTS with the existing contact's id
+ */
+const createContact = async (scope, { email, name = null, fields = {}, tags = [] }) => {
+  assertEmail(email);
+  assertFields(fields);
+  const normalizedTags = normalizeTags(tags);
+
+  let contactId;
+
+  await db.transaction(async () => {
+    const existing = await findContactByEmail(scope, email);
+    if (existing) {
+      throw new AppError(
+        'A contact with this email address already exists',
+        409,
+        'CONTACT_EXISTS',
+        {
+          contactId: existing.id,
+        }
+      );
+    }
+
+    contactId = await insertContact(scope, { email, name, fields });
+    await setTags(contactId, normalizedTags);
+  });
+
+  return getContact(scope, contactId);
+};
+
+/**
+ * Update a contact
+ * `fields` are merged into the existing ones (null removes a field), `tags` replace them
+ */
+const updateContact = async (scope, contactId, { email, name, fields, tags }) => {
+  const row = await findContactRow(scope, contactId);
+  if (!row) {
+    throw new AppError('Contact not found', 404);
+  }
+
+  if (email !== undefined) {
+    assertEmail(email);
+  }
+  if (fields !== undefined) {
+    assertFields(fields);
+  }
+  const normalizedTags = tags === undefined ? undefined : normalizeTags(tags);
+
+  await db.transaction(async () => {
+    if (email !== undefined && normalizeEmail(email) !== row.email_normalized) {
+      const existing = await findContactByEmail(scope, email);
+      if (existing) {
+        throw new AppError(
+          'A contact with this email address already exists',
+          409,
+          'CONTACT_EXISTS',
+          { contactId: existing.id }
+        );
+      }
+    }
+
+    const mergedFields = { ...(row.fields ? JSON.parse(row.fields) : {}), ...fields };
+    Object.keys(mergedFields).forEach((key) => {
+      if (mergedFields[key] === null) delete mergedFields[key];
+    });
+
+    await db.query(
+      `
+      UPDATE contacts
+      SET email = ?, email_normalized = ?, name = ?, fields = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [
+        email === undefined ? row.email : String(email).trim(),
+        email === undefined ? row.email_normalized : normalizeEmail(email),
+        name === undefined ? row.name : name,
+        JSON.stringify(mergedFields),
+        row.id,
+      ]
+    );
+
+    if (normalizedTags) {
+      await setTags(row.id, normalizedTags);
+    }
+  });
+
+  return getContact(scope, row.id);
+};
+
+/**
+ * Delete a contact with its tags and list memberships
+ * @returns {Promise<boolean>} false when there was no such contact
+ */
+const deleteContact = async (scope, contactId) => {
+  const row = await findContactRow(scope, contactId);
+  if (!row) {
+    return false;
+  }
+
+  await db.transaction(async () => {
+    await db.query(`DELETE FROM contact_tags WHERE contact_id = ?`, [row.id]);
+    await db.query(`DELETE FROM contact_list_members WHERE contact_id = ?`, [row.id]);
+    await db.query(`DELETE FROM contacts WHERE id = ?`, [row.id]);
+  });
+
+  return true;
+};
+
+/**
+ * SQL condition for contacts of the workspace matching a search
+ * @returns {{sql: string, params: any[]}}
+ */
+const contactFilter = (scope, { q, tag, listId } = {}) => {
+  const filter = organizationService.scopeFilter(scope, 'c');
+  const conditions = [filter.sql];
+  const params = [...filter.params];
+
+  if (q) {
+    const pattern = `%${String(q)
+      .toLowerCase()
+      .replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push(`(c.email_normalized LIKE ? ESCAPE '\\' OR LOWER(c.name) LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern);
+  }
+
+  if (tag) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM contact_tags t WHERE t.contact_id = c.id AND t.tag = ?)`
+    );
+    params.push(String(tag).trim().toLowerCase());
+  }
+
+  if (listId) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM contact_list_members m WHERE m.contact_id = c.id AND m.list_id = ?)`
+    );
+    params.push(listId);
+  }
+
+  return { sql: conditions.join(' AND '), params };
+};
+
+/**
+ * Search the workspace's contacts by address or name (`q`), tag and list
+ * @returns {Promise<{total: number, contacts: object[]}>}
+ */
+const searchContacts = async (scope, { q, tag, listId, limit = 50, offset = 0 } = {}) => {
+  const filter = contactFilter(scope, { q, tag, listId });
+
+  const totals = await db.query(
+    `SELECT COUNT(*) as total FROM contacts c WHERE ${filter.sql}`,
+    filter.params
+  );
+  const rows = await db.query(
+    `SELECT c.* FROM contacts c WHERE ${filter.sql} ORDER BY c.id LIMIT ? OFFSET ?`,
+    [...filter.params, limit, offset]
+  );
+  const tags = await loadTags(rows.map((row) => row.id));
+
+  return {
+    total: totals[0].total,
+    contacts: rows.map((row) => parseContact(row, tags.get(row.id))),
+  };
+};
+
+/**
+ * Tags used in the workspace with how many contacts carry each
+ */
+const listTags = async (scope) => {
+  const filter = organizationService.scopeFilter(scope, 'c');
+
+  return db.query(
+    `
+    SELECT t.tag, COUNT(*) as contacts
+    FROM contact_tags t
+    JOIN contacts c ON c.id = t.contact_id
+    WHERE ${filter.sql}
+    GROUP BY t.tag
+    ORDER BY t.tag
+  `,
+    filter.params
+  );
+};
+
+const findList = async (scope, listId) => {
+  const filter = organizationService.scopeFilter(scope);
+  const rows = await db.query(`SELECT * FROM contact_lists WHERE id = ? AND ${filter.sql}`, [
+    listId,
+    ...filter.params,
+  ]);
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const assertListNameFree = async (scope, name, exceptId = null) => {
+  const filter = organizationService.scopeFilter(scope);
+  const rows = await db.query(
+    `SELECT id FROM contact_lists WHERE name = ? AND id != ? AND ${filter.sql}`,
+    [name, exceptId || 0, ...filter.params]
+  );
+
+  if (rows.length > 0) {
+    throw new AppError(`A list named "${name}" already exists`, 409);
+  }
+};
+
+/**
+ * Get a list of the workspace with its member count
+ */
+const getList = async (scope, listId) => {
+  const filter = organizationService.scopeFilter(scope, 'l');
+  const rows = await db.query(
+    `
+    SELECT l.*, (SELECT COUNT(*) FROM contact_list_members m WHERE m.list_id = l.id) as member_count
+    FROM contact_lists l
+    WHERE l.id = ? AND ${filter.sql}
+  `,
+    [listId, ...filter.params]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * List the workspace's lists with their member counts
+ */
+const listLists = async (scope) => {
+  const filter = organizationService.scopeFilter(scope, 'l');
+
+  return db.query(
+    `
+    SELECT l.*, (SELECT COUNT(*) FROM contact_list_members m WHERE m.list_id = l.id) as member_count
+    FROM contact_lists l
+    WHERE ${filter.sql}
+    ORDER BY l.name
+  `,
+    filter.params
+  );
+};
+
+/**
+ * Create a list, names are unique per workspace
+ */
+const createList = async (scope, { name, description = null }) => {
+  if (!name || !String(name).trim()) {
+    throw new AppError('Please provide a list name', 400);
+  }
+
+  const listName = String(name).trim();
+  await assertListNameFree(scope, listName);
+
+  const result = await db.query(
+    `INSERT INTO contact_lists (user_id, organization_id, name, description) VALUES (?, ?, ?, ?)`,
+    [scope.userId, scope.organizationId || null, listName, description]
+  );
+
+  return getList(scope, result.lastID);
+};
+
+/**
+ * Rename a list or change its description
+ */
+const updateList = async (scope, listId, { name, description }) => {
+  const list = await findList(scope, listId);
+  if (!list) {
+    throw new AppError('List not found', 404);
+  }
+
+  let listName = list.name;
+  if (name !== undefined) {
+    if (!name || !String(name).trim()) {
+      throw new AppError('Please provide a list name', 400);
+    }
+    listName = String(name).trim();
+    await assertListNameFree(scope, listName, list.id);
+  }
+
+  await db.query(
+    `UPDATE contact_lists SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [listName, description === undefined ? list.description : description, list.id]
+  );
+
+  return getList(scope, list.id);
+};
+
+/**
+ * Delete a list, its contacts are kept
+ * @returns {Promise<boolean>} false when there was no such list
+ */
+const deleteList = async (scope, listId) => {
+  const list = await findList(scope, listId);
+  if (!list) {
+    return false;
+  }
+
+  await db.transaction(async () => {
+    await db.query(`DELETE FROM contact_list_members WHERE list_id = ?`, [list.id]);
+    await db.query(`DELETE FROM contact_lists WHERE id = ?`, [list.id]);
+  });
+
+  return true;
+};
+
+/**
+ * Add contacts of the workspace to a list, contacts already on it are skipped
+ * @returns {Promise<number>} how many were added
+ */
+const addListMembers = async (scope, listId, contactIds) => {
+  const list = await findList(scope, listId);
+  if (!list) {
+    throw new AppError('List not found', 404);
+  }
+  if (!Array.isArray(contactIds) || contactIds.length === 0) {
+    throw new AppError('contactIds must be a non-empty array', 400);
+  }
+
+  const ids = [...new Set(contactIds.map(Number))];
+  const filter = organizationService.scopeFilter(scope);
+  let added = 0;
+
+  await db.transaction(async () => {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const batch = ids.slice(i, i + BATCH_SIZE);
+      const found = await db.query(
+        `SELECT id FROM contacts WHERE id IN (${placeholders(batch)}) AND ${filter.sql}`,
+        [...batch, ...filter.params]
+      );
+
+      if (found.length !== batch.length) {
+        const foundIds = new Set(found.map((row) => row.id));
+        const missing = batch.filter((id) => !foundIds.has(id));
+        throw new AppError(`Contacts not found: ${missing.join(', ')}`, 404);
+      }
+
+      const result = await db.query(
+        `
+        INSERT INTO contact_list_members (list_id, contact_id)
+        VALUES ${batch.map(() => '(?, ?)').join(', ')}
+        ON CONFLICT(list_id, contact_id) DO NOTHING
+      `,
+        batch.flatMap((id) => [list.id, id])
+      );
+      added += result.changes;
+    }
+  });
+
+  return added;
+};
+
+/**
+ * Take a contact off a list
+ * @returns {Promise<boolean>} false when the contact wasn't on it
+ */
+const removeListMember = async (scope, listId, contactId) => {
+  const list = await findList(scope, listId);
+  if (!list) {
+    throw new AppError('List not found', 404);
+  }
+
+  const result = await db.query(
+    `DELETE FROM contact_list_members WHERE list_id = ? AND contact_id = ?`,
+    [list.id, contactId]
+  );
+
+  return result.changes > 0;
+};
+
+// Columns recognized by their header when no mapping is given for them
+const DEFAULT_COLUMNS = {
+  email: 'email',
+  'e-mail': 'email',
+  'email address': 'email',
+  name: 'name',
+  'full name': 'name',
+  tags: 'tags',
+};
+// Row errors listed in an import report, the rest are only counted
+const MAX_REPORTED_ERRORS = 1000;
+
+/**
+ * Work out what each CSV column holds from its header and the import's `mapping`
+ * @returns {Array<{type: string, key?: string}|null>} per column, null for ignored columns
+ */
+const mapColumns = (header, mapping = {}) => {
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new AppError('mapping must be an object of CSV column: contact field', 400);
+  }
+
+  const headers = header.map((name) => name.trim());
+  const unknown = Object.keys(mapping).filter((name) => !headers.includes(name));
+  if (unknown.length > 0) {
+    throw new AppError(`Mapped column(s) not in the CSV header: ${unknown.join(', ')}`, 400);
+  }
+
+  const columns = headers.map((name) => {
+    let target = DEFAULT_COLUMNS[name.toLowerCase()] || (name ? `fields.${name}` : null);
+    if (Object.prototype.hasOwnProperty.call(mapping, name)) {
+      target = mapping[name];
+    }
+
+    if (target === null || target === '') {
+      return null;
+    }
+    if (['email', 'name', 'tags'].includes(target)) {
+      return { type: target };
+    }
+    if (typeof target === 'string' && /^fields\..+/.test(target)) {
+      return { type: 'field', key: target.slice('fields.'.length) };
+    }
+    throw new AppError(
+      `Unknown field "${target}" for column "${name}", use email, name, tags, fields.<name> or null`,
+      400
+    );
+  });
+
+  const emailColumns = columns.filter((column) => column && column.type === 'email').length;
+  if (emailColumns !== 1) {
+    throw new AppError(
+      emailColumns === 0
+        ? 'The CSV has no email column, name one "email" or map one to it'
+        : 'Only one column can be mapped to email',
+      400
+    );
+  }
+
+  return columns;
+};
+
+/**
+ * Contact described by a CSV record, empty cells are left out
+ */
+const readRecord = (columns, record) => {
+  const contact = { email: '', name: null, fields: {}, tags: [] };
+
+  columns.forEach((column, index) => {
+    const value = (record[index] || '').trim();
+    if (!column || value === '') return;
+
+    if (column.type === 'field') {
+      contact.fields[column.key] = value;
+    } else if (column.type === 'tags') {
+      contact.tags.push(...value.split(/[;,]/));
+    } else {
+      contact[column.type] = value;
+    }
+  });
+
+  return contact;
+};
+
+/**
+ * Import contacts from CSV records (the first is the header) while they are being read
+ *
+ * Columns are matched by header: email, name and tags (separated by `;` or `,`) are recognized,
+ * any other column becomes a custom field. `mapping` ({ "<header>": "email" | "name" | "tags" |
+ * "fields.<key>" | null }) overrides that, null ignores a column.
+ * Rows with an invalid address or repeating an earlier row's address are reported and skipped.
+ * Contacts already in the workspace are left as they are, or have the row's name, fields and tags
+ * merged in with `updateExisting`. Every valid row is added to list `listId` when given, new and
+ * updated contacts also get `tags`.
+ *
+ * When reading `records` fails partway (a broken upload or CSV), the rows read before are still
+ * imported and `stopped` tells where and why reading stopped.
+ *
+ * @param {AsyncIterable<string[]>} records
+ * @returns {Promise<{rows: number, created: number, updated: number, unchanged: number,
+ *   failed: number, errors: Array<{row: number, email: string|null, error: string}>,
+ *   stopped?: {row: number, error: Error}}>}
+ *   `row` counts the header as row 1, only the first errors are listed
+ */
+const importContacts = async (
+  scope,
+  records,
+  { mapping, listId, tags = [], updateExisting = false } = {}
+) => {
+  const list = listId ? await findList(scope, listId) : null;
+  if (listId && !list) {
+    throw new AppError('List not found', 404);
+  }
+
+  const sharedTags = normalizeTags(tags);
+  const report = { rows: 0, created: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+  // Row each address was first seen on
+  const seen = new Map();
+
+  const fail = (row, email, error) => {
+    report.failed++;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ row, email: email || null, error });
+    }
+  };
+
+  const importRow = async (row, contact) => {
+    if (!EMAIL_REGEX.test(contact.email)) {
+      return fail(
+        row,
+        contact.email,
+        contact.email ? 'Invalid email address' : 'Missing email address'
+      );
+    }
+
+    const key = normalizeEmail(contact.email);
+    if (seen.has(key)) {
+      return fail(row, contact.email, `Duplicate of row ${seen.get(key)}`);
+    }
+
+    let rowTags;
+    try {
+      rowTags = normalizeTags([...contact.tags, ...sharedTags]);
+    } catch (error) {
+      return fail(row, contact.email, error.message);
+    }
+    seen.set(key, row);
+
+    const existing = await findContactByEmail(scope, contact.email);
+    let contactId;
+
+    if (!existing) {
+      contactId = await insertContact(scope, contact);
+      await setTags(contactId, rowTags);
+      report.created++;
+    } else if (updateExisting) {
+      contactId = existing.id;
+      await db.query(
+        `UPDATE contacts SET name = ?, fields = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [
+          contact.name ?? existing.name,
+          JSON.stringify({ ...JSON.parse(existing.fields || '{}'), ...contact.fields }),
+          contactId,
+        ]
+      );
+      await addTags(contactId, rowTags);
+      report.updated++;
+    } else {
+      contactId = existing.id;
+      report.unchanged++;
+    }
+
+    if (list) {
+      await addMembership(list.id, contactId);
+    }
+  };
+
+  let columns = null;
+  let rowNumber = 0;
+  let batch = [];
+  let readError = null;
+
+  // Stops at the first error reading the upload, errors importing rows still propagate
+  const readRecords = async function* () {
+    try {
+      yield* records;
+    } catch (error) {
+      readError = error;
+    }
+  };
+
+  // Rows are written a batch per transaction as the upload comes in
+  const flush = async () => {
+    const rows = batch;
+    batch = [];
+    await db.transaction(async () => {
+      for (const { row, contact } of rows) {
+        await importRow(row, contact);
+      }
+    });
+  };
+
+  for await (const record of readRecords()) {
+    rowNumber++;
+    if (!columns) {
+      columns = mapColumns(record, mapping);
+      continue;
+    }
+
+    report.rows++;
+    batch.push({ row: rowNumber, contact: readRecord(columns, record) });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  if (!columns) {
+    throw readError || new AppError('The CSV file is empty', 400);
+  }
+  await flush();
+
+  if (readError) {
+    report.stopped = { row: rowNumber + 1, error: readError };
+  }
+
+  return report;
+};
+
+/**
+ * Resolve a campaign audience (a list, a tag, or contacts matching both) to recipient records:
+ * the contact's custom fields plus `email` and `name`
+ */
+const resolveAudience = async (scope, { listId, tag }) => {
+  if (listId && !(await findList(scope, listId))) {
+    throw new AppError('List not found', 404);
+  }
+
+  const filter = contactFilter(scope, { listId, tag });
+  const rows = await db.query(
+    `SELECT c.email, c.name, c.fields FROM contacts c WHERE ${filter.sql} ORDER BY c.id`,
+    filter.params
+  );
+
+  return rows.map((row) => ({
+    ...(row.fields ? JSON.parse(row.fields) : {}),
+    email: row.email,
+    ...(row.name !== null && { name: row.name }),
+  }));
+};
+
+module.exports = {
+  normalizeTags,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact,
+  searchContacts,
+  listTags,
+  getList,
+  listLists,
+  createList,
+  updateList,
+  deleteList,
+  addListMembers,
+  removeListMember,
+  importContacts,
+  resolveAudience,
+};
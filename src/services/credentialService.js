@@ -0,0 +1,275 @@
+const db = require('../config/database');
+const encryption = require('../utils/encryption');
+const organizationService = require('./organizationService');
+
+// Columns holding secrets, encrypted at rest
+const ENCRYPTED_COLUMNS = ['client_secret', 'refresh_token', 'access_token', 'secret'];
+
+/**
+ * Map an email_credentials row to the credentials object used by emailService
+ */
+const toCredentials = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  organizationId: row.organization_id,
+  email: row.email,
+  provider: row.provider,
+  clientId: row.client_id,
+  clientSecret: encryption.decrypt(row.client_secret),
+  refreshToken: encryption.decrypt(row.refresh_token),
+  accessToken: encryption.decrypt(row.access_token),
+  tokenExpiresAt: row.token_expires_at,
+  redirectUri: row.redirect_uri,
+  config: row.config ? JSON.parse(row.config) : null,
+  secret: encryption.decrypt(row.secret),
+  status: row.status,
+  dailyQuota: row.daily_quota,
+  hourlyQuota: row.hourly_quota,
+  perMinuteLimit: row.per_minute_limit,
+});
+
+/**
+ * Get credentials from database
+ * Looks in the organization's credentials when `organizationId` is given, otherwise in the
+ * user's own. Falls back to the default credentials when no credentialId is given.
+ * `userId` of the result is the user sending, for shared credentials that isn't the owner
+ */
+const getCredentials = async (credentialId, userId, organizationId = null) => {
+  const scope = organizationService.scopeFilter({ userId, organizationId });
+  let query = `
+    SELECT * FROM email_credentials
+    WHERE ${scope.sql}
+  `;
+
+  const params = [...scope.params];
+
+  if (credentialId) {
+    query += ` AND id = ?`;
+    params.push(credentialId);
+  } else {
+    query += ` AND is_default = TRUE`;
+  }
+
+  query += ` LIMIT 1`;
+
+  const credentials = await db.query(query, params);
+
+  if (credentials.length === 0) {
+    return null;
+  }
+
+  return { ...toCredentials(credentials[0]), userId };
+};
+
+/**
+ * Get every active credential of the user's (or, with `organizationId`, the organization's)
+ * workspace, default first
+ */
+const getWorkspaceCredentials = async (userId, organizationId = null) => {
+  const scope = organizationService.scopeFilter({ userId, organizationId });
+  const rows = await db.query(
+    `
+    SELECT * FROM email_credentials
+    WHERE ${scope.sql} AND status = 'active'
+    ORDER BY is_default DESC, id
+  `,
+    scope.params
+  );
+
+  return rows.map((row) => ({ ...toCredentials(row), userId }));
+};
+
+/**
+ * Get credentials for a job queued earlier, if the user who queued it may still send with them
+ * (their own, or an organization's they still have a sending role in)
+ */
+const getCredentialsForSender = async (credentialId, userId) => {
+  const rows = await db.query(
+    `
+    SELECT c.*, m.role as member_role
+    FROM email_credentials c
+    LEFT JOIN organization_members m ON m.organization_id = c.organization_id AND m.user_id = ?
+    WHERE c.id = ?
+  `,
+    [userId, credentialId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  const allowed = row.organization_id
+    ? Boolean(row.member_role) && organizationService.hasPermission(row.member_role, 'email:send')
+    : row.user_id === userId;
+
+  return allowed ? { ...toCredentials(row), userId } : null;
+};
+
+/**
+ * Create or update a user's (or, with `organizationId`, an organization's) credentials for an address
+ * `fields` are the values returned by the provider's validate()
+ * @returns {Promise<number>} credential id
+ */
+const saveCredentials = async (
+  userId,
+  { email, provider, isDefault = false, fields, organizationId = null }
+) => {
+  const scope = organizationService.scopeFilter({ userId, organizationId });
+  const config = fields.config ? JSON.stringify(fields.config) : null;
+  const clientSecret = encryption.encrypt(fields.clientSecret);
+  const refreshToken = encryption.encrypt(fields.refreshToken);
+  const accessToken = encryption.encrypt(fields.accessToken);
+  const secret = encryption.encrypt(fields.secret);
+  let credentialId;
+
+  await db.transaction(async () => {
+    // Only one credential can be the default
+    if (isDefault) {
+      await db.query(
+        `UPDATE email_credentials SET is_default = FALSE WHERE ${scope.sql}`,
+        scope.params
+      );
+    }
+
+    const existing = await db.query(
+      `SELECT id FROM email_credentials WHERE ${scope.sql} AND email = ?`,
+      [...scope.params, email]
+    );
+
+    if (existing.length > 0) {
+      credentialId = existing[0].id;
+
+      await db.query(
+        `
+        UPDATE email_credentials
+        SET
+          provider = ?,
+          client_id = ?,
+          client_secret = ?,
+          refresh_token = ?,
+          access_token = ?,
+          redirect_uri = ?,
+          config = ?,
+          secret = ?,
+          token_expires_at = ?,
+          status = 'active',
+          status_reason = NULL,
+          is_default = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [
+          provider,
+          fields.clientId,
+          clientSecret,
+          refreshToken,
+          accessToken,
+          fields.redirectUri,
+          config,
+          secret,
+          fields.tokenExpiresAt,
+          isDefault,
+          credentialId,
+        ]
+      );
+    } else {
+      const result = await db.query(
+        `
+        INSERT INTO email_credentials (
+          user_id, organization_id, email, provider, client_id, client_secret,
+          refresh_token, access_token, redirect_uri, config, secret, token_expires_at, is_default
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          userId,
+          organizationId,
+          email,
+          provider,
+          fields.clientId,
+          clientSecret,
+          refreshToken,
+          accessToken,
+          fields.redirectUri,
+          config,
+          secret,
+          fields.tokenExpiresAt,
+          isDefault,
+        ]
+      );
+
+      credentialId = result.lastID;
+    }
+  });
+
+  return credentialId;
+};
+
+/**
+ * Store a refreshed access token
+ */
+const saveAccessToken = async (credentialId, accessToken, expiresAt) => {
+  await db.query(
+    `UPDATE email_credentials SET access_token = ?, token_expires_at = ? WHERE id = ?`,
+    [encryption.encrypt(accessToken), expiresAt, credentialId]
+  );
+};
+
+/**
+ * Flag a credential whose refresh token was revoked or expired
+ * It stays unusable until the account is connected again
+ */
+const markNeedsReauth = async (credentialId, reason) => {
+  await db.query(
+    `
+    UPDATE email_credentials
+    SET status = 'needs_reauth', status_reason = ?, access_token = NULL, token_expires_at = NULL
+    WHERE id = ?
+  `,
+    [reason, credentialId]
+  );
+};
+
+/**
+ * Re-encrypt stored secrets with the active encryption key
+ * Also encrypts rows saved before encryption was introduced
+ * @returns {Promise<{credentials: number, values: number}>} rows and values that changed
+ */
+const rotateEncryptionKey = async () => {
+  const counts = { credentials: 0, values: 0 };
+
+  await db.transaction(async () => {
+    const rows = await db.query(
+      `SELECT id, ${ENCRYPTED_COLUMNS.join(', ')} FROM email_credentials`
+    );
+
+    for (const row of rows) {
+      const updates = ENCRYPTED_COLUMNS.map((column) => [
+        column,
+        encryption.reencrypt(row[column]),
+      ]).filter(([, value]) => value !== null);
+
+      if (updates.length === 0) continue;
+
+      await db.query(
+        `UPDATE email_credentials SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...updates.map(([, value]) => value), row.id]
+      );
+
+      counts.credentials++;
+      counts.values += updates.length;
+    }
+  });
+
+  return counts;
+};
+
+module.exports = {
+  getCredentials,
+  getWorkspaceCredentials,
+  getCredentialsForSender,
+  saveCredentials,
+  saveAccessToken,
+  markNeedsReauth,
+  rotateEncryptionKey,
+};
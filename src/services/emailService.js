@@ -1,10 +1,14 @@
-const nodemailer = require('nodemailer');
-const { google } = require('googleapis');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../config/logger');
 const db = require('../config/database');
+const queueService = require('./queueService');
+const signing = require('../utils/signing');
+const suppressionService = require('./suppressionService');
+const organizationService = require('./organizationService');
+const templateService = require('./templateService');
+const providers = require('./providers');
 
 // Create a tracking pixel directory if it doesn't exist
 const trackingDir = path.join(__dirname, '../../public/tracking');
@@ -13,41 +17,14 @@ if (!fs.existsSync(trackingDir)) {
 }
 
 /**
- * Create OAuth2 client for Gmail authentication
- */
-const createOAuth2Client = (credentials) => {
-  const { clientId, clientSecret, refreshToken, redirectUri } = credentials;
-  const oAuth2Client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
-  
-  oAuth2Client.setCredentials({
-    refresh_token: refreshToken
-  });
-  
-  return oAuth2Client;
-};
-
-/**
- * Create a transporter using OAuth2 authentication
+ * Get the transporter for the credential's provider (cached per credential)
  */
 const createTransporter = async (credentials) => {
   try {
-    const oauth2Client = createOAuth2Client(credentials);
-    const accessToken = await oauth2Client.getAccessToken();
-    
-    return nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        type: 'OAuth2',
-        user: credentials.email,
-        clientId: credentials.clientId,
-        clientSecret: credentials.clientSecret,
-        refreshToken: credentials.refreshToken,
-        accessToken: accessToken.token
-      }
-    });
+    return await providers.getTransport(credentials);
   } catch (error) {
     logger.error(`Error creating transporter: ${error.message}`);
-    throw new Error('Failed to create email transporter');
+    throw new Error('Failed to create email transporter', { cause: error });
   }
 };
 
@@ -65,6 +42,107 @@ const generateTrackingPixel = (emailId) => {
   return { trackingId, trackingPixelHtml };
 };
 
+/**
+ * Build the signed redirect URL for a tracked link
+ */
+const buildClickUrl = (trackingId, linkId) => {
+  const signature = signing.sign(`${trackingId}:${linkId}`);
+  return `${process.env.API_URL || 'http://localhost:3000'}/api/email/click/${trackingId}/${linkId}?sig=${signature}`;
+};
+
+/**
+ * Rewrite every http(s) <a href> in the HTML to go through the click tracker
+ * Mail, phone, in-page and unsubscribe links are left alone
+ */
+const rewriteLinks = (html, trackingId) => {
+  const links = [];
+  const anchorHrefRegex = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+  
+  const rewrittenHtml = html.replace(anchorHrefRegex, (match, prefix, quote, href) => {
+    const url = href.trim().replace(/&amp;/g, '&');
+    if (!/^https?:\/\//i.test(url) || url.includes('/api/email/unsubscribe/')) {
+      return match;
+    }
+    
+    const linkId = String(links.length + 1);
+    links.push({ linkId, url });
+    
+    return `${prefix}${quote}${buildClickUrl(trackingId, linkId)}${quote}`;
+  });
+  
+  return { html: rewrittenHtml, links };
+};
+
+/**
+ * Save the original URLs of the rewritten links
+ */
+const saveTrackedLinks = async (trackingId, links) => {
+  for (const link of links) {
+    await db.query(`
+      INSERT INTO email_links (tracking_id, link_id, url) VALUES (?, ?, ?)
+    `, [trackingId, link.linkId, link.url]);
+  }
+};
+
+/**
+ * Look up the original URL behind a tracked link
+ * Returns null when the signature doesn't match or the link is unknown
+ */
+const getClickTarget = async (trackingId, linkId, signature) => {
+  if (!signing.verify(`${trackingId}:${linkId}`, signature)) {
+    return null;
+  }
+  
+  const links = await db.query(`
+    SELECT url FROM email_links WHERE tracking_id = ? AND link_id = ?
+  `, [trackingId, linkId]);
+  
+  return links.length > 0 ? links[0].url : null;
+};
+
+/**
+ * Record a click on a tracked link
+ */
+const recordClick = async (trackingId, url, ipAddress, userAgent) => {
+  try {
+    await db.query(`
+      INSERT INTO email_events (
+        tracking_id, 
+        event_type, 
+        ip_address, 
+        user_agent,
+        link_url
+      ) VALUES (?, ?, ?, ?, ?)
+    `, [trackingId, 'click', ipAddress, userAgent, url]);
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error recording email click: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Put the unsubscribe link into the content
+ * Fills the {{unsubscribe_url}} placeholder, or appends a footer when the content has no link
+ */
+const addUnsubscribeLink = (html, text, unsubscribeUrl) => {
+  const placeholderRegex = /\{\{\s*unsubscribe_url\s*\}\}/g;
+  
+  let htmlContent = html ? html.replace(placeholderRegex, unsubscribeUrl) : html;
+  let textContent = text ? text.replace(placeholderRegex, unsubscribeUrl) : text;
+  
+  if (htmlContent && !htmlContent.includes(unsubscribeUrl)) {
+    htmlContent += `<p style="font-size:12px;color:#888888;">If you no longer want to receive these emails, <a href="${unsubscribeUrl}">unsubscribe</a>.</p>`;
+  }
+  
+  if (textContent && !textContent.includes(unsubscribeUrl)) {
+    textContent += `\n\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+  
+  return { html: htmlContent, text: textContent };
+};
+
 /**
  * Save email details in database
  */
@@ -78,7 +156,8 @@ const saveEmailToDB = async (emailDetails) => {
       trackingId, 
       status, 
       templateId, 
-      campaignId 
+      campaignId,
+      credentialId
     } = emailDetails;
     
     const result = await db.query(`
@@ -90,9 +169,10 @@ const saveEmailToDB = async (emailDetails) => {
         tracking_id, 
         status, 
         template_id, 
-        campaign_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [messageId, sender, recipient, subject, trackingId, status, templateId, campaignId]);
+        campaign_id,
+        credential_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [messageId, sender, recipient, subject, trackingId, status, templateId, campaignId, credentialId]);
     
     return result.insertId;
   } catch (error) {
@@ -140,18 +220,36 @@ const sendEmail = async (credentials, emailOptions) => {
     // Generate tracking pixel if tracking is enabled
     let trackingId = null;
     let htmlContent = emailOptions.html || '';
+    let textContent = emailOptions.text;
+    const headers = { ...emailOptions.headers };
+    
+    // Let the recipient opt out: link in the content plus RFC 8058 one-click headers
+    if (emailOptions.unsubscribeUrl) {
+      const unsubscribe = addUnsubscribeLink(htmlContent, textContent, emailOptions.unsubscribeUrl);
+      htmlContent = unsubscribe.html;
+      textContent = unsubscribe.text;
+      headers['List-Unsubscribe'] = `<${emailOptions.unsubscribeUrl}>`;
+      headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    }
     
     if (emailOptions.enableTracking !== false) {
       const tracking = generateTrackingPixel();
       trackingId = tracking.trackingId;
       
+      // Route links through the click tracker before the pixel is added
+      if (htmlContent && emailOptions.trackClicks) {
+        const rewritten = rewriteLinks(htmlContent, trackingId);
+        htmlContent = rewritten.html;
+        await saveTrackedLinks(trackingId, rewritten.links);
+      }
+      
       // Append tracking pixel to HTML content
       if (htmlContent) {
         htmlContent = htmlContent + tracking.trackingPixelHtml;
       } else {
         // Create HTML version from text if HTML not provided
-        htmlContent = emailOptions.text ? 
-          `<div>${emailOptions.text.replace(/\n/g, '<br>')}</div>${tracking.trackingPixelHtml}` : 
+        htmlContent = textContent ? 
+          `<div>${textContent.replace(/\n/g, '<br>')}</div>${tracking.trackingPixelHtml}` : 
           tracking.trackingPixelHtml;
       }
     }
@@ -163,9 +261,10 @@ const sendEmail = async (credentials, emailOptions) => {
       cc: emailOptions.cc,
       bcc: emailOptions.bcc,
       subject: emailOptions.subject,
-      text: emailOptions.text,
+      text: textContent,
       html: htmlContent,
-      attachments: emailOptions.attachments
+      attachments: emailOptions.attachments,
+      headers
     };
     
     // Send email
@@ -181,7 +280,8 @@ const sendEmail = async (credentials, emailOptions) => {
         trackingId,
         status: 'delivered',
         templateId: emailOptions.templateId,
-        campaignId: emailOptions.campaignId
+        campaignId: emailOptions.campaignId,
+        credentialId: credentials.id
       });
     }
     
@@ -193,102 +293,180 @@ const sendEmail = async (credentials, emailOptions) => {
     };
   } catch (error) {
     logger.error(`Error sending email: ${error.message}`);
-    throw new Error(`Failed to send email: ${error.message}`);
+    // Keep the original error so callers can tell transient failures from permanent ones
+    throw new Error(`Failed to send email: ${error.message}`, { cause: error });
   }
 };
 
+/**
+ * Schedule a single email to be sent at a later time
+ */
+const scheduleEmail = async (credentials, emailOptions, { sendAt, timezone }) => {
+  const scheduledId = await queueService.enqueueEmailJob({
+    userId: credentials.userId,
+    credentialId: credentials.id,
+    message: emailOptions,
+    sendAt,
+    timezone
+  });
+  
+  return { scheduledId, sendAt: sendAt.toISOString(), timezone };
+};
+
 /**
  * Send bulk emails
+ * Creates the campaign and enqueues one job per recipient, the queue worker does the sending.
+ * With a `schedule` the campaign stays `scheduled` until the scheduler releases it.
+ * With a `rotation` ({ strategy, pool }) the worker spreads the jobs over the pool's credentials,
+ * `credentials` is then the first of them.
+ * A draft being launched (see campaignService.claimDraft) is filled in under its own id and name.
+ * `emailTemplate.suppressedCount` recipients already skipped as suppressed count towards the
+ * campaign's total and its `suppressed_count`.
  */
-const sendBulkEmails = async (credentials, recipients, emailTemplate, campaignId = null) => {
-  const results = {
-    successful: [],
-    failed: []
-  };
+const sendBulkEmails = async (
+  credentials,
+  recipients,
+  emailTemplate,
+  campaignId = uuidv4(),
+  schedule = null,
+  rotation = null
+) => {
+  const sendAt = schedule ? schedule.sendAt : null;
+  const timezone = schedule ? schedule.timezone : null;
+  const scheduleTime = sendAt ? sendAt.toISOString() : null;
+  const suppressedCount = emailTemplate.suppressedCount || 0;
   
-  // Start transaction for tracking the campaign
-  if (campaignId) {
+  // The campaign and its jobs are saved together so a failure leaves neither behind
+  const totalQueued = await db.transaction(async () => {
     await db.query(`
       INSERT INTO email_campaigns (
         id, 
         name, 
         sender, 
         status, 
-        total_recipients
-      ) VALUES (?, ?, ?, ?, ?)
-    `, [campaignId, emailTemplate.subject, credentials.email, 'in_progress', recipients.length]);
-  }
-  
-  for (const recipient of recipients) {
-    try {
-      // Customize email for recipient
-      const personalizedSubject = replacePlaceholders(emailTemplate.subject, recipient);
-      const personalizedText = emailTemplate.text ? replacePlaceholders(emailTemplate.text, recipient) : null;
-      const personalizedHtml = emailTemplate.html ? replacePlaceholders(emailTemplate.html, recipient) : null;
-      
-      const result = await sendEmail(credentials, {
-        to: recipient.email,
-        subject: personalizedSubject,
-        text: personalizedText,
-        html: personalizedHtml,
-        attachments: emailTemplate.attachments,
-        enableTracking: emailTemplate.enableTracking,
-        templateId: emailTemplate.templateId,
-        campaignId
-      });
-      
-      results.successful.push({
-        email: recipient.email,
-        messageId: result.messageId,
-        trackingId: result.trackingId
-      });
-    } catch (error) {
-      results.failed.push({
-        email: recipient.email,
-        error: error.message
-      });
-      
-      logger.error(`Error sending to ${recipient.email}: ${error.message}`);
-    }
-  }
-  
-  // Update campaign status
-  if (campaignId) {
-    await db.query(`
-      UPDATE email_campaigns 
-      SET 
-        status = 'completed', 
-        sent_count = ?, 
-        failed_count = ?,
-        completed_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `, [results.successful.length, results.failed.length, campaignId]);
-  }
+        total_recipients,
+        suppressed_count,
+        user_id,
+        organization_id,
+        credential_id,
+        subject,
+        text_content,
+        html_content,
+        attachments,
+        enable_tracking,
+        template_id,
+        track_clicks,
+        include_unsubscribe,
+        schedule_time,
+        timezone,
+        sender_pool,
+        rotation_strategy,
+        strict_variables,
+        started_at
+      ) VALUES (
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+        CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP END
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        sender = excluded.sender,
+        status = excluded.status,
+        total_recipients = excluded.total_recipients,
+        suppressed_count = excluded.suppressed_count,
+        credential_id = excluded.credential_id,
+        subject = excluded.subject,
+        text_content = excluded.text_content,
+        html_content = excluded.html_content,
+        attachments = excluded.attachments,
+        enable_tracking = excluded.enable_tracking,
+        template_id = excluded.template_id,
+        track_clicks = excluded.track_clicks,
+        include_unsubscribe = excluded.include_unsubscribe,
+        schedule_time = excluded.schedule_time,
+        timezone = excluded.timezone,
+        sender_pool = excluded.sender_pool,
+        rotation_strategy = excluded.rotation_strategy,
+        strict_variables = excluded.strict_variables,
+        started_at = excluded.started_at,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE email_campaigns.status = 'launching'
+    `, [
+      campaignId,
+      emailTemplate.name || emailTemplate.subject,
+      credentials.email,
+      sendAt ? 'scheduled' : 'in_progress',
+      recipients.length + suppressedCount,
+      suppressedCount,
+      credentials.userId,
+      credentials.organizationId,
+      credentials.id,
+      emailTemplate.subject,
+      emailTemplate.text,
+      emailTemplate.html,
+      emailTemplate.attachments ? JSON.stringify(emailTemplate.attachments) : null,
+      emailTemplate.enableTracking !== false,
+      emailTemplate.templateId,
+      Boolean(emailTemplate.trackClicks),
+      emailTemplate.includeUnsubscribe !== false,
+      scheduleTime,
+      timezone,
+      rotation ? JSON.stringify(rotation.pool) : null,
+      rotation ? rotation.strategy : null,
+      Boolean(emailTemplate.strictVariables),
+      scheduleTime
+    ]);
+    
+    return queueService.enqueueCampaignJobs({
+      campaignId,
+      userId: credentials.userId,
+      credentialId: credentials.id,
+      recipients,
+      sendAt,
+      timezone
+    });
+  });
   
   return {
-    totalSent: results.successful.length,
-    totalFailed: results.failed.length,
-    successfulRecipients: results.successful,
-    failedRecipients: results.failed
+    campaignId,
+    totalQueued,
+    ...(rotation && { rotationStrategy: rotation.strategy, senders: rotation.pool }),
+    ...(sendAt && { sendAt: scheduleTime, timezone })
   };
 };
 
 /**
- * Replace placeholders in content with recipient data
+ * Send a campaign email personalized for one recipient
+ * The content is rendered with the recipient's data through the template engine, using
+ * `emailTemplate.partials` and, with `emailTemplate.strictVariables`, failing on missing variables
  */
-const replacePlaceholders = (content, recipientData) => {
-  if (!content) return content;
+const sendToRecipient = async (credentials, recipient, emailTemplate, campaignId = null) => {
+  // Campaign emails carry an unsubscribe link unless it was explicitly turned off
+  const unsubscribeUrl = emailTemplate.includeUnsubscribe !== false
+    ? suppressionService.buildUnsubscribeUrl(
+      { userId: credentials.userId, organizationId: credentials.organizationId },
+      recipient.email,
+      campaignId
+    )
+    : null;
+  const data = unsubscribeUrl ? { ...recipient, unsubscribe_url: unsubscribeUrl } : recipient;
   
-  let result = content;
-  
-  // Replace all {{variable}} with corresponding values from recipientData
-  const placeholderRegex = /\{\{([^}]+)\}\}/g;
-  result = result.replace(placeholderRegex, (match, placeholder) => {
-    const value = recipientData[placeholder.trim()];
-    return value !== undefined ? value : match; // Return original if not found
+  // Customize email for recipient
+  const personalized = templateService.renderContent(emailTemplate, data, {
+    partials: emailTemplate.partials,
+    strict: Boolean(emailTemplate.strictVariables)
   });
   
-  return result;
+  return sendEmail(credentials, {
+    to: recipient.email,
+    subject: personalized.subject,
+    text: personalized.text || null,
+    html: personalized.html || null,
+    attachments: emailTemplate.attachments,
+    enableTracking: emailTemplate.enableTracking,
+    trackClicks: emailTemplate.trackClicks,
+    templateId: emailTemplate.templateId,
+    unsubscribeUrl,
+    campaignId
+  });
 };
 
 /**
@@ -329,14 +507,65 @@ const getCampaignStats = async (campaignId) => {
       ORDER BY date
     `, [campaignId]);
     
+    // Get click totals and per-link counts
+    const clickTotals = await db.query(`
+      SELECT 
+        COUNT(*) as total,
+        COUNT(DISTINCT ev.tracking_id) as unique_clicks
+      FROM emails e
+      JOIN email_events ev ON e.tracking_id = ev.tracking_id
+      WHERE e.campaign_id = ? AND ev.event_type = 'click'
+    `, [campaignId]);
+    
+    const clicksByLink = await db.query(`
+      SELECT 
+        ev.link_url as url,
+        COUNT(*) as total,
+        COUNT(DISTINCT ev.tracking_id) as unique_clicks
+      FROM emails e
+      JOIN email_events ev ON e.tracking_id = ev.tracking_id
+      WHERE e.campaign_id = ? AND ev.event_type = 'click'
+      GROUP BY ev.link_url
+      ORDER BY total DESC
+    `, [campaignId]);
+    
+    // Emails per sending credential, for campaigns rotating through several
+    const sentBySender = await db.query(`
+      SELECT credential_id, sender, COUNT(*) as sent
+      FROM emails
+      WHERE campaign_id = ?
+      GROUP BY credential_id, sender
+      ORDER BY sent DESC
+    `, [campaignId]);
+    
+    const delivered = emails.find(s => s.status === 'delivered')?.count || 0;
+    const opened = emails.find(s => s.status === 'opened')?.count || 0;
+    const uniqueClicks = clickTotals[0].unique_clicks;
+    
     return {
       campaign: campaign[0],
       stats: {
-        delivered: emails.find(s => s.status === 'delivered')?.count || 0,
-        opened: emails.find(s => s.status === 'opened')?.count || 0,
+        delivered,
+        opened,
         failed: emails.find(s => s.status === 'failed')?.count || 0,
+        clicks: {
+          total: clickTotals[0].total,
+          unique: uniqueClicks,
+          // Share of delivered emails (opened ones included) with at least one click
+          clickThroughRate: delivered + opened > 0 ? uniqueClicks / (delivered + opened) : 0
+        }
       },
-      openRateOverTime
+      openRateOverTime,
+      clicksByLink: clicksByLink.map(link => ({
+        url: link.url,
+        total: link.total,
+        unique: link.unique_clicks
+      })),
+      sentBySender: sentBySender.map(row => ({
+        credentialId: row.credential_id,
+        email: row.sender,
+        sent: row.sent
+      }))
     };
   } catch (error) {
     logger.error(`Error getting campaign stats: ${error.message}`);
@@ -344,55 +573,79 @@ const getCampaignStats = async (campaignId) => {
   }
 };
 
+/**
+ * Every email of a campaign with its opens and clicks, read in batches of `batchSize` by id
+ * so exports of large campaigns never hold all of them in memory
+ * @returns {AsyncGenerator<object[]>} batches of rows in id order
+ */
+async function* getCampaignResults(campaignId, batchSize = 500) {
+  let lastId = 0;
+  
+  while (true) {
+    const rows = await db.query(`
+      SELECT 
+        e.id,
+        e.recipient,
+        e.sender,
+        e.subject,
+        e.status,
+        e.sent_at,
+        COALESCE(
+          (SELECT MIN(ev.event_time) FROM email_events ev
+            WHERE ev.tracking_id = e.tracking_id AND ev.event_type = 'open'),
+          e.opened_at
+        ) as opened_at,
+        (SELECT COUNT(*) FROM email_events ev
+          WHERE ev.tracking_id = e.tracking_id AND ev.event_type = 'open') as opens,
+        (SELECT COUNT(*) FROM email_events ev
+          WHERE ev.tracking_id = e.tracking_id AND ev.event_type = 'click') as clicks
+      FROM emails e
+      WHERE e.campaign_id = ? AND e.id > ?
+      ORDER BY e.id
+      LIMIT ?
+    `, [campaignId, lastId, batchSize]);
+    
+    if (rows.length === 0) {
+      return;
+    }
+    
+    yield rows;
+    
+    if (rows.length < batchSize) {
+      return;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
 /**
  * Get email templates from database
+ * The workspace's own templates (personal or the organization's) plus public ones
  */
-const getEmailTemplates = async (userId) => {
+const getEmailTemplates = async (userId, organizationId = null) => {
   try {
+    const scope = organizationService.scopeFilter({ userId, organizationId });
+    
     return await db.query(`
       SELECT * FROM email_templates 
-      WHERE user_id = ? OR is_public = TRUE
+      WHERE (${scope.sql}) OR is_public = TRUE
       ORDER BY created_at DESC
-    `, [userId]);
+    `, scope.params);
   } catch (error) {
     logger.error(`Error getting email templates: ${error.message}`);
     throw new Error('Failed to retrieve email templates');
   }
 };
 
-/**
- * Save email template to database
- */
-const saveEmailTemplate = async (templateData) => {
-  try {
-    const { name, subject, html, text, userId } = templateData;
-    const templateId = templateData.id || uuidv4();
-    
-    const result = await db.query(`
-      INSERT INTO email_templates (
-        id, name, subject, html_content, text_content, user_id, is_public
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        name = VALUES(name),
-        subject = VALUES(subject),
-        html_content = VALUES(html_content),
-        text_content = VALUES(text_content),
-        is_public = VALUES(is_public),
-        updated_at = CURRENT_TIMESTAMP
-    `, [templateId, name, subject, html, text, userId, templateData.isPublic || false]);
-    
-    return templateId;
-  } catch (error) {
-    logger.error(`Error saving email template: ${error.message}`);
-    throw new Error('Failed to save email template');
-  }
-};
-
 module.exports = {
   sendEmail,
+  scheduleEmail,
   sendBulkEmails,
+  sendToRecipient,
   updateEmailTracking,
+  getClickTarget,
+  recordClick,
   getCampaignStats,
-  getEmailTemplates,
-  saveEmailTemplate
+  getCampaignResults,
+  getEmailTemplates
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+const jwt = require('jsonwebtoken');
+const { google } = require('googleapis');
+const { AppError } = require('../utils/responseHandler');
+const { getGoogleConfig, GOOGLE_SCOPES } = require('../config/google');
+
+// How long a consent URL stays usable
+const STATE_TTL = '10m';
+const STATE_PURPOSE = 'google_connect';
+
+/**
+ * OAuth2 client for the app's own Google client ID
+ */
+const createClient = () => {
+  const { clientId, clientSecret, redirectUri, endpoints } = getGoogleConfig();
+
+  if (!clientId || !clientSecret || !redirectUri) {
+    throw new AppError('Google OAuth2 is not configured on this server', 503);
+  }
+
+  return new google.auth.OAuth2({ clientId, clientSecret, redirectUri, endpoints });
+};
+
+/**
+ * Signed `state` tying the consent callback back to the user who started it
+ */
+const createState = (userId, { isDefault = false, organizationId = null } = {}) => {
+  return jwt.sign(
+    { sub: userId, purpose: STATE_PURPOSE, isDefault, organizationId },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL }
+  );
+};
+
+/**
+ * Verify a `state` returned by Google
+ * @returns {{userId: string, isDefault: boolean, organizationId: string|null}}
+ */
+const parseState = (state) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(state), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid or expired OAuth state, please start the connection again', 400);
+  }
+
+  if (payload.purpose !== STATE_PURPOSE || !payload.sub) {
+    throw new AppError('Invalid OAuth state', 400);
+  }
+
+  return {
+    userId: payload.sub,
+    isDefault: Boolean(payload.isDefault),
+    organizationId: payload.organizationId || null,
+  };
+};
+
+/**
+ * Consent URL asking for offline access so Google returns a refresh token
+ */
+const getConsentUrl = (userId, options) => {
+  return createClient().generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    include_granted_scopes: true,
+    scope: GOOGLE_SCOPES,
+    state: createState(userId, options),
+  });
+};
+
+/**
+ * Read the account address from the id_token
+ * The token comes straight from Google's token endpoint, so the payload is decoded without
+ * checking the signature again
+ */
+const getEmailFromIdToken = (idToken) => {
+  const payload = idToken ? jwt.decode(idToken) : null;
+  if (!payload || !payload.email) {
+    throw new AppError('Google did not return the account email address', 502);
+  }
+  return payload.email;
+};
+
+/**
+ * Exchange the authorization code for tokens
+ * @returns {Promise<{email: string, refreshToken: string, accessToken: string, expiresAt: string|null}>}
+ */
+const exchangeCode = async (code) => {
+  const client = createClient();
+
+  let tokens;
+  try {
+    ({ tokens } = await client.getToken(code));
+  } catch (error) {
+    const reason =
+      (error.response && error.response.data && error.response.data.error) || error.message;
+    throw new AppError(`Could not exchange the authorization code: ${reason}`, 400);
+  }
+
+  if (!tokens.refresh_token) {
+    throw new AppError(
+      'Google did not return a refresh token. Remove the app from your Google account permissions and connect again',
+      400
+    );
+  }
+
+  return {
+    email: getEmailFromIdToken(tokens.id_token),
+    refreshToken: tokens.refresh_token,
+    accessToken: tokens.access_token,
+    expiresAt: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
+  };
+};
+
+module.exports = {
+  getConsentUrl,
+  parseState,
+  exchangeCode,
+};
@@ -0,0 +1,109 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { AppError } = require('../utils/responseHandler');
+const { normalizeEmail } = require('./suppressionService');
+
+/**
+ * Lockout settings (env):
+ *   LOGIN_LOCKOUT_THRESHOLD    - failed logins before the account is locked (default 5)
+ *   LOGIN_LOCKOUT_BASE_SECONDS - first lock duration, doubled for every further failure (default 60)
+ *   LOGIN_LOCKOUT_MAX_SECONDS  - longest lock (default 86400, one day)
+ */
+const getSettings = () => ({
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+  baseSeconds: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60,
+  maxSeconds: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 24 * 60 * 60,
+});
+
+const lockedError = (lockedUntil) => {
+  const retryAfter = Math.max(Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000), 1);
+
+  return new AppError(
+    `Too many failed login attempts. Sign-in is locked, try again in ${retryAfter} seconds or reset your password.`,
+    423,
+    'ACCOUNT_LOCKED',
+    { lockedUntil, retryAfter }
+  );
+};
+
+/**
+ * Until when an email is locked out, or null
+ */
+const getLockedUntil = async (email) => {
+  const rows = await db.query(`SELECT locked_until FROM login_failures WHERE email = ?`, [
+    normalizeEmail(email),
+  ]);
+  const lockedUntil = rows.length > 0 ? rows[0].locked_until : null;
+
+  return lockedUntil && new Date(lockedUntil) > new Date() ? lockedUntil : null;
+};
+
+/**
+ * Whether an email is locked out, whether or not an account uses it
+ */
+const isLocked = async (email) => Boolean(await getLockedUntil(email));
+
+/**
+ * Throw ACCOUNT_LOCKED (423) if the email is locked out
+ */
+const assertNotLocked = async (email) => {
+  const lockedUntil = await getLockedUntil(email);
+
+  if (lockedUntil) {
+    throw lockedError(lockedUntil);
+  }
+};
+
+/**
+ * Count a failed password or 2FA code for an email, locking it once the threshold is reached
+ * Unknown emails are counted too, so they behave exactly like real accounts.
+ * Every failure past the threshold doubles the lock, up to LOGIN_LOCKOUT_MAX_SECONDS
+ * @returns {Promise<AppError|null>} the ACCOUNT_LOCKED error if this failure locked the email
+ */
+const recordFailedLogin = async (email) => {
+  const { threshold, baseSeconds, maxSeconds } = getSettings();
+  const key = normalizeEmail(email);
+  let lockedUntil = null;
+
+  await db.transaction(async () => {
+    await db.query(
+      `
+      INSERT INTO login_failures (email, attempts) VALUES (?, 1)
+      ON CONFLICT(email) DO UPDATE SET
+        attempts = attempts + 1,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+      [key]
+    );
+
+    const rows = await db.query(`SELECT attempts FROM login_failures WHERE email = ?`, [key]);
+    const attempts = rows.length > 0 ? rows[0].attempts : 0;
+
+    if (attempts >= threshold) {
+      const seconds = Math.min(baseSeconds * 2 ** (attempts - threshold), maxSeconds);
+      lockedUntil = new Date(Date.now() + seconds * 1000).toISOString();
+
+      await db.query(`UPDATE login_failures SET locked_until = ? WHERE email = ?`, [
+        lockedUntil,
+        key,
+      ]);
+      logger.warn(`Login for ${key} locked until ${lockedUntil} after ${attempts} failures`);
+    }
+  });
+
+  return lockedUntil ? lockedError(lockedUntil) : null;
+};
+
+/**
+ * Forget failed attempts after a successful login or password reset
+ */
+const clearFailedLogins = async (email) => {
+  await db.query(`DELETE FROM login_failures WHERE email = ?`, [normalizeEmail(email)]);
+};
+
+module.exports = {
+  isLocked,
+  assertNotLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+};
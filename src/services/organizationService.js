@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { AppError } = require('../utils/responseHandler');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// What each role may do inside an organization, every role includes the ones below it
+const ROLE_PERMISSIONS = {
+  viewer: ['credentials:read', 'templates:read', 'campaigns:read', 'contacts:read'],
+  sender: ['email:send', 'contacts:manage'],
+  admin: ['credentials:manage', 'templates:manage', 'members:manage'],
+  owner: ['organization:manage'],
+};
+
+const ROLES = ['viewer', 'sender', 'admin', 'owner'];
+
+const permissionsFor = (role) =>
+  ROLES.slice(0, ROLES.indexOf(role) + 1).flatMap((name) => ROLE_PERMISSIONS[name]);
+
+/**
+ * Check whether a role grants a permission
+ */
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+/**
+ * SQL condition limiting a query to the resources of the current workspace:
+ * the organization's when `organizationId` is set, otherwise the user's personal ones
+ * @returns {{sql: string, params: string[]}}
+ */
+const scopeFilter = ({ userId, organizationId = null }, alias = '') => {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+
+  return organizationId
+    ? { sql: `${column('organization_id')} = ?`, params: [organizationId] }
+    : {
+        sql: `${column('user_id')} = ? AND ${column('organization_id')} IS NULL`,
+        params: [userId],
+      };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const assertRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+};
+
+/**
+ * Get a user's membership of an organization, with the organization's name
+ */
+const getMembership = async (organizationId, userId) => {
+  const rows = await db.query(
+    `
+    SELECT o.id, o.name, m.role
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.organization_id
+    WHERE m.organization_id = ? AND m.user_id = ?
+  `,
+    [organizationId, userId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Create an organization, the creator becomes its owner
+ */
+const createOrganization = async (userId, name) => {
+  if (!name || !String(name).trim()) {
+    throw new AppError('Please provide an organization name', 400);
+  }
+
+  const id = uuidv4();
+
+  await db.transaction(async () => {
+    await db.query(`INSERT INTO organizations (id, name, created_by) VALUES (?, ?, ?)`, [
+      id,
+      String(name).trim(),
+      userId,
+    ]);
+    await db.query(
+      `INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, 'owner')`,
+      [id, userId]
+    );
+  });
+
+  return { id, name: String(name).trim(), role: 'owner' };
+};
+
+/**
+ * List the organizations a user belongs to, with their role in each
+ */
+const listOrganizations = async (userId) => {
+  return db.query(
+    `
+    SELECT o.id, o.name, m.role, o.created_at
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.organization_id
+    WHERE m.user_id = ?
+    ORDER BY o.name
+  `,
+    [userId]
+  );
+};
+
+/**
+ * Rename an organization
+ */
+const renameOrganization = async (organizationId, name) => {
+  if (!name || !String(name).trim()) {
+    throw new AppError('Please provide an organization name', 400);
+  }
+
+  await db.query(`UPDATE organizations SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [
+    String(name).trim(),
+    organizationId,
+  ]);
+};
+
+/**
+ * Delete an organization with its members, invites, credentials, templates and partials
+ * Campaigns stay in the database for reporting but are no longer reachable
+ * @returns {Promise<number[]>} ids of the deleted credentials
+ */
+const deleteOrganization = async (organizationId) => {
+  let credentialIds = [];
+
+  await db.transaction(async () => {
+    const credentials = await db.query(
+      `SELECT id FROM email_credentials WHERE organization_id = ?`,
+      [organizationId]
+    );
+    credentialIds = credentials.map((row) => row.id);
+
+    await db.query(`DELETE FROM email_credentials WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM email_templates WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM email_partials WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM email_suppressions WHERE organization_id = ?`, [organizationId]);
+    await db.query(
+      `DELETE FROM contact_tags WHERE contact_id IN (SELECT id FROM contacts WHERE organization_id = ?)`,
+      [organizationId]
+    );
+    await db.query(
+      `DELETE FROM contact_list_members WHERE list_id IN (SELECT id FROM contact_lists WHERE organization_id = ?)`,
+      [organizationId]
+    );
+    await db.query(`DELETE FROM contact_lists WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM contacts WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM organization_invites WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM organization_members WHERE organization_id = ?`, [organizationId]);
+    await db.query(`DELETE FROM organizations WHERE id = ?`, [organizationId]);
+  });
+
+  return credentialIds;
+};
+
+/**
+ * List an organization's members
+ */
+const listMembers = async (organizationId) => {
+  return db.query(
+    `
+    SELECT u.id, u.email, u.username, m.role, m.created_at as joined_at
+    FROM organization_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.organization_id = ?
+    ORDER BY m.created_at
+  `,
+    [organizationId]
+  );
+};
+
+const countOwners = async (organizationId) => {
+  const rows = await db.query(
+    `SELECT COUNT(*) as count FROM organization_members WHERE organization_id = ? AND role = 'owner'`,
+    [organizationId]
+  );
+
+  return rows[0].count;
+};
+
+/**
+ * Admins manage senders and viewers, only owners can touch admins and owners
+ */
+const assertCanManage = (actorRole, role) => {
+  if (actorRole !== 'owner' && ['admin', 'owner'].includes(role)) {
+    throw new AppError('Only owners can manage admins and owners', 403);
+  }
+};
+
+/**
+ * Change a member's role
+ */
+const updateMemberRole = async (organizationId, actorRole, userId, role) => {
+  assertRole(role);
+  assertCanManage(actorRole, role);
+
+  const member = await getMembership(organizationId, userId);
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+  assertCanManage(actorRole, member.role);
+
+  await db.transaction(async () => {
+    await db.query(
+      `UPDATE organization_members SET role = ? WHERE organization_id = ? AND user_id = ?`,
+      [role, organizationId, userId]
+    );
+
+    if ((await countOwners(organizationId)) === 0) {
+      throw new AppError('An organization needs at least one owner', 409);
+    }
+  });
+};
+
+/**
+ * Remove a member, `actorRole` is null when members leave on their own
+ */
+const removeMember = async (organizationId, actorRole, userId) => {
+  const member = await getMembership(organizationId, userId);
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+  if (actorRole) {
+    assertCanManage(actorRole, member.role);
+  }
+
+  await db.transaction(async () => {
+    await db.query(`DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?`, [
+      organizationId,
+      userId,
+    ]);
+
+    if ((await countOwners(organizationId)) === 0) {
+      throw new AppError(
+        'An organization needs at least one owner. Make someone else owner first, or delete the organization',
+        409
+      );
+    }
+  });
+};
+
+/**
+ * Invite an address to an organization
+ * @returns {Promise<{invite: object, token: string}>} the token goes into the invite email only
+ */
+const createInvite = async (organizationId, actorRole, invitedBy, { email, role = 'sender' }) => {
+  if (!email) {
+    throw new AppError('Please provide the email address to invite', 400);
+  }
+  assertRole(role);
+  assertCanManage(actorRole, role);
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const members = await db.query(
+    `
+    SELECT 1 FROM organization_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.organization_id = ? AND LOWER(u.email) = ?
+  `,
+    [organizationId, normalizedEmail]
+  );
+  if (members.length > 0) {
+    throw new AppError('This user is already a member of the organization', 409);
+  }
+
+  const id = uuidv4();
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS).toISOString();
+
+  await db.query(
+    `
+    INSERT INTO organization_invites (id, organization_id, email, role, token_hash, invited_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [id, organizationId, normalizedEmail, role, hashToken(token), invitedBy, expiresAt]
+  );
+
+  return { invite: { id, email: normalizedEmail, role, expiresAt }, token };
+};
+
+/**
+ * List invites that haven't been accepted or expired yet
+ */
+const listInvites = async (organizationId) => {
+  return db.query(
+    `
+    SELECT id, email, role, invited_by, expires_at, created_at
+    FROM organization_invites
+    WHERE organization_id = ? AND accepted_at IS NULL AND expires_at > ?
+    ORDER BY created_at DESC
+  `,
+    [organizationId, new Date().toISOString()]
+  );
+};
+
+/**
+ * Withdraw a pending invite
+ */
+const deleteInvite = async (organizationId, inviteId) => {
+  const result = await db.query(
+    `DELETE FROM organization_invites WHERE id = ? AND organization_id = ? AND accepted_at IS NULL`,
+    [inviteId, organizationId]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Accept an invite, the invite must have been sent to the user's own address
+ * @returns {Promise<{id: string, name: string, role: string}>} the joined organization
+ */
+const acceptInvite = async (user, token) => {
+  let membership;
+
+  await db.transaction(async () => {
+    const invites = await db.query(
+      `
+      SELECT * FROM organization_invites
+      WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > ?
+    `,
+      [hashToken(String(token)), new Date().toISOString()]
+    );
+
+    if (invites.length === 0) {
+      throw new AppError('Invite is invalid or has expired', 400);
+    }
+
+    const invite = invites[0];
+    if (invite.email !== String(user.email).toLowerCase()) {
+      throw new AppError('This invite was sent to a different email address', 403);
+    }
+
+    await db.query(`UPDATE organization_invites SET accepted_at = ? WHERE id = ?`, [
+      new Date().toISOString(),
+      invite.id,
+    ]);
+    await db.query(
+      `
+      INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, ?)
+      ON CONFLICT(organization_id, user_id) DO NOTHING
+    `,
+      [invite.organization_id, user.id, invite.role]
+    );
+
+    membership = await getMembership(invite.organization_id, user.id);
+  });
+
+  return membership;
+};
+
+module.exports = {
+  ROLES,
+  hasPermission,
+  permissionsFor,
+  scopeFilter,
+  getMembership,
+  createOrganization,
+  listOrganizations,
+  renameOrganization,
+  deleteOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvite,
+  listInvites,
+  deleteInvite,
+  acceptInvite,
+};
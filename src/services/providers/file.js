@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { AppError } = require('../../utils/responseHandler');
+
+/**
+ * Local sink that writes every message to an .eml file instead of sending it
+ * Meant for development and testing, files go to EMAIL_FILE_SINK_DIR/<credentialId>/
+ */
+const getOutboxDir = () =>
+  path.resolve(process.env.EMAIL_FILE_SINK_DIR || path.join(__dirname, '../../../data/outbox'));
+
+const validate = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new AppError('The file provider is not available in production', 400);
+  }
+
+  return { config: {}, secret: null };
+};
+
+/**
+ * Create a transporter that renders the message and saves it to disk
+ */
+const createTransport = async (credentials) => {
+  const directory = path.join(getOutboxDir(), String(credentials.id));
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  const transporter = {
+    sendMail: async (mailOptions) => {
+      const info = await renderer.sendMail(mailOptions);
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.@-]/g, '')}.eml`;
+      const filePath = path.join(directory, fileName);
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(filePath, info.message);
+
+      return {
+        messageId: info.messageId,
+        envelope: info.envelope,
+        response: `Saved to ${filePath}`,
+      };
+    },
+  };
+
+  return { transporter };
+};
+
+module.exports = {
+  validate,
+  createTransport,
+};
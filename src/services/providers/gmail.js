@@ -0,0 +1,129 @@
+const nodemailer = require('nodemailer');
+const { google } = require('googleapis');
+const { AppError } = require('../../utils/responseHandler');
+const { getGoogleConfig } = require('../../config/google');
+const logger = require('../../config/logger');
+const credentialService = require('../credentialService');
+
+// Refresh access tokens this long before Google expires them
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Gmail allows 500 recipients a day for personal accounts (2000 for Workspace, set GMAIL_DAILY_QUOTA)
+const defaultQuotas = {
+  daily: parseInt(process.env.GMAIL_DAILY_QUOTA, 10) || 500,
+  perMinute: 20,
+};
+
+/**
+ * Gmail through OAuth2, using the client and refresh token stored with the credential
+ */
+const validate = ({
+  clientId,
+  clientSecret,
+  refreshToken,
+  accessToken,
+  tokenExpiresAt,
+  redirectUri,
+}) => {
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new AppError('OAuth2 credentials are required for Gmail', 400);
+  }
+
+  return {
+    clientId,
+    clientSecret,
+    refreshToken,
+    accessToken,
+    tokenExpiresAt: accessToken ? tokenExpiresAt : null,
+    redirectUri,
+  };
+};
+
+/**
+ * Create OAuth2 client for Gmail authentication
+ */
+const createOAuth2Client = (credentials) => {
+  const { clientId, clientSecret, refreshToken, redirectUri } = credentials;
+  const { endpoints } = getGoogleConfig();
+  const oAuth2Client = new google.auth.OAuth2({ clientId, clientSecret, redirectUri, endpoints });
+
+  oAuth2Client.setCredentials({
+    refresh_token: refreshToken,
+  });
+
+  return oAuth2Client;
+};
+
+const isInvalidGrant = (error) => {
+  const oauthError = error.response && error.response.data && error.response.data.error;
+  return oauthError === 'invalid_grant' || String(error.message).includes('invalid_grant');
+};
+
+/**
+ * Reuse the stored access token while it is valid, otherwise refresh it and store the new one
+ * @returns {Promise<{token: string, expiresAt: number}>}
+ */
+const getAccessToken = async (credentials) => {
+  const storedExpiry = credentials.tokenExpiresAt
+    ? new Date(credentials.tokenExpiresAt).getTime()
+    : 0;
+  if (credentials.accessToken && storedExpiry - EXPIRY_MARGIN_MS > Date.now()) {
+    return { token: credentials.accessToken, expiresAt: storedExpiry };
+  }
+
+  const oauth2Client = createOAuth2Client(credentials);
+
+  try {
+    await oauth2Client.getAccessToken();
+  } catch (error) {
+    // A revoked or expired refresh token won't recover, the account has to be connected again
+    if (isInvalidGrant(error)) {
+      await credentialService.markNeedsReauth(credentials.id, 'invalid_grant');
+      logger.warn(
+        `Gmail credential ${credentials.id} (${credentials.email}) needs reauthorization`
+      );
+    }
+    throw error;
+  }
+
+  const { access_token: token, expiry_date: expiryDate } = oauth2Client.credentials;
+  const expiresAt = expiryDate || Date.now() + 60 * 60 * 1000;
+
+  await credentialService.saveAccessToken(credentials.id, token, new Date(expiresAt).toISOString());
+
+  return { token, expiresAt };
+};
+
+/**
+ * Create a transporter using OAuth2 authentication
+ * The transporter is only valid until the access token expires
+ */
+const createTransport = async (credentials) => {
+  if (credentials.status === 'needs_reauth') {
+    throw new Error(`Gmail account ${credentials.email} must be connected again (invalid_grant)`);
+  }
+
+  const accessToken = await getAccessToken(credentials);
+
+  const transporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      type: 'OAuth2',
+      user: credentials.email,
+      clientId: credentials.clientId,
+      clientSecret: credentials.clientSecret,
+      refreshToken: credentials.refreshToken,
+      accessToken: accessToken.token,
+      expires: accessToken.expiresAt,
+      accessUrl: getGoogleConfig().endpoints.oauth2TokenUrl,
+    },
+  });
+
+  return { transporter, expiresAt: accessToken.expiresAt };
+};
+
+module.exports = {
+  validate,
+  createTransport,
+  defaultQuotas,
+};
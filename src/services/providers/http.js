@@ -0,0 +1,139 @@
+const nodemailer = require('nodemailer');
+const { AppError } = require('../../utils/responseHandler');
+const { version } = require('../../../package.json');
+
+const DEFAULT_API_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+/**
+ * HTTP mail API that accepts SendGrid v3 style JSON (SendGrid and compatible services)
+ * Stored config: { apiUrl }, secret: the API key sent as a bearer token
+ */
+const validate = ({ apiUrl, apiKey }) => {
+  if (!apiKey) {
+    throw new AppError('API key is required for the http provider', 400);
+  }
+
+  if (apiUrl) {
+    let url;
+    try {
+      url = new URL(apiUrl);
+    } catch (error) {
+      throw new AppError('apiUrl must be a valid URL', 400);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new AppError('apiUrl must be an http(s) URL', 400);
+    }
+  }
+
+  return {
+    config: { apiUrl: apiUrl || DEFAULT_API_URL },
+    secret: apiKey,
+  };
+};
+
+const toAddress = ({ address, name }) => (name ? { email: address, name } : { email: address });
+
+const toAddressList = (addresses) => {
+  const list = [].concat(addresses || []).map(toAddress);
+  return list.length > 0 ? list : undefined;
+};
+
+/**
+ * Build the API payload from a message normalized by nodemailer
+ */
+const buildPayload = (data) => {
+  const content = [];
+  if (data.text) content.push({ type: 'text/plain', value: data.text });
+  if (data.html) content.push({ type: 'text/html', value: data.html });
+
+  return {
+    personalizations: [
+      {
+        to: toAddressList(data.to),
+        cc: toAddressList(data.cc),
+        bcc: toAddressList(data.bcc),
+      },
+    ],
+    from: toAddress(data.from),
+    reply_to: data.replyTo ? toAddressList(data.replyTo)[0] : undefined,
+    subject: data.subject,
+    content,
+    headers: Object.keys(data.normalizedHeaders).length > 0 ? data.normalizedHeaders : undefined,
+    attachments: data.attachments
+      ? data.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          type: attachment.contentType,
+          disposition: attachment.cid ? 'inline' : 'attachment',
+          content_id: attachment.cid,
+          content: Buffer.from(attachment.content, attachment.encoding || 'utf8').toString(
+            'base64'
+          ),
+        }))
+      : undefined,
+  };
+};
+
+/**
+ * nodemailer transport that posts the message to the API instead of talking SMTP
+ */
+class HttpApiTransport {
+  constructor({ apiUrl, apiKey }) {
+    this.name = 'HttpApi';
+    this.version = version;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+  }
+
+  send(mail, callback) {
+    mail.normalize((err, data) => {
+      if (err) {
+        return callback(err);
+      }
+
+      this.post(data).then((info) => callback(null, info), callback);
+    });
+  }
+
+  async post(data) {
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(buildPayload(data)),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      // `status` lets the retry logic tell rate limits and outages from rejected messages
+      const error = new Error(`Mail API responded ${response.status}: ${body.slice(0, 500)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      envelope: data.envelope,
+      messageId: response.headers.get('x-message-id') || data.messageId,
+      response: `${response.status} ${response.statusText}`,
+    };
+  }
+}
+
+/**
+ * Create a transporter that sends through the HTTP API
+ */
+const createTransport = async (credentials) => {
+  const { apiUrl } = credentials.config || {};
+
+  const transporter = nodemailer.createTransport(
+    new HttpApiTransport({ apiUrl: apiUrl || DEFAULT_API_URL, apiKey: credentials.secret })
+  );
+
+  return { transporter };
+};
+
+module.exports = {
+  validate,
+  createTransport,
+};
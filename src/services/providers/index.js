@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { AppError } = require('../../utils/responseHandler');
+const gmail = require('./gmail');
+const smtp = require('./smtp');
+const http = require('./http');
+const file = require('./file');
+
+/**
+ * Transport providers a credential can use
+ * Each provider exports:
+ *   validate(fields)            - check the provider specific fields sent when saving a credential,
+ *                                 returns the values to store (throws AppError 400 when invalid)
+ *   createTransport(credentials) - resolve to { transporter, expiresAt? }, where transporter has a
+ *                                 nodemailer style sendMail(mailOptions) and expiresAt (ms) is when
+ *                                 it stops working (e.g. when its access token expires)
+ * and optionally:
+ *   defaultQuotas               - { daily, hourly, perMinute } sending limits used when a credential
+ *                                 doesn't set its own
+ */
+const providers = {
+  gmail,
+  smtp,
+  http,
+  file,
+};
+
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+  if (!provider) {
+    throw new AppError(
+      `Unsupported email provider '${name}'. Supported providers: ${Object.keys(providers).join(', ')}`,
+      400
+    );
+  }
+  return provider;
+};
+
+/**
+ * Sending limits a provider imposes when the credential doesn't set its own
+ * @returns {{daily: number|null, hourly: number|null, perMinute: number|null}}
+ */
+const getDefaultQuotas = (name) => ({
+  daily: null,
+  hourly: null,
+  perMinute: null,
+  ...(providers[name] && providers[name].defaultQuotas),
+});
+
+/**
+ * Validate the fields of a credential for its provider
+ * @returns {{clientId, clientSecret, refreshToken, accessToken, redirectUri, config, secret}}
+ */
+const validateCredentials = (name, fields) => ({
+  clientId: null,
+  clientSecret: null,
+  refreshToken: null,
+  accessToken: null,
+  tokenExpiresAt: null,
+  redirectUri: null,
+  config: null,
+  secret: null,
+  ...getProvider(name).validate(fields),
+});
+
+// Transporters are reused for every email sent with a credential, keyed by credential id
+const transportCache = new Map();
+
+// Rebuild cached transporters this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Everything a transporter is built from apart from the access token, so a cached
+ * transporter is dropped as soon as the credential is edited or reconnected
+ */
+const fingerprint = (credentials) => {
+  const { provider, email, clientId, clientSecret, refreshToken, config, secret, status } =
+    credentials;
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        provider,
+        email,
+        clientId,
+        clientSecret,
+        refreshToken,
+        config,
+        secret,
+        status,
+      ])
+    )
+    .digest('hex');
+};
+
+/**
+ * Get the transporter for a credential, creating it when there's no usable cached one
+ * Concurrent sends with the same credential share a single transporter (and token refresh)
+ */
+const getTransport = async (credentials) => {
+  const key = fingerprint(credentials);
+  const cached = transportCache.get(credentials.id);
+
+  if (
+    cached &&
+    cached.key === key &&
+    (!cached.expiresAt || cached.expiresAt - EXPIRY_MARGIN_MS > Date.now())
+  ) {
+    return cached.transporter;
+  }
+
+  const entry = { key, expiresAt: null };
+  entry.transporter = getProvider(credentials.provider)
+    .createTransport(credentials)
+    .then(({ transporter, expiresAt = null }) => {
+      entry.expiresAt = expiresAt;
+      return transporter;
+    });
+  transportCache.set(credentials.id, entry);
+
+  try {
+    return await entry.transporter;
+  } catch (error) {
+    if (transportCache.get(credentials.id) === entry) {
+      transportCache.delete(credentials.id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Forget the cached transporter of a credential
+ */
+const invalidateTransport = (credentialId) => {
+  transportCache.delete(credentialId);
+};
+
+module.exports = {
+  providers,
+  validateCredentials,
+  getDefaultQuotas,
+  getTransport,
+  invalidateTransport,
+};
@@ -0,0 +1,56 @@
+const nodemailer = require('nodemailer');
+const { AppError } = require('../../utils/responseHandler');
+
+/**
+ * Any SMTP server, authenticated with a username and password
+ * Stored config: { host, port, secure, requireTLS, username }, secret: the password
+ */
+const validate = ({ email, host, port, secure, requireTLS, username, password }) => {
+  if (!host || typeof host !== 'string') {
+    throw new AppError('SMTP host is required', 400);
+  }
+
+  const useSecure = secure === undefined ? Number(port) === 465 : Boolean(secure);
+  const smtpPort = port === undefined ? (useSecure ? 465 : 587) : Number(port);
+  if (!Number.isInteger(smtpPort) || smtpPort < 1 || smtpPort > 65535) {
+    throw new AppError('SMTP port must be a number between 1 and 65535', 400);
+  }
+
+  // Servers that relay without authentication (e.g. a local relay) need neither
+  if (username && !password) {
+    throw new AppError('SMTP password is required when a username is given', 400);
+  }
+
+  return {
+    config: {
+      host,
+      port: smtpPort,
+      secure: useSecure,
+      requireTLS: Boolean(requireTLS),
+      username: password ? username || email : null,
+    },
+    secret: password || null,
+  };
+};
+
+/**
+ * Create an SMTP transporter from the stored settings
+ */
+const createTransport = async (credentials) => {
+  const { host, port, secure, requireTLS, username } = credentials.config || {};
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS,
+    auth: username ? { user: username, pass: credentials.secret } : undefined,
+  });
+
+  return { transporter };
+};
+
+module.exports = {
+  validate,
+  createTransport,
+};
@@ -0,0 +1,354 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+// Rows per multi-row INSERT, keeps us well below SQLite's bound parameter limit
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Enqueue one job per recipient for a campaign
+ * Jobs enqueued with a future `sendAt` stay `scheduled` until the scheduler releases them
+ */
+const enqueueCampaignJobs = async ({
+  campaignId,
+  userId,
+  credentialId,
+  recipients,
+  sendAt = null,
+  timezone = null,
+}) => {
+  const status = sendAt ? 'scheduled' : 'pending';
+  const availableAt = (sendAt || new Date()).toISOString();
+
+  await db.transaction(async () => {
+    for (let i = 0; i < recipients.length; i += INSERT_BATCH_SIZE) {
+      const batch = recipients.slice(i, i + INSERT_BATCH_SIZE);
+      const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+      const params = batch.flatMap((recipient) => [
+        campaignId,
+        userId,
+        credentialId,
+        recipient.email,
+        JSON.stringify(recipient),
+        status,
+        availableAt,
+        timezone,
+      ]);
+
+      await db.query(
+        `
+        INSERT INTO email_queue (
+          campaign_id, user_id, credential_id, recipient, recipient_data,
+          status, available_at, timezone
+        ) VALUES ${placeholders}
+      `,
+        params
+      );
+    }
+  });
+
+  return recipients.length;
+};
+
+/**
+ * Enqueue a single job
+ * Standalone emails carry their full `message`, campaign jobs carry the `recipientData`
+ * that is rendered against the campaign content
+ */
+const enqueueEmailJob = async ({
+  userId,
+  credentialId,
+  message = null,
+  campaignId = null,
+  recipientData = null,
+  sendAt = null,
+  timezone = null,
+  availableAt = null,
+  attempts = 0,
+}) => {
+  const result = await db.query(
+    `
+    INSERT INTO email_queue (
+      user_id, credential_id, campaign_id, recipient, recipient_data, message,
+      status, available_at, timezone, attempts
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      userId,
+      credentialId,
+      campaignId,
+      recipientData ? recipientData.email : [].concat(message.to).join(', '),
+      recipientData ? JSON.stringify(recipientData) : null,
+      message ? JSON.stringify(message) : null,
+      sendAt ? 'scheduled' : 'pending',
+      (sendAt || availableAt || new Date()).toISOString(),
+      timezone,
+      attempts,
+    ]
+  );
+
+  return result.lastID;
+};
+
+/**
+ * Lease up to `limit` jobs that are due
+ * Jobs whose lease expired (e.g. a crashed worker) become visible again
+ */
+const claimJobs = async (limit, leaseTimeoutMs) => {
+  const now = new Date();
+  const leaseToken = uuidv4();
+  const leaseExpiresAt = new Date(now.getTime() + leaseTimeoutMs).toISOString();
+
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = 'processing',
+      lease_token = ?,
+      lease_expires_at = ?,
+      attempts = attempts + 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM email_queue
+      WHERE (status = 'pending' AND available_at <= ?)
+        OR (status = 'processing' AND lease_expires_at < ?)
+      ORDER BY available_at, id
+      LIMIT ?
+    )
+  `,
+    [leaseToken, leaseExpiresAt, now.toISOString(), now.toISOString(), limit]
+  );
+
+  const jobs = await db.query(`SELECT * FROM email_queue WHERE lease_token = ?`, [leaseToken]);
+
+  return jobs.map((job) => ({
+    ...job,
+    recipient_data: job.recipient_data ? JSON.parse(job.recipient_data) : { email: job.recipient },
+    message: job.message ? JSON.parse(job.message) : null,
+  }));
+};
+
+/**
+ * Mark a leased job as sent, with the credential it went out with when `result.credentialId` is set
+ */
+const completeJob = async (job, result = {}) => {
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = 'sent',
+      credential_id = COALESCE(?, credential_id),
+      message_id = ?,
+      tracking_id = ?,
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      last_error = NULL,
+      completed_at = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND lease_token = ?
+  `,
+    [
+      result.credentialId,
+      result.messageId,
+      result.trackingId,
+      new Date().toISOString(),
+      job.id,
+      job.lease_token,
+    ]
+  );
+};
+
+/**
+ * Put a leased job back on the queue to be retried after `delayMs`
+ */
+const retryJob = async (job, error, delayMs) => {
+  const availableAt = new Date(Date.now() + delayMs).toISOString();
+
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = 'pending',
+      available_at = ?,
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      last_error = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND lease_token = ?
+  `,
+    [availableAt, error.message, job.id, job.lease_token]
+  );
+
+  return availableAt;
+};
+
+/**
+ * Put a leased job back until `availableAt` without counting the claim as an attempt
+ * Used when a job has to wait for something other than a send failure (e.g. a sending quota)
+ */
+const deferJob = async (job, availableAt, reason) => {
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = 'pending',
+      available_at = ?,
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      attempts = attempts - 1,
+      last_error = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND lease_token = ?
+  `,
+    [availableAt, reason, job.id, job.lease_token]
+  );
+};
+
+/**
+ * Take a leased job of a paused or cancelled campaign off the queue without counting the claim
+ * as an attempt, `status` is 'paused' (sent once the campaign resumes) or 'cancelled'
+ */
+const stopJob = async (job, status) => {
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = ?,
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      attempts = attempts - 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND lease_token = ?
+  `,
+    [status, job.id, job.lease_token]
+  );
+};
+
+/**
+ * Mark a leased job as failed
+ */
+const failJob = async (job, error) => {
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = 'failed',
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      last_error = ?,
+      completed_at = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND lease_token = ?
+  `,
+    [error.message, new Date().toISOString(), job.id, job.lease_token]
+  );
+};
+
+/**
+ * Mark a leased job as skipped because every recipient is suppressed
+ */
+const suppressJob = async (job) => {
+  await db.query(
+    `
+    UPDATE email_queue
+    SET
+      status = 'suppressed',
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      completed_at = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND lease_token = ?
+  `,
+    [new Date().toISOString(), job.id, job.lease_token]
+  );
+};
+
+/**
+ * Return jobs left in `processing` by a previous run to the queue
+ * Only one worker runs per database, so anything still leased at startup is orphaned
+ */
+const releaseOrphanedJobs = async () => {
+  const result = await db.query(`
+    UPDATE email_queue
+    SET
+      status = 'pending',
+      lease_token = NULL,
+      lease_expires_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'processing'
+  `);
+
+  if (result.changes > 0) {
+    logger.info(`Resumed ${result.changes} unfinished email job(s)`);
+  }
+
+  return result.changes;
+};
+
+// Campaign counter updated for each job outcome
+const OUTCOME_COUNTERS = {
+  sent: 'sent_count',
+  failed: 'failed_count',
+  suppressed: 'suppressed_count',
+};
+
+/**
+ * Record the outcome ('sent', 'failed' or 'suppressed') of a campaign job
+ * and complete the campaign when nothing is left
+ */
+const recordCampaignProgress = async (campaignId, outcome) => {
+  const counter = OUTCOME_COUNTERS[outcome];
+
+  await db.query(
+    `
+    UPDATE email_campaigns
+    SET
+      ${counter} = ${counter} + 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [campaignId]
+  );
+
+  await completeCampaignIfDone(campaignId);
+};
+
+/**
+ * Complete a running campaign once none of its jobs are left to send
+ * Paused and cancelled campaigns stay as they are
+ */
+const completeCampaignIfDone = async (campaignId) => {
+  const remaining = await db.query(
+    `
+    SELECT COUNT(*) as count FROM email_queue
+    WHERE campaign_id = ? AND status IN ('pending', 'processing')
+  `,
+    [campaignId]
+  );
+
+  if (remaining[0].count === 0) {
+    await db.query(
+      `
+      UPDATE email_campaigns
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'in_progress'
+    `,
+      [campaignId]
+    );
+  }
+};
+
+module.exports = {
+  enqueueCampaignJobs,
+  enqueueEmailJob,
+  claimJobs,
+  completeJob,
+  retryJob,
+  deferJob,
+  stopJob,
+  failJob,
+  suppressJob,
+  releaseOrphanedJobs,
+  recordCampaignProgress,
+  completeCampaignIfDone,
+};
@@ -0,0 +1,234 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const providers = require('./providers');
+const { AppError } = require('../utils/responseHandler');
+
+// Fixed windows counted per credential, aligned to UTC
+const PERIODS = {
+  daily: { key: 'day', ms: 24 * 60 * 60 * 1000, label: 'Daily quota' },
+  hourly: { key: 'hour', ms: 60 * 60 * 1000, label: 'Hourly quota' },
+  perMinute: { key: 'minute', ms: 60 * 1000, label: 'Per-minute limit' },
+};
+
+// Usage rows are kept a little longer than the longest window
+const RETENTION_MS = 2 * PERIODS.daily.ms;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let lastCleanup = 0;
+
+const windowStart = (period, now) => new Date(Math.floor(now / period.ms) * period.ms);
+
+/**
+ * Limits that apply to a credential, its own settings first, then the provider's defaults
+ * @returns {{daily: number|null, hourly: number|null, perMinute: number|null}} null is unlimited
+ */
+const getLimits = (credentials) => {
+  const defaults = providers.getDefaultQuotas(credentials.provider);
+
+  return {
+    daily: credentials.dailyQuota ?? defaults.daily,
+    hourly: credentials.hourlyQuota ?? defaults.hourly,
+    perMinute: credentials.perMinuteLimit ?? defaults.perMinute,
+  };
+};
+
+const readUsage = async (credentialId, now) => {
+  const usage = {};
+
+  for (const [name, period] of Object.entries(PERIODS)) {
+    const rows = await db.query(
+      `
+      SELECT count FROM credential_usage
+      WHERE credential_id = ? AND period = ? AND window_start = ?
+    `,
+      [credentialId, period.key, windowStart(period, now).toISOString()]
+    );
+    usage[name] = rows.length > 0 ? rows[0].count : 0;
+  }
+
+  return usage;
+};
+
+/**
+ * Count `count` recipients against the credential's quotas if every window has room for them
+ * Nothing is counted when any quota would be exceeded
+ * @returns {Promise<{allowed: true, reservedAt: number}|{allowed: false, period: string, limit: number, used: number, resetAt: string, exceedsLimit: boolean}>}
+ *   `exceedsLimit` means the send is bigger than the quota itself and can never go out
+ */
+const reserve = async (credentials, count = 1) => {
+  const limits = getLimits(credentials);
+  const now = Date.now();
+  let result = { allowed: true, reservedAt: now };
+
+  await db.transaction(async () => {
+    const usage = await readUsage(credentials.id, now);
+
+    for (const [name, period] of Object.entries(PERIODS)) {
+      if (limits[name] !== null && usage[name] + count > limits[name]) {
+        result = {
+          allowed: false,
+          period: name,
+          limit: limits[name],
+          used: usage[name],
+          resetAt: new Date(windowStart(period, now).getTime() + period.ms).toISOString(),
+          exceedsLimit: count > limits[name],
+        };
+        return;
+      }
+    }
+
+    for (const period of Object.values(PERIODS)) {
+      await db.query(
+        `
+        INSERT INTO credential_usage (credential_id, period, window_start, count)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(credential_id, period, window_start) DO UPDATE SET count = count + excluded.count
+      `,
+        [credentials.id, period.key, windowStart(period, now).toISOString(), count]
+      );
+    }
+  });
+
+  if (now - lastCleanup > CLEANUP_INTERVAL_MS) {
+    lastCleanup = now;
+    db.query(`DELETE FROM credential_usage WHERE window_start < ?`, [
+      new Date(now - RETENTION_MS).toISOString(),
+    ]).catch((error) => logger.error(`Error cleaning up credential usage: ${error.message}`));
+  }
+
+  return result;
+};
+
+/**
+ * Give back recipients counted by reserve() when the send failed, so failed attempts and the
+ * retries that follow them aren't charged twice
+ * @param {number} reservedAt - as returned by reserve(), the windows it counted in are credited
+ */
+const release = async (credentials, count, reservedAt) => {
+  try {
+    for (const period of Object.values(PERIODS)) {
+      await db.query(
+        `
+        UPDATE credential_usage SET count = MAX(count - ?, 0)
+        WHERE credential_id = ? AND period = ? AND window_start = ?
+      `,
+        [count, credentials.id, period.key, windowStart(period, reservedAt).toISOString()]
+      );
+    }
+  } catch (error) {
+    // The send error matters more to the caller than a quota that stays counted
+    logger.error(`Error releasing quota of credential ${credentials.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Error for a send refused by reserve()
+ */
+const quotaExceededError = (credentials, result) => {
+  const retryAfter = Math.max(
+    Math.ceil((new Date(result.resetAt).getTime() - Date.now()) / 1000),
+    1
+  );
+  const { label } = PERIODS[result.period];
+
+  return new AppError(
+    result.exceedsLimit
+      ? `${label} of ${result.limit} emails for ${credentials.email} is smaller than this send`
+      : `${label} of ${result.limit} emails for ${credentials.email} reached, it resets at ${result.resetAt}`,
+    429,
+    'QUOTA_EXCEEDED',
+    {
+      period: result.period,
+      limit: result.limit,
+      used: result.used,
+      resetAt: result.resetAt,
+      retryAfter,
+    }
+  );
+};
+
+/**
+ * Current usage of every quota for a credential
+ * @returns {Promise<object>} per period: { limit, used, remaining, resetAt } (limit null when unlimited)
+ */
+const getUsage = async (credentials) => {
+  const limits = getLimits(credentials);
+  const now = Date.now();
+  const usage = await readUsage(credentials.id, now);
+
+  return Object.fromEntries(
+    Object.entries(PERIODS).map(([name, period]) => [
+      name,
+      {
+        limit: limits[name],
+        used: usage[name],
+        remaining: limits[name] === null ? null : Math.max(limits[name] - usage[name], 0),
+        resetAt: new Date(windowStart(period, now).getTime() + period.ms).toISOString(),
+      },
+    ])
+  );
+};
+
+/**
+ * Recipients each credential has sent to in the current UTC day
+ * @returns {Promise<Object<number, number>>} count per credential id
+ */
+const getUsedToday = async (credentialIds) => {
+  const used = Object.fromEntries(credentialIds.map((id) => [id, 0]));
+  if (credentialIds.length === 0) {
+    return used;
+  }
+
+  const rows = await db.query(
+    `
+    SELECT credential_id, count FROM credential_usage
+    WHERE period = ? AND window_start = ? AND credential_id IN (${credentialIds.map(() => '?').join(', ')})
+  `,
+    [PERIODS.daily.key, windowStart(PERIODS.daily, Date.now()).toISOString(), ...credentialIds]
+  );
+  rows.forEach((row) => {
+    used[row.credential_id] = row.count;
+  });
+
+  return used;
+};
+
+/**
+ * Change a credential's own limits, null restores the provider default
+ */
+const updateLimits = async (credentialId, limits) => {
+  const columns = {
+    dailyQuota: 'daily_quota',
+    hourlyQuota: 'hourly_quota',
+    perMinuteLimit: 'per_minute_limit',
+  };
+  const updates = Object.keys(columns).filter((field) => limits[field] !== undefined);
+
+  if (updates.length === 0) {
+    throw new AppError('Provide dailyQuota, hourlyQuota and/or perMinuteLimit', 400);
+  }
+
+  for (const field of updates) {
+    const value = limits[field];
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      throw new AppError(
+        `${field} must be a positive integer, or null for the provider default`,
+        400
+      );
+    }
+  }
+
+  await db.query(
+    `UPDATE email_credentials SET ${updates.map((field) => `${columns[field]} = ?`).join(', ')} WHERE id = ?`,
+    [...updates.map((field) => limits[field]), credentialId]
+  );
+};
+
+module.exports = {
+  getLimits,
+  reserve,
+  release,
+  quotaExceededError,
+  getUsage,
+  getUsedToday,
+  updateLimits,
+};
@@ -0,0 +1,119 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+// How often expired counters are swept
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fixed window counters kept in process memory
+ * Fast, but every process counts on its own and counters are lost on restart
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Count a hit for `key` in its current window
+   * @returns {Promise<{count: number, resetAt: number}>} hits so far and when the window ends (ms)
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+    return { ...counter };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Fixed window counters in the rate_limits table, shared by every process using the database
+ */
+class SqliteStore {
+  constructor() {
+    this.lastCleanup = 0;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter;
+
+    await db.transaction(async () => {
+      await db.query(
+        `
+        INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+          reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+      `,
+        [key, now + windowMs, now, now]
+      );
+
+      const rows = await db.query(`SELECT count, reset_at FROM rate_limits WHERE key = ?`, [key]);
+      counter = { count: rows[0].count, resetAt: rows[0].reset_at };
+    });
+
+    if (now - this.lastCleanup > CLEANUP_INTERVAL_MS) {
+      this.lastCleanup = now;
+      db.query(`DELETE FROM rate_limits WHERE reset_at <= ?`, [now]).catch((error) =>
+        logger.error(`Error cleaning up rate limits: ${error.message}`)
+      );
+    }
+
+    return counter;
+  }
+
+  async reset(key) {
+    await db.query(`DELETE FROM rate_limits WHERE key = ?`, [key]);
+  }
+}
+
+const stores = {
+  memory: MemoryStore,
+  sqlite: SqliteStore,
+};
+
+let defaultStore = null;
+
+/**
+ * Store picked with RATE_LIMIT_STORE (memory or sqlite, default memory), shared by all limiters
+ */
+const getStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(
+        `Unknown RATE_LIMIT_STORE: ${name} (use ${Object.keys(stores).join(' or ')})`
+      );
+    }
+    defaultStore = new stores[name]();
+  }
+
+  return defaultStore;
+};
+
+module.exports = {
+  MemoryStore,
+  SqliteStore,
+  getStore,
+};
@@ -0,0 +1,261 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const queueService = require('./queueService');
+
+/**
+ * Retry settings (env):
+ *   EMAIL_MAX_RETRIES          - retries for transient failures unless the user overrides it (default 5)
+ *   EMAIL_RETRY_BASE_DELAY_MS  - delay before the first retry, doubled on every attempt (default 30000)
+ *   EMAIL_RETRY_MAX_DELAY_MS   - upper bound for the delay between retries (default 3600000)
+ */
+const envMaxRetries = parseInt(process.env.EMAIL_MAX_RETRIES, 10);
+
+const config = {
+  maxRetries: Number.isNaN(envMaxRetries) ? 5 : envMaxRetries,
+  baseDelayMs: parseInt(process.env.EMAIL_RETRY_BASE_DELAY_MS, 10) || 30 * 1000,
+  maxDelayMs: parseInt(process.env.EMAIL_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000,
+};
+
+// Socket level failures that are worth another try
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNECTION',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EDNS',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ESOCKET',
+  'ETIMEDOUT',
+  'ETIMEOUT',
+  'EPIPE',
+]);
+
+// OAuth token endpoint errors that won't go away until the account is reconnected
+const PERMANENT_OAUTH_ERRORS = new Set(['invalid_grant', 'invalid_client', 'unauthorized_client']);
+
+/**
+ * Walk an error and the errors it wraps through `cause`
+ */
+const errorChain = (error) => {
+  const chain = [];
+  let current = error;
+  while (current && chain.length < 10) {
+    chain.push(current);
+    current = current.cause;
+  }
+  return chain;
+};
+
+/**
+ * Decide whether a failed send is worth retrying
+ * Anything that isn't recognised as transient is treated as permanent
+ * @returns {{transient: boolean, code: string}}
+ */
+const classifySendError = (error) => {
+  for (const err of errorChain(error)) {
+    // SMTP replies: 4xx are temporary, 5xx are permanent
+    if (typeof err.responseCode === 'number') {
+      return { transient: err.responseCode < 500, code: `SMTP_${err.responseCode}` };
+    }
+
+    const oauthError = err.response && err.response.data && err.response.data.error;
+    if (oauthError && PERMANENT_OAUTH_ERRORS.has(oauthError)) {
+      return { transient: false, code: oauthError };
+    }
+    if (typeof err.message === 'string' && err.message.includes('invalid_grant')) {
+      return { transient: false, code: 'invalid_grant' };
+    }
+
+    // HTTP API replies: rate limits and server errors are temporary
+    const httpStatus = (err.response && err.response.status) || err.status;
+    if (typeof httpStatus === 'number') {
+      return {
+        transient: httpStatus === 429 || httpStatus >= 500,
+        code: `HTTP_${httpStatus}`,
+      };
+    }
+
+    if (err.code && TRANSIENT_NETWORK_CODES.has(err.code)) {
+      return { transient: true, code: err.code };
+    }
+  }
+
+  const { code } = errorChain(error).find((err) => err.code) || {};
+  return { transient: false, code: code || 'UNKNOWN' };
+};
+
+/**
+ * Exponential backoff with jitter for the given attempt (1 = first retry)
+ * Half of the delay is fixed and half is random so retries from one campaign spread out
+ */
+const getRetryDelay = (attempt) => {
+  const exponential = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+/**
+ * How many times a user's transient failures are retried
+ */
+const getMaxRetries = async (userId) => {
+  const users = await db.query(`SELECT max_send_retries FROM users WHERE id = ?`, [userId]);
+  const override = users.length > 0 ? users[0].max_send_retries : null;
+  return override === null || override === undefined ? config.maxRetries : override;
+};
+
+/**
+ * Queue a send that failed outside the worker so the worker retries it with backoff
+ * @returns {Promise<{retryId: number, retryAt: string}>}
+ */
+const queueRetry = async ({ userId, credentialId, message, attempts = 1 }) => {
+  const retryAt = new Date(Date.now() + getRetryDelay(attempts));
+
+  const retryId = await queueService.enqueueEmailJob({
+    userId,
+    credentialId,
+    message,
+    availableAt: retryAt,
+    attempts,
+  });
+
+  return { retryId, retryAt: retryAt.toISOString() };
+};
+
+/**
+ * Record a send that won't be retried automatically
+ */
+const recordDeadLetter = async ({
+  userId,
+  jobId = null,
+  campaignId = null,
+  credentialId = null,
+  recipient,
+  recipientData = null,
+  message = null,
+  error,
+  attempts = 1,
+}) => {
+  const { code } = classifySendError(error);
+
+  const result = await db.query(
+    `
+    INSERT INTO email_dead_letters (
+      user_id, job_id, campaign_id, credential_id, recipient, recipient_data,
+      message, error, error_code, attempts
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      userId,
+      jobId,
+      campaignId,
+      credentialId,
+      recipient,
+      recipientData ? JSON.stringify(recipientData) : null,
+      message ? JSON.stringify(message) : null,
+      error.message,
+      code,
+      attempts,
+    ]
+  );
+
+  logger.warn(`Email to ${recipient} moved to dead letters (${code}): ${error.message}`);
+
+  return result.lastID;
+};
+
+const parseDeadLetter = (row) => ({
+  ...row,
+  recipient_data: row.recipient_data ? JSON.parse(row.recipient_data) : null,
+  message: row.message ? JSON.parse(row.message) : null,
+});
+
+/**
+ * List a user's dead letters, newest first
+ */
+const listDeadLetters = async (userId, { campaignId, status, limit = 50, offset = 0 } = {}) => {
+  let query = `SELECT * FROM email_dead_letters WHERE user_id = ?`;
+  const params = [userId];
+
+  if (campaignId) {
+    query += ` AND campaign_id = ?`;
+    params.push(campaignId);
+  }
+
+  if (status) {
+    query += ` AND status = ?`;
+    params.push(status);
+  }
+
+  query += ` ORDER BY id DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  const rows = await db.query(query, params);
+  return rows.map(parseDeadLetter);
+};
+
+/**
+ * Get a single dead letter belonging to a user
+ */
+const getDeadLetter = async (id, userId) => {
+  const rows = await db.query(`SELECT * FROM email_dead_letters WHERE id = ? AND user_id = ?`, [
+    id,
+    userId,
+  ]);
+  return rows.length > 0 ? parseDeadLetter(rows[0]) : null;
+};
+
+/**
+ * Put a dead letter back on the send queue
+ * Campaign sends are re-queued against their campaign, which is reopened until the retry is done
+ */
+const retryDeadLetter = async (deadLetter) => {
+  let jobId;
+
+  await db.transaction(async () => {
+    jobId = await queueService.enqueueEmailJob({
+      userId: deadLetter.user_id,
+      credentialId: deadLetter.credential_id,
+      campaignId: deadLetter.campaign_id,
+      recipientData: deadLetter.campaign_id
+        ? deadLetter.recipient_data || { email: deadLetter.recipient }
+        : null,
+      message: deadLetter.message,
+    });
+
+    if (deadLetter.campaign_id) {
+      await db.query(
+        `
+        UPDATE email_campaigns
+        SET
+          failed_count = MAX(failed_count - 1, 0),
+          status = CASE WHEN status = 'completed' THEN 'in_progress' ELSE status END,
+          completed_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [deadLetter.campaign_id]
+      );
+    }
+
+    await db.query(
+      `
+      UPDATE email_dead_letters
+      SET status = 'retried', retried_job_id = ?, retried_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [jobId, deadLetter.id]
+    );
+  });
+
+  return jobId;
+};
+
+module.exports = {
+  classifySendError,
+  getRetryDelay,
+  getMaxRetries,
+  queueRetry,
+  recordDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  retryDeadLetter,
+};
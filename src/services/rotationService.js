@@ -0,0 +1,88 @@
+const { AppError } = require('../utils/responseHandler');
+const quotaService = require('./quotaService');
+
+/**
+ * How a campaign spread over several credentials picks the sender for each job:
+ *   round-robin - take turns in the order the credentials were given
+ *   weighted    - pick at random in proportion to each credential's weight
+ *   least-used  - the credential that has sent to the fewest recipients today
+ */
+const STRATEGIES = ['round-robin', 'weighted', 'least-used'];
+
+/**
+ * Build the sender pool stored with a campaign
+ * @param {object[]} credentials - resolved credentials, in rotation order
+ * @param {object} [weights] - weight per credential id for the weighted strategy (default 1)
+ * @returns {{id: number, weight: number}[]}
+ */
+const buildPool = (credentials, weights = {}) => {
+  if (credentials.length === 0) {
+    throw new AppError('A sender pool needs at least one credential', 400);
+  }
+  if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new AppError('weights must be an object of credential id to weight', 400);
+  }
+
+  return credentials.map((credential) => {
+    const weight = weights[credential.id] === undefined ? 1 : Number(weights[credential.id]);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new AppError(`Weight for credential ${credential.id} must be a positive number`, 400);
+    }
+
+    return { id: credential.id, weight };
+  });
+};
+
+/**
+ * Check a strategy name, null means the default
+ */
+const parseStrategy = (strategy) => {
+  if (strategy === undefined || strategy === null) {
+    return 'round-robin';
+  }
+  if (!STRATEGIES.includes(strategy)) {
+    throw new AppError(`rotationStrategy must be one of: ${STRATEGIES.join(', ')}`, 400);
+  }
+
+  return strategy;
+};
+
+const pickWeighted = (pool) => {
+  const total = pool.reduce((sum, sender) => sum + sender.weight, 0);
+  let point = Math.random() * total;
+
+  return pool.findIndex((sender) => (point -= sender.weight) < 0);
+};
+
+/**
+ * Order in which a job tries the pool's credentials
+ * The strategy picks the first one, the others follow as fallbacks
+ * @returns {Promise<number[]>} credential ids
+ */
+const orderSenders = async (pool, strategy, job) => {
+  if (pool.length <= 1) {
+    return pool.map((sender) => sender.id);
+  }
+
+  if (strategy === 'least-used') {
+    const used = await quotaService.getUsedToday(pool.map((sender) => sender.id));
+    return [...pool].sort((a, b) => used[a.id] - used[b.id]).map((sender) => sender.id);
+  }
+
+  // Jobs of a campaign have consecutive ids, so the id takes turns through the pool
+  const first = strategy === 'weighted' ? pickWeighted(pool) : job.id % pool.length;
+  const rotated = [...pool.slice(first), ...pool.slice(0, first)];
+
+  return (
+    strategy === 'weighted'
+      ? [rotated[0], ...rotated.slice(1).sort((a, b) => b.weight - a.weight)]
+      : rotated
+  ).map((sender) => sender.id);
+};
+
+module.exports = {
+  STRATEGIES,
+  buildPool,
+  parseStrategy,
+  orderSenders,
+};
@@ -0,0 +1,190 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const organizationService = require('./organizationService');
+
+/**
+ * SQL condition for single emails of the workspace: those sent with its credentials
+ */
+const emailScopeFilter = (scope) => {
+  const filter = organizationService.scopeFilter(scope);
+
+  return {
+    sql: `credential_id IN (SELECT id FROM email_credentials WHERE ${filter.sql})`,
+    params: filter.params,
+  };
+};
+
+/**
+ * List everything the workspace has scheduled that hasn't been dispatched yet
+ * @param {{userId: string, organizationId?: string|null}} scope - see organizationService.scopeFilter
+ */
+const listScheduled = async (scope) => {
+  const emailFilter = emailScopeFilter(scope);
+  const emails = await db.query(
+    `
+    SELECT id, user_id, recipient, message, available_at as send_at, timezone, created_at
+    FROM email_queue
+    WHERE ${emailFilter.sql} AND campaign_id IS NULL AND status = 'scheduled'
+    ORDER BY available_at
+  `,
+    emailFilter.params
+  );
+
+  const campaignFilter = organizationService.scopeFilter(scope);
+  const campaigns = await db.query(
+    `
+    SELECT id, user_id, name, sender, total_recipients, schedule_time as send_at, timezone, created_at
+    FROM email_campaigns
+    WHERE ${campaignFilter.sql} AND status = 'scheduled'
+    ORDER BY schedule_time
+  `,
+    campaignFilter.params
+  );
+
+  return {
+    emails: emails.map(({ message, ...email }) => {
+      const { subject } = JSON.parse(message);
+      return { ...email, type: 'email', subject };
+    }),
+    campaigns: campaigns.map((campaign) => ({ ...campaign, type: 'campaign' })),
+  };
+};
+
+/**
+ * Find a scheduled campaign (by campaign id) or single email (by queue job id)
+ * @returns {Promise<{type: string, id: string|number, status: string, credential_id: number}|null>}
+ */
+const findScheduledItem = async (id, scope) => {
+  const campaignFilter = organizationService.scopeFilter(scope);
+  const campaigns = await db.query(
+    `SELECT id, status, credential_id FROM email_campaigns WHERE id = ? AND ${campaignFilter.sql}`,
+    [id, ...campaignFilter.params]
+  );
+  if (campaigns.length > 0) {
+    return { type: 'campaign', ...campaigns[0] };
+  }
+
+  const emailFilter = emailScopeFilter(scope);
+  const jobs = await db.query(
+    `SELECT id, status, credential_id FROM email_queue WHERE id = ? AND ${emailFilter.sql} AND campaign_id IS NULL`,
+    [id, ...emailFilter.params]
+  );
+  if (jobs.length > 0) {
+    return { type: 'email', ...jobs[0] };
+  }
+
+  return null;
+};
+
+/**
+ * Move a scheduled item to a new send time
+ */
+const reschedule = async (item, sendAt, timezone) => {
+  const sendAtIso = sendAt.toISOString();
+
+  if (item.type === 'campaign') {
+    await db.transaction(async () => {
+      await db.query(
+        `
+        UPDATE email_campaigns
+        SET schedule_time = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'scheduled'
+      `,
+        [sendAtIso, timezone, item.id]
+      );
+      await db.query(
+        `
+        UPDATE email_queue
+        SET available_at = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE campaign_id = ? AND status = 'scheduled'
+      `,
+        [sendAtIso, timezone, item.id]
+      );
+    });
+  } else {
+    await db.query(
+      `
+      UPDATE email_queue
+      SET available_at = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'scheduled'
+    `,
+      [sendAtIso, timezone, item.id]
+    );
+  }
+};
+
+/**
+ * Cancel a scheduled item before it is dispatched
+ */
+const cancelScheduled = async (item) => {
+  if (item.type === 'campaign') {
+    await db.transaction(async () => {
+      await db.query(
+        `
+        UPDATE email_campaigns
+        SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'scheduled'
+      `,
+        [item.id]
+      );
+      await db.query(
+        `
+        UPDATE email_queue
+        SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+        WHERE campaign_id = ? AND status = 'scheduled'
+      `,
+        [item.id]
+      );
+    });
+  } else {
+    await db.query(
+      `
+      UPDATE email_queue
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'scheduled'
+    `,
+      [item.id]
+    );
+  }
+};
+
+/**
+ * Hand every scheduled campaign and email that is due over to the send queue
+ */
+const dispatchDue = async () => {
+  const now = new Date().toISOString();
+
+  const campaigns = await db.query(
+    `
+    UPDATE email_campaigns
+    SET status = 'in_progress', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'scheduled' AND schedule_time <= ?
+  `,
+    [now]
+  );
+
+  const jobs = await db.query(
+    `
+    UPDATE email_queue
+    SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'scheduled' AND available_at <= ?
+  `,
+    [now]
+  );
+
+  if (campaigns.changes > 0 || jobs.changes > 0) {
+    logger.info(
+      `Dispatched ${campaigns.changes} scheduled campaign(s), released ${jobs.changes} queued job(s)`
+    );
+  }
+
+  return { campaigns: campaigns.changes, jobs: jobs.changes };
+};
+
+module.exports = {
+  listScheduled,
+  findScheduledItem,
+  reschedule,
+  cancelScheduled,
+  dispatchDue,
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { AppError } = require('../utils/responseHandler');
+
+/**
+ * Session settings (env):
+ *   JWT_EXPIRES_IN              - lifetime of access tokens (default 15m)
+ *   REFRESH_TOKEN_EXPIRES_DAYS  - a session ends after this many days without a refresh (default 30)
+ */
+const getRefreshTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Short-lived JWT bound to a session
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  });
+};
+
+const issueTokens = (userId, sessionId, refreshToken, expiresAt) => ({
+  sessionId,
+  token: generateAccessToken(userId, sessionId),
+  refreshToken,
+  refreshTokenExpiresAt: expiresAt,
+});
+
+/**
+ * Start a session for a device, returns the access token and the first refresh token
+ */
+const createSession = async (userId, { ipAddress, userAgent } = {}) => {
+  const sessionId = uuidv4();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + getRefreshTtlMs()).toISOString();
+
+  await db.query(
+    `
+    INSERT INTO sessions (id, user_id, token, ip_address, user_agent, expires_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      sessionId,
+      userId,
+      hashToken(refreshToken),
+      ipAddress,
+      userAgent,
+      expiresAt,
+      new Date().toISOString(),
+    ]
+  );
+
+  return issueTokens(userId, sessionId, refreshToken, expiresAt);
+};
+
+/**
+ * End a session, its access and refresh tokens stop working immediately
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await db.query(
+    `
+    UPDATE sessions SET revoked_at = ?, revoke_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `,
+    [new Date().toISOString(), reason, sessionId]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * End every session of a user, optionally keeping one (e.g. the one changing the password)
+ */
+const revokeUserSessions = async (userId, reason, { except = null } = {}) => {
+  const result = await db.query(
+    `
+    UPDATE sessions SET revoked_at = ?, revoke_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `,
+    [new Date().toISOString(), reason, userId, except]
+  );
+
+  return result.changes;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * A refresh token that was already exchanged is treated as stolen and ends its session
+ */
+const rotateRefreshToken = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const tokenHash = hashToken(String(refreshToken));
+  const now = new Date().toISOString();
+  let tokens = null;
+  let reused = null;
+
+  await db.transaction(async () => {
+    const sessions = await db.query(
+      `SELECT * FROM sessions WHERE token = ? AND revoked_at IS NULL AND expires_at > ?`,
+      [tokenHash, now]
+    );
+
+    if (sessions.length === 0) {
+      const rotated = await db.query(
+        `SELECT session_id FROM rotated_refresh_tokens WHERE token_hash = ?`,
+        [tokenHash]
+      );
+      if (rotated.length > 0) {
+        reused = rotated[0].session_id;
+        await revokeSession(reused, 'refresh_token_reuse');
+      }
+      return;
+    }
+
+    const session = sessions[0];
+    const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + getRefreshTtlMs()).toISOString();
+
+    await db.query(
+      `INSERT INTO rotated_refresh_tokens (token_hash, session_id, rotated_at) VALUES (?, ?, ?)`,
+      [tokenHash, session.id, now]
+    );
+    await db.query(
+      `
+      UPDATE sessions
+      SET token = ?, expires_at = ?, last_used_at = ?, ip_address = ?, user_agent = ?
+      WHERE id = ?
+    `,
+      [
+        hashToken(nextRefreshToken),
+        expiresAt,
+        now,
+        ipAddress || session.ip_address,
+        userAgent || session.user_agent,
+        session.id,
+      ]
+    );
+
+    tokens = issueTokens(session.user_id, session.id, nextRefreshToken, expiresAt);
+  });
+
+  if (reused) {
+    logger.warn(`Refresh token reuse detected, session ${reused} revoked`);
+    throw new AppError(
+      'Refresh token was already used. The session has been ended, please login again.',
+      401
+    );
+  }
+
+  if (!tokens) {
+    throw new AppError('Invalid or expired refresh token. Please login again.', 401);
+  }
+
+  return tokens;
+};
+
+/**
+ * Get a session that can still be used
+ */
+const getActiveSession = async (sessionId) => {
+  const sessions = await db.query(
+    `SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?`,
+    [sessionId, new Date().toISOString()]
+  );
+
+  return sessions.length > 0 ? sessions[0] : null;
+};
+
+/**
+ * List a user's active sessions (one per signed in device)
+ */
+const listSessions = async (userId) => {
+  return db.query(
+    `
+    SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `,
+    [userId, new Date().toISOString()]
+  );
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSession,
+  listSessions,
+};
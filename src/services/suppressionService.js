@@ -0,0 +1,187 @@
+const db = require('../config/database');
+const signing = require('../utils/signing');
+const organizationService = require('./organizationService');
+
+/**
+ * Normalize an address for suppression lookups
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Split `to`/`cc`/`bcc` values (string, comma separated string or array) into addresses
+ */
+const toAddressList = (value) => {
+  if (!value) return [];
+  return []
+    .concat(value)
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Extract the bare address from "Name <address>" style recipients
+ */
+const bareAddress = (recipient) => {
+  const match = recipient.match(/<([^>]+)>/);
+  return normalizeEmail(match ? match[1] : recipient);
+};
+
+/**
+ * Create the signed token carried by unsubscribe links
+ * It names the workspace ({ userId, organizationId }) whose suppression list the address joins
+ */
+const createUnsubscribeToken = ({ userId, organizationId = null }, email, campaignId = null) => {
+  const payload = Buffer.from(
+    JSON.stringify({ u: userId, o: organizationId, e: normalizeEmail(email), c: campaignId })
+  ).toString('base64url');
+
+  return `${payload}.${signing.sign(payload)}`;
+};
+
+/**
+ * Verify and decode an unsubscribe token
+ * @returns {{userId: string, organizationId: string|null, email: string, campaignId: string|null}|null}
+ */
+const parseUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signing.verify(payload, signature)) {
+    return null;
+  }
+
+  try {
+    const { u, o, e, c } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return u && e
+      ? { userId: u, organizationId: o || null, email: e, campaignId: c || null }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Public one-click unsubscribe URL for a recipient
+ */
+const buildUnsubscribeUrl = (scope, email, campaignId = null) => {
+  const token = createUnsubscribeToken(scope, email, campaignId);
+  return `${process.env.API_URL || 'http://localhost:3000'}/api/email/unsubscribe/${token}`;
+};
+
+/**
+ * Return the subset of addresses the workspace has suppressed (normalized)
+ * @param {{userId: string, organizationId?: string|null}} scope - see organizationService.scopeFilter
+ */
+const findSuppressed = async (scope, emails) => {
+  const normalized = [...new Set(emails.map(normalizeEmail))];
+  const suppressed = new Set();
+  const filter = organizationService.scopeFilter(scope);
+
+  // Chunk the IN list to stay below SQLite's bound parameter limit
+  for (let i = 0; i < normalized.length; i += 500) {
+    const batch = normalized.slice(i, i + 500);
+    const rows = await db.query(
+      `
+      SELECT email FROM email_suppressions
+      WHERE ${filter.sql} AND email IN (${batch.map(() => '?').join(', ')})
+    `,
+      [...filter.params, ...batch]
+    );
+    rows.forEach((row) => suppressed.add(row.email));
+  }
+
+  return suppressed;
+};
+
+/**
+ * Check a single address against the workspace's suppression list
+ */
+const isSuppressed = async (scope, email) => {
+  const suppressed = await findSuppressed(scope, [email]);
+  return suppressed.size > 0;
+};
+
+/**
+ * Drop suppressed addresses from a message's to/cc/bcc
+ * @returns {Promise<{to: string[], cc: string[], bcc: string[], suppressed: string[]}>}
+ */
+const filterMessageRecipients = async (scope, { to, cc, bcc }) => {
+  const fields = { to: toAddressList(to), cc: toAddressList(cc), bcc: toAddressList(bcc) };
+  const all = [...fields.to, ...fields.cc, ...fields.bcc];
+  const suppressed = await findSuppressed(scope, all.map(bareAddress));
+
+  const keep = (list) => list.filter((recipient) => !suppressed.has(bareAddress(recipient)));
+
+  return {
+    to: keep(fields.to),
+    cc: keep(fields.cc),
+    bcc: keep(fields.bcc),
+    suppressed: all.filter((recipient) => suppressed.has(bareAddress(recipient))),
+  };
+};
+
+/**
+ * Add an address to the workspace's suppression list, returns false if it was already there
+ * `userId` is recorded as who added it
+ */
+const addSuppression = async (
+  { userId, organizationId = null },
+  email,
+  { reason = 'manual', campaignId = null } = {}
+) => {
+  const result = await db.query(
+    `
+    INSERT INTO email_suppressions (user_id, organization_id, email, reason, campaign_id)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING
+  `,
+    [userId, organizationId, normalizeEmail(email), reason, campaignId]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Remove an address from the workspace's suppression list
+ */
+const removeSuppression = async (scope, email) => {
+  const filter = organizationService.scopeFilter(scope);
+  const result = await db.query(
+    `DELETE FROM email_suppressions WHERE ${filter.sql} AND email = ?`,
+    [...filter.params, normalizeEmail(email)]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * List the workspace's suppressed addresses, optionally filtered by a search term
+ */
+const listSuppressions = async (scope, { search, limit = 50, offset = 0 } = {}) => {
+  const filter = organizationService.scopeFilter(scope);
+  let query = `SELECT * FROM email_suppressions WHERE ${filter.sql}`;
+  const params = [...filter.params];
+
+  if (search) {
+    query += ` AND email LIKE ?`;
+    params.push(`%${normalizeEmail(search)}%`);
+  }
+
+  query += ` ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+  params.push(limit, offset);
+
+  return db.query(query, params);
+};
+
+module.exports = {
+  normalizeEmail,
+  toAddressList,
+  bareAddress,
+  buildUnsubscribeUrl,
+  parseUnsubscribeToken,
+  findSuppressed,
+  isSuppressed,
+  filterMessageRecipients,
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+};
@@ -0,0 +1,140 @@
+const providers = require('./providers');
+const logger = require('../config/logger');
+
+/**
+ * Mail sent by the application itself (password resets and other account notifications),
+ * as opposed to mail users send through their own credentials
+ *
+ * Configured from env:
+ *   SYSTEM_MAIL_PROVIDER  - smtp, http or file
+ *   SYSTEM_MAIL_FROM      - sender, e.g. "Gmail Server <no-reply@example.com>"
+ *   smtp: SYSTEM_MAIL_SMTP_HOST, SYSTEM_MAIL_SMTP_PORT, SYSTEM_MAIL_SMTP_SECURE,
+ *         SYSTEM_MAIL_SMTP_USER, SYSTEM_MAIL_SMTP_PASSWORD
+ *   http: SYSTEM_MAIL_API_URL, SYSTEM_MAIL_API_KEY
+ */
+const getSystemCredentials = () => {
+  const provider = process.env.SYSTEM_MAIL_PROVIDER;
+  const from = process.env.SYSTEM_MAIL_FROM;
+
+  if (!provider || !from) {
+    throw new Error('System mail is not configured (SYSTEM_MAIL_PROVIDER, SYSTEM_MAIL_FROM)');
+  }
+
+  const match = from.match(/<([^>]+)>/);
+  const email = match ? match[1] : from;
+
+  const fields = providers.validateCredentials(provider, {
+    email,
+    host: process.env.SYSTEM_MAIL_SMTP_HOST,
+    port: process.env.SYSTEM_MAIL_SMTP_PORT,
+    secure:
+      process.env.SYSTEM_MAIL_SMTP_SECURE === undefined
+        ? undefined
+        : process.env.SYSTEM_MAIL_SMTP_SECURE === 'true',
+    username: process.env.SYSTEM_MAIL_SMTP_USER,
+    password: process.env.SYSTEM_MAIL_SMTP_PASSWORD,
+    apiUrl: process.env.SYSTEM_MAIL_API_URL,
+    apiKey: process.env.SYSTEM_MAIL_API_KEY,
+  });
+
+  return { id: 'system', provider, email, from, ...fields };
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Wrap a notification body in the shared HTML layout
+ */
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="font-family:sans-serif;color:#222222;max-width:560px;margin:0 auto;padding:24px;">
+    <h2>${escapeHtml(title)}</h2>
+    ${bodyHtml}
+  </body>
+</html>`;
+
+/**
+ * Notification templates, each returns { subject, text, html }
+ */
+const templates = {
+  passwordReset: ({ resetURL, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset your password.',
+      `Open this link to choose a new one (valid for ${expiresInMinutes} minutes):`,
+      resetURL,
+      '',
+      'If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+    html: layout(
+      'Reset your password',
+      `<p>We received a request to reset your password.</p>
+    <p><a href="${escapeHtml(resetURL)}">Choose a new password</a> (valid for ${expiresInMinutes} minutes).</p>
+    <p>If you did not ask for this, you can ignore this email.</p>`
+    ),
+  }),
+
+  emailVerification: ({ verifyURL, expiresInHours }) => ({
+    subject: 'Verify your email address',
+    text: [
+      'Thanks for signing up! Please confirm your email address by opening this link',
+      `(valid for ${expiresInHours} hours):`,
+      verifyURL,
+      '',
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+    html: layout(
+      'Verify your email address',
+      `<p>Thanks for signing up! Please confirm your email address.</p>
+    <p><a href="${escapeHtml(verifyURL)}">Verify email address</a> (valid for ${expiresInHours} hours).</p>
+    <p>If you did not create an account, you can ignore this email.</p>`
+    ),
+  }),
+
+  organizationInvite: ({ organizationName, invitedBy, role, acceptURL, expiresInDays }) => ({
+    subject: `You're invited to join ${organizationName}`,
+    text: [
+      `${invitedBy} invited you to join ${organizationName} as ${role}.`,
+      `Open this link to accept (valid for ${expiresInDays} days):`,
+      acceptURL,
+      '',
+      'You need an account with this email address to accept.',
+    ].join('\n'),
+    html: layout(
+      `Join ${organizationName}`,
+      `<p>${escapeHtml(invitedBy)} invited you to join <strong>${escapeHtml(organizationName)}</strong> as ${escapeHtml(role)}.</p>
+    <p><a href="${escapeHtml(acceptURL)}">Accept the invite</a> (valid for ${expiresInDays} days).</p>
+    <p>You need an account with this email address to accept.</p>`
+    ),
+  }),
+};
+
+/**
+ * Send an account notification
+ * @param {string} to - recipient address
+ * @param {string} template - name of one of the templates above
+ * @param {object} data - values for the template
+ */
+const sendSystemEmail = async (to, template, data = {}) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown system email template: ${template}`);
+  }
+
+  const credentials = getSystemCredentials();
+  const transporter = await providers.getTransport(credentials);
+  const { subject, text, html } = templates[template](data);
+
+  const info = await transporter.sendMail({ from: credentials.from, to, subject, text, html });
+  logger.info(`System email '${template}' sent to ${to}`);
+
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  sendSystemEmail,
+};
@@ -0,0 +1,379 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { AppError } = require('../utils/responseHandler');
+const templateEngine = require('../utils/templateEngine');
+const organizationService = require('./organizationService');
+
+const PARTIAL_NAME_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+// Recipients listed in a validation error, the rest are only counted
+const MAX_REPORTED_RECIPIENTS = 20;
+
+/**
+ * List the partials of the user's (or, with `organizationId`, the organization's) workspace
+ */
+const listPartials = async (scope) => {
+  const filter = organizationService.scopeFilter(scope);
+
+  return db.query(
+    `
+    SELECT id, name, content, created_at, updated_at
+    FROM email_partials
+    WHERE ${filter.sql}
+    ORDER BY name
+  `,
+    filter.params
+  );
+};
+
+/**
+ * Get a workspace's partials as the name to content map the template engine takes
+ */
+const getPartials = async (scope) => {
+  const partials = await listPartials(scope);
+  return Object.fromEntries(partials.map((partial) => [partial.name, partial.content]));
+};
+
+/**
+ * Create or replace a partial
+ */
+const savePartial = async ({ userId, organizationId = null }, name, content) => {
+  if (!PARTIAL_NAME_REGEX.test(String(name))) {
+    throw new AppError('Partial names may only use letters, digits, - and _ (up to 64)', 400);
+  }
+  if (typeof content !== 'string' || !content) {
+    throw new AppError('Please provide the partial content', 400);
+  }
+  assertValidTemplate(content, `Partial ${name}`);
+
+  const filter = organizationService.scopeFilter({ userId, organizationId });
+
+  await db.transaction(async () => {
+    const result = await db.query(
+      `
+      UPDATE email_partials SET content = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE name = ? AND ${filter.sql}
+    `,
+      [content, name, ...filter.params]
+    );
+
+    if (result.changes === 0) {
+      await db.query(
+        `INSERT INTO email_partials (user_id, organization_id, name, content) VALUES (?, ?, ?, ?)`,
+        [userId, organizationId, name, content]
+      );
+    }
+  });
+};
+
+/**
+ * Delete a partial
+ * @returns {Promise<boolean>} false when there was no such partial
+ */
+const deletePartial = async (scope, name) => {
+  const filter = organizationService.scopeFilter(scope);
+  const result = await db.query(`DELETE FROM email_partials WHERE name = ? AND ${filter.sql}`, [
+    name,
+    ...filter.params,
+  ]);
+
+  return result.changes > 0;
+};
+
+/**
+ * Turn a syntax error in a template into a 400
+ */
+const assertValidTemplate = (source, label) => {
+  try {
+    templateEngine.validate(source);
+  } catch (error) {
+    if (error instanceof templateEngine.TemplateError) {
+      throw new AppError(`${label}: ${error.message}`, 400, 'TEMPLATE_ERROR');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Render a message's subject, text and HTML, the HTML with escaping
+ * @param {{subject?: string, text?: string, html?: string}} content
+ * @param {object} data
+ * @param {{partials?: object, strict?: boolean}} [options]
+ */
+const renderContent = (content, data, { partials = {}, strict = false } = {}) => {
+  const rendered = {};
+  const missing = new Set();
+
+  for (const field of ['subject', 'text', 'html']) {
+    try {
+      rendered[field] = templateEngine.render(content[field], data, {
+        partials,
+        strict,
+        escape: field === 'html',
+      });
+    } catch (error) {
+      if (!(error instanceof templateEngine.TemplateError) || error.missing.length === 0) {
+        throw error;
+      }
+      error.missing.forEach((name) => missing.add(name));
+    }
+  }
+
+  // Report what every part of the message is missing at once
+  if (missing.size > 0) {
+    throw new templateEngine.TemplateError(
+      `Missing template variables: ${[...missing].join(', ')}`,
+      [...missing]
+    );
+  }
+
+  return rendered;
+};
+
+/**
+ * Render the content for every recipient before a campaign is queued, so syntax errors and
+ * (in strict mode) missing variables are reported instead of failing each email later
+ * @param {Function} dataFor - returns the render data of a recipient
+ * @throws {AppError} 400 with the recipients and the variables they're missing
+ */
+const assertRenderable = (content, recipients, dataFor, options = {}) => {
+  ['subject', 'text', 'html'].forEach((field) => {
+    if (content[field]) {
+      assertValidTemplate(content[field], field);
+    }
+  });
+
+  const failures = [];
+  for (const recipient of recipients) {
+    try {
+      renderContent(content, dataFor(recipient), options);
+    } catch (error) {
+      if (!(error instanceof templateEngine.TemplateError)) {
+        throw error;
+      }
+      // Problems that don't depend on the recipient (e.g. an unknown partial) fail every one
+      if (error.missing.length === 0) {
+        throw new AppError(error.message, 400, 'TEMPLATE_ERROR');
+      }
+      failures.push({ email: recipient.email, missing: error.missing });
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new AppError(
+      `${failures.length} recipient(s) are missing template variables`,
+      400,
+      'TEMPLATE_VARIABLES_MISSING',
+      { recipients: failures.slice(0, MAX_REPORTED_RECIPIENTS), total: failures.length }
+    );
+  }
+};
+
+/**
+ * Find a template of the workspace, or with `includePublic` also a public one
+ */
+const findTemplate = async (scope, templateId, { includePublic = false } = {}) => {
+  const filter = organizationService.scopeFilter(scope);
+  const rows = await db.query(
+    `
+    SELECT * FROM email_templates
+    WHERE id = ? AND ((${filter.sql})${includePublic ? ' OR is_public = TRUE' : ''})
+  `,
+    [templateId, ...filter.params]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Get a template to send with: one of the workspace or a public one
+ * @throws {AppError} 404 when there is no such template, 403 when it belongs to someone else
+ */
+const getTemplateForSending = async ({ userId, organizationId = null }, templateId) => {
+  const rows = await db.query(`SELECT * FROM email_templates WHERE id = ?`, [templateId]);
+  if (rows.length === 0) {
+    throw new AppError('Template not found', 404);
+  }
+
+  const template = rows[0];
+  const inWorkspace = organizationId
+    ? template.organization_id === organizationId
+    : template.user_id === userId && !template.organization_id;
+
+  if (!inWorkspace && !template.is_public) {
+    throw new AppError('You are not allowed to use this template', 403);
+  }
+
+  return template;
+};
+
+/**
+ * Create a template, or with `id` update one of the workspace
+ * Every save is kept as a new version by `authorId`
+ * @returns {Promise<{templateId: string, version: number}>}
+ */
+const saveTemplate = async (
+  scope,
+  { id, name, subject, html, text, isPublic = false },
+  authorId
+) => {
+  ['subject', 'html', 'text'].forEach((field) => {
+    const content = { subject, html, text }[field];
+    if (content) {
+      assertValidTemplate(content, field);
+    }
+  });
+
+  let templateId = id;
+  let version = 1;
+
+  await db.transaction(async () => {
+    if (id) {
+      const template = await findTemplate(scope, id);
+      if (!template) {
+        throw new AppError('Template not found or unauthorized', 404);
+      }
+
+      version = template.current_version + 1;
+      await db.query(
+        `
+        UPDATE email_templates
+        SET name = ?, subject = ?, html_content = ?, text_content = ?, is_public = ?,
+          current_version = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [name, subject, html, text, Boolean(isPublic), version, id]
+      );
+    } else {
+      templateId = uuidv4();
+      await db.query(
+        `
+        INSERT INTO email_templates (
+          id, name, subject, html_content, text_content, user_id, organization_id, is_public,
+          current_version
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+      `,
+        [
+          templateId,
+          name,
+          subject,
+          html,
+          text,
+          scope.userId,
+          scope.organizationId || null,
+          Boolean(isPublic),
+        ]
+      );
+    }
+
+    await db.query(
+      `
+      INSERT INTO email_template_versions (
+        template_id, version, name, subject, html_content, text_content, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+      [templateId, version, name, subject, html, text, authorId]
+    );
+  });
+
+  return { templateId, version };
+};
+
+/**
+ * Delete a template of the workspace with its versions
+ * @returns {Promise<boolean>} false when there was no such template
+ */
+const deleteTemplate = async (scope, templateId) => {
+  const template = await findTemplate(scope, templateId);
+  if (!template) {
+    return false;
+  }
+
+  await db.transaction(async () => {
+    await db.query(`DELETE FROM email_template_versions WHERE template_id = ?`, [templateId]);
+    await db.query(`DELETE FROM email_templates WHERE id = ?`, [templateId]);
+  });
+
+  return true;
+};
+
+/**
+ * List a template's versions, newest first, without their content
+ */
+const listVersions = async (templateId) => {
+  return db.query(
+    `
+    SELECT v.version, v.name, v.subject, v.created_by, u.email as created_by_email, v.created_at
+    FROM email_template_versions v
+    LEFT JOIN users u ON u.id = v.created_by
+    WHERE v.template_id = ?
+    ORDER BY v.version DESC
+  `,
+    [templateId]
+  );
+};
+
+/**
+ * Get one version of a template with its content
+ */
+const getVersion = async (templateId, version) => {
+  const rows = await db.query(
+    `
+    SELECT v.*, u.email as created_by_email
+    FROM email_template_versions v
+    LEFT JOIN users u ON u.id = v.created_by
+    WHERE v.template_id = ? AND v.version = ?
+  `,
+    [templateId, version]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Roll a template back to an earlier version
+ * The old content is saved again as a new version, the history is never rewritten
+ * @returns {Promise<{templateId: string, version: number, restoredFrom: number}>}
+ */
+const restoreVersion = async (scope, templateId, version, authorId) => {
+  const template = await findTemplate(scope, templateId);
+  if (!template) {
+    throw new AppError('Template not found or unauthorized', 404);
+  }
+
+  const previous = await getVersion(templateId, version);
+  if (!previous) {
+    throw new AppError(`Template version ${version} not found`, 404);
+  }
+
+  const saved = await saveTemplate(
+    scope,
+    {
+      id: templateId,
+      name: previous.name,
+      subject: previous.subject,
+      html: previous.html_content,
+      text: previous.text_content,
+      isPublic: Boolean(template.is_public),
+    },
+    authorId
+  );
+
+  return { ...saved, restoredFrom: previous.version };
+};
+
+module.exports = {
+  listPartials,
+  getPartials,
+  savePartial,
+  deletePartial,
+  assertValidTemplate,
+  renderContent,
+  assertRenderable,
+  findTemplate,
+  getTemplateForSending,
+  saveTemplate,
+  deleteTemplate,
+  listVersions,
+  getVersion,
+  restoreVersion,
+};
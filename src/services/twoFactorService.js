@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const encryption = require('../utils/encryption');
+const totp = require('../utils/totp');
+const { AppError } = require('../utils/responseHandler');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'login_2fa';
+const CHALLENGE_TTL = '5m';
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * Start enrolling: store a new (not yet active) secret and return what the authenticator app needs
+ */
+const startEnrollment = async (user) => {
+  if (user.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = totp.generateSecret();
+  await db.query(`UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?`, [
+    encryption.encrypt(secret),
+    user.id,
+  ]);
+
+  return {
+    secret,
+    otpauthUrl: totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TOTP_ISSUER || 'Gmail Server',
+    }),
+  };
+};
+
+/**
+ * Accept a TOTP code once, codes from an already used time step are rejected
+ */
+const consumeTotpCode = async (userId, code) => {
+  const users = await db.query(`SELECT totp_secret, totp_last_step FROM users WHERE id = ?`, [
+    userId,
+  ]);
+  if (users.length === 0 || !users[0].totp_secret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(encryption.decrypt(users[0].totp_secret), code);
+  if (step === null || (users[0].totp_last_step !== null && step <= users[0].totp_last_step)) {
+    return false;
+  }
+
+  // Conditional update so two requests can't both use the same code
+  const result = await db.query(
+    `
+    UPDATE users SET totp_last_step = ?
+    WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `,
+    [step, userId, step]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Use up a recovery code
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await db.query(
+    `
+    UPDATE recovery_codes SET used_at = ?
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `,
+    [new Date().toISOString(), userId, hashRecoveryCode(code)]
+  );
+
+  return result.changes > 0;
+};
+
+/**
+ * Replace the user's recovery codes, returns the new codes (only shown once)
+ */
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.transaction(async () => {
+    await db.query(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+    await db.query(
+      `INSERT INTO recovery_codes (user_id, code_hash) VALUES ${codes.map(() => '(?, ?)').join(', ')}`,
+      codes.flatMap((code) => [userId, hashRecoveryCode(code)])
+    );
+  });
+
+  return codes;
+};
+
+/**
+ * Finish enrolling with the first code from the app
+ * @returns {Promise<string[]>} recovery codes
+ */
+const confirmEnrollment = async (user, code) => {
+  if (user.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.totp_secret) {
+    throw new AppError('Start the two-factor setup first', 400);
+  }
+  if (!(await consumeTotpCode(user.id, code))) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  await db.query(`UPDATE users SET totp_enabled = 1 WHERE id = ?`, [user.id]);
+  return generateRecoveryCodes(user.id);
+};
+
+/**
+ * Check a second factor: a TOTP code or one of the recovery codes
+ */
+const verifySecondFactor = async (userId, code) => {
+  if (/^\s*\d{6}\s*$/.test(String(code))) {
+    return consumeTotpCode(userId, code);
+  }
+  return consumeRecoveryCode(userId, code);
+};
+
+/**
+ * Turn 2FA off, needs a valid code so a hijacked session can't do it
+ */
+const disable = async (user, code) => {
+  if (!user.totp_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  if (!(await verifySecondFactor(user.id, code))) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  await db.transaction(async () => {
+    await db.query(
+      `UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?`,
+      [user.id]
+    );
+    await db.query(`DELETE FROM recovery_codes WHERE user_id = ?`, [user.id]);
+  });
+};
+
+/**
+ * Short-lived token proving the password step of a 2FA login succeeded
+ */
+const createChallenge = (userId) => {
+  return jwt.sign({ sub: userId, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+};
+
+/**
+ * @returns {string} the user id from a valid challenge token
+ */
+const verifyChallenge = (challengeToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Login challenge is invalid or has expired. Please login again.', 401);
+  }
+
+  if (payload.purpose !== CHALLENGE_PURPOSE || !payload.sub) {
+    throw new AppError('Invalid login challenge', 401);
+  }
+
+  return payload.sub;
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disable,
+  createChallenge,
+  verifyChallenge,
+};
@@ -0,0 +1,124 @@
+const { StringDecoder } = require('string_decoder');
+const { AppError } = require('./responseHandler');
+
+// Longest cell accepted, guards against an unterminated quote swallowing the whole file
+const MAX_CELL_LENGTH = 64 * 1024;
+
+/**
+ * Parse CSV (RFC 4180: comma separated, `"` quoted, `""` escapes a quote, CRLF or LF line ends)
+ * from a stream of UTF-8 chunks, yielding one array of cells per record as the chunks arrive
+ * Blank lines are skipped
+ * @param {AsyncIterable<Buffer|string>} chunks
+ * @returns {AsyncGenerator<string[]>}
+ */
+async function* parse(chunks) {
+  const decoder = new StringDecoder('utf8');
+  let record = [];
+  let cell = '';
+  let quoted = false; // inside a quoted cell
+  let quotePending = false; // a quote inside a quoted cell, either escaped or closing it
+  let skipLineFeed = false;
+  let first = true;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = '';
+  };
+
+  const endRecord = () => {
+    endCell();
+    const done = record;
+    record = [];
+    return done.length === 1 && done[0] === '' ? null : done;
+  };
+
+  const consume = function* (text) {
+    for (const char of text) {
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (quoted) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            cell += char;
+            continue;
+          }
+          quoted = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          cell += char;
+          if (cell.length > MAX_CELL_LENGTH) {
+            throw new AppError(`CSV cell longer than ${MAX_CELL_LENGTH} characters`, 400);
+          }
+          continue;
+        }
+      }
+
+      if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === ',') {
+        endCell();
+      } else if (char === '\n' || char === '\r') {
+        skipLineFeed = char === '\r';
+        const done = endRecord();
+        if (done) yield done;
+      } else {
+        cell += char;
+        if (cell.length > MAX_CELL_LENGTH) {
+          throw new AppError(`CSV cell longer than ${MAX_CELL_LENGTH} characters`, 400);
+        }
+      }
+    }
+  };
+
+  for await (const chunk of chunks) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      first = false;
+      // Spreadsheet exports often start with a byte order mark
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+    yield* consume(text);
+  }
+
+  yield* consume(decoder.end());
+
+  if (quoted && !quotePending) {
+    throw new AppError('CSV ends inside a quoted cell', 400);
+  }
+  const done = endRecord();
+  if (done) yield done;
+}
+
+/**
+ * Quote a value for a CSV cell
+ * Text a spreadsheet would run as a formula (=, +, -, @) is prefixed with `'`
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV record, terminated with CRLF
+ */
+const formatRow = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+module.exports = {
+  parse,
+  formatCell,
+  formatRow,
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Envelope encryption for secrets stored in the database
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM), and the data key is
+ * encrypted ("wrapped") with a master key identified by a key ID. Rotating the master key only
+ * re-wraps the data keys.
+ *
+ * Master keys (32 bytes, base64 or hex) come from either:
+ *   CREDENTIALS_ENCRYPTION_KEYS     - comma separated `keyId:key` pairs
+ *   CREDENTIALS_ENCRYPTION_KEYFILE  - JSON file: { "activeKeyId": "...", "keys": { "<keyId>": "<key>" } }
+ * CREDENTIALS_ENCRYPTION_ACTIVE_KEY picks the key new values are encrypted with
+ * (defaults to the keyfile's activeKeyId, or the last key listed in the env).
+ *
+ * Stored format: enc:v1:<keyId>:<wrapped data key>:<payload>
+ */
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let cachedKeyring = null;
+
+const decodeKey = (keyId, value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Encryption key '${keyId}' must be 32 bytes (base64 or hex encoded)`);
+  }
+  return key;
+};
+
+/**
+ * Load the master keys from the environment or the keyfile
+ */
+const loadKeyring = () => {
+  const keys = new Map();
+  let activeKeyId = null;
+
+  if (process.env.CREDENTIALS_ENCRYPTION_KEYFILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.CREDENTIALS_ENCRYPTION_KEYFILE, 'utf8'));
+    Object.entries(file.keys || {}).forEach(([keyId, value]) => {
+      keys.set(keyId, decodeKey(keyId, value));
+    });
+    activeKeyId = file.activeKeyId || null;
+  }
+
+  (process.env.CREDENTIALS_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator < 1) {
+        throw new Error('CREDENTIALS_ENCRYPTION_KEYS entries must look like keyId:key');
+      }
+      const keyId = entry.slice(0, separator);
+      keys.set(keyId, decodeKey(keyId, entry.slice(separator + 1)));
+      if (!process.env.CREDENTIALS_ENCRYPTION_KEYFILE) {
+        activeKeyId = keyId;
+      }
+    });
+
+  activeKeyId = process.env.CREDENTIALS_ENCRYPTION_ACTIVE_KEY || activeKeyId;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`Active encryption key '${activeKeyId}' is not configured`);
+  }
+
+  return { keys, activeKeyId };
+};
+
+const getKeyring = () => {
+  if (!cachedKeyring) {
+    cachedKeyring = loadKeyring();
+  }
+  return cachedKeyring;
+};
+
+const getActiveKey = () => {
+  const { keys, activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error(
+      'No encryption key configured. Set CREDENTIALS_ENCRYPTION_KEYS or CREDENTIALS_ENCRYPTION_KEYFILE'
+    );
+  }
+  return { keyId: activeKeyId, key: keys.get(activeKeyId) };
+};
+
+const getKey = (keyId) => {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key '${keyId}' is not configured`);
+  }
+  return key;
+};
+
+/**
+ * AES-256-GCM, returns iv.ciphertext.tag (base64url)
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, ciphertext, cipher.getAuthTag()].map((part) => part.toString('base64url')).join('.');
+};
+
+const open = (key, sealed) => {
+  const [iv, ciphertext, tag] = sealed.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const parse = (value) => {
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  if (!keyId || !wrappedKey || !payload) {
+    throw new Error('Malformed encrypted value');
+  }
+  return { keyId, wrappedKey, payload };
+};
+
+/**
+ * Whether a stored value is encrypted (older rows may still hold plaintext)
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a value with the active key, null and undefined are stored as null
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const { keyId, key } = getActiveKey();
+  const dataKey = crypto.randomBytes(32);
+
+  return `${PREFIX}${keyId}:${seal(key, dataKey)}:${seal(dataKey, Buffer.from(String(value)))}`;
+};
+
+/**
+ * Decrypt a stored value, plaintext values are returned unchanged
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  const dataKey = open(getKey(keyId), wrappedKey);
+
+  return open(dataKey, payload).toString('utf8');
+};
+
+/**
+ * Bring a stored value onto the active key
+ * Plaintext is encrypted, values under an older key get their data key re-wrapped
+ * @returns {string|null} the new value, or null when nothing needs to change
+ */
+const reencrypt = (value) => {
+  if (value === null || value === undefined) return null;
+  if (!isEncrypted(value)) return encrypt(value);
+
+  const { keyId: activeKeyId, key: activeKey } = getActiveKey();
+  const { keyId, wrappedKey, payload } = parse(value);
+  if (keyId === activeKeyId) return null;
+
+  const dataKey = open(getKey(keyId), wrappedKey);
+  return `${PREFIX}${activeKeyId}:${seal(activeKey, dataKey)}:${payload}`;
+};
+
+module.exports = {
+  isEncrypted,
+  encrypt,
+  decrypt,
+  reencrypt,
+};
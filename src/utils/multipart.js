@@ -0,0 +1,175 @@
+const { AppError } = require('./responseHandler');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+const MAX_FIELD_SIZE = 64 * 1024;
+
+/**
+ * Streaming reader for multipart/form-data request bodies
+ * Parts are read in order: nextPart() returns the next part's headers, partData() its content
+ * as it arrives, so uploads are never held in memory in full
+ *
+ * @example
+ * const reader = new MultipartReader(req, { maxBytes });
+ * let part;
+ * while ((part = await reader.nextPart())) {
+ *   for await (const chunk of reader.partData()) { ... }
+ * }
+ */
+class MultipartReader {
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {{maxBytes?: number}} options - largest body accepted (413 beyond it)
+   */
+  constructor(req, { maxBytes = Infinity } = {}) {
+    const match = /^multipart\/form-data\s*;.*boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(
+      req.headers['content-type'] || ''
+    );
+    if (!match) {
+      throw new AppError('Expected a multipart/form-data upload', 415);
+    }
+
+    this.iterator = req[Symbol.asyncIterator]();
+    this.delimiter = Buffer.from(`\r\n--${match[1] || match[2]}`);
+    this.maxBytes = maxBytes;
+    this.bytesRead = 0;
+    // The first delimiter isn't preceded by a line break, add one so every delimiter looks alike
+    this.buffer = CRLF;
+    this.started = false;
+    this.finished = false;
+    this.inPart = false;
+  }
+
+  /**
+   * Read the next chunk of the body into the buffer
+   * @throws {AppError} 400 when the body ends before the closing delimiter
+   */
+  async fill() {
+    const { value, done } = await this.iterator.next();
+    if (done) {
+      throw new AppError('Unexpected end of multipart upload', 400);
+    }
+
+    this.bytesRead += value.length;
+    if (this.bytesRead > this.maxBytes) {
+      throw new AppError(`Upload is larger than ${this.maxBytes} bytes`, 413);
+    }
+    this.buffer = Buffer.concat([this.buffer, value]);
+  }
+
+  /**
+   * Move to the next part, skipping whatever is left of the current one
+   * @returns {Promise<{name: string, filename: string|null, contentType: string|null}|null>}
+   *   null after the last part
+   */
+  async nextPart() {
+    if (this.finished) {
+      return null;
+    }
+
+    if (this.inPart) {
+      const rest = this.partData();
+      while (!(await rest.next()).done);
+    }
+
+    if (!this.started) {
+      let index;
+      while ((index = this.buffer.indexOf(this.delimiter)) === -1) {
+        // Keep enough of the preamble to find a delimiter split across chunks
+        this.buffer = this.buffer.subarray(Math.max(this.buffer.length - this.delimiter.length, 0));
+        await this.fill();
+      }
+      this.buffer = this.buffer.subarray(index + this.delimiter.length);
+      this.started = true;
+    }
+
+    while (this.buffer.length < 2) {
+      await this.fill();
+    }
+    if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+      this.finished = true;
+      return null;
+    }
+
+    let end;
+    while ((end = this.buffer.indexOf(HEADER_END)) === -1) {
+      if (this.buffer.length > MAX_HEADER_SIZE) {
+        throw new AppError('Multipart part headers are too large', 400);
+      }
+      await this.fill();
+    }
+
+    const headers = {};
+    this.buffer
+      .subarray(0, end)
+      .toString('utf8')
+      .split('\r\n')
+      .forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+      });
+    this.buffer = this.buffer.subarray(end + HEADER_END.length);
+    this.inPart = true;
+
+    const disposition = headers['content-disposition'] || '';
+    const param = (key) => {
+      const found = new RegExp(`;\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition);
+      return found ? found[1].replace(/\\(.)/g, '$1') : null;
+    };
+
+    return {
+      name: param('name'),
+      filename: param('filename'),
+      contentType: headers['content-type'] || null,
+    };
+  }
+
+  /**
+   * Content of the current part, chunk by chunk
+   * @returns {AsyncGenerator<Buffer>}
+   */
+  async *partData() {
+    while (this.inPart) {
+      const index = this.buffer.indexOf(this.delimiter);
+      if (index !== -1) {
+        const chunk = this.buffer.subarray(0, index);
+        this.buffer = this.buffer.subarray(index + this.delimiter.length);
+        this.inPart = false;
+        if (chunk.length > 0) yield chunk;
+        return;
+      }
+
+      // Hold back what could be the start of a delimiter split across chunks
+      const safe = this.buffer.length - this.delimiter.length + 1;
+      if (safe > 0) {
+        const chunk = this.buffer.subarray(0, safe);
+        this.buffer = this.buffer.subarray(safe);
+        yield chunk;
+      }
+      await this.fill();
+    }
+  }
+
+  /**
+   * Content of the current part as text, for form fields
+   */
+  async readField() {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of this.partData()) {
+      size += chunk.length;
+      if (size > MAX_FIELD_SIZE) {
+        throw new AppError(`Form fields can be at most ${MAX_FIELD_SIZE} bytes`, 400);
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+  }
+}
+
+module.exports = MultipartReader;
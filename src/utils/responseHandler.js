@@ -3,12 +3,16 @@ const logger = require('../config/logger');
 /**
  * Custom error handler class for API errors
  * Extends the built-in Error class with additional properties
+ * `code` is a machine readable reason (e.g. 'ACCOUNT_LOCKED') and `details` any data that goes
+ * with it, both are included in the response
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code = null, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.code = code;
+    this.details = details;
     this.isOperational = true; // Operational errors are expected errors
 
     Error.captureStackTrace(this, this.constructor);
@@ -54,9 +58,16 @@ const globalErrorHandler = (err, req, res, next) => {
   // If the error is not operational, hide details in production
   const message = err.isOperational ? err.message : 'Something went very wrong!';
 
+  // Tell clients that were throttled or locked out when to come back
+  if (err.isOperational && err.details && err.details.retryAfter) {
+    res.set('Retry-After', String(err.details.retryAfter));
+  }
+
   res.status(statusCode).json({
     status,
     message,
+    ...(err.isOperational && err.code && { code: err.code }),
+    ...(err.isOperational && err.details && { details: err.details }),
     ...(isDev && { stack: err.stack }),
   });
 };
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signatures for values embedded in public URLs (tracking links, unsubscribe links)
+ * Uses TRACKING_SECRET, falling back to JWT_SECRET
+ */
+const getSecret = () => {
+  const secret = process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TRACKING_SECRET or JWT_SECRET must be set to sign URLs');
+  }
+  return secret;
+};
+
+/**
+ * Sign a value, returns a URL-safe signature
+ */
+const sign = (value) => {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+};
+
+/**
+ * Check a signature in constant time
+ */
+const verify = (value, signature) => {
+  if (typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(sign(value));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  sign,
+  verify,
+};
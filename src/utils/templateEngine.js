@@ -0,0 +1,431 @@
+const { getTimeZoneOffset, isValidTimeZone } = require('./timezone');
+
+/**
+ * Mustache/Handlebars style templates for email content
+ *
+ *   {{ user.first_name }}              value at a dot-path, HTML-escaped when rendering HTML
+ *   {{{ signature_html }}}             the same without escaping
+ *   {{ name | default: "there" }}      filters, chained with |, arguments after a colon
+ *   {{#if paid}}...{{else}}...{{/if}}  also {{#unless}}
+ *   {{#each items}}{{ this.name }}{{ @index }}{{/each}}
+ *                                      @index, @first, @last and @key inside loops, an {{else}}
+ *                                      branch renders for empty lists
+ *   {{> footer}}                       a partial, rendered with the current data
+ *   {{! a comment }}
+ *
+ * Names not found in the current loop item are looked up in the enclosing ones and then the
+ * top-level data.
+ */
+
+/**
+ * Error in a template: bad syntax, an unknown filter or partial, or missing variables in strict mode
+ */
+class TemplateError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = 'TEMPLATE_ERROR';
+    this.missing = missing;
+  }
+}
+
+const TAG_REGEX = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+const MAX_PARTIAL_DEPTH = 10;
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format a date with YYYY, MMMM (month name), MMM, MM, DD, HH, mm and ss in a time zone
+ */
+const formatDate = (value, format = 'YYYY-MM-DD', timeZone = 'UTC') => {
+  if (value === undefined || value === null || value === '') return '';
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return toText(value);
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new TemplateError(`Unknown time zone "${timeZone}" in the date filter`);
+  }
+
+  const local = new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: local.getUTCFullYear(),
+    MMMM: MONTHS[local.getUTCMonth()],
+    MMM: MONTHS[local.getUTCMonth()].slice(0, 3),
+    MM: pad(local.getUTCMonth() + 1),
+    DD: pad(local.getUTCDate()),
+    HH: pad(local.getUTCHours()),
+    mm: pad(local.getUTCMinutes()),
+    ss: pad(local.getUTCSeconds()),
+  };
+
+  return String(format).replace(/YYYY|MMMM|MMM|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => toText(value).trim(),
+  default: (value, fallback = '') =>
+    value === undefined || value === null || value === '' ? fallback : value,
+  truncate: (value, length = 50, ending = '...') => {
+    const text = toText(value);
+    return text.length > length ? text.slice(0, length) + ending : text;
+  },
+  join: (value, separator = ', ') =>
+    Array.isArray(value) ? value.map(toText).join(separator) : value,
+  date: formatDate,
+};
+
+/**
+ * Split on `separator` where it isn't inside a quoted string
+ */
+const splitOutsideQuotes = (source, separator) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  return parts;
+};
+
+const parseArgument = (source) => {
+  if (/^(["'])[\s\S]*\1$/.test(source)) {
+    return { literal: source.slice(1, -1) };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(source)) {
+    return { literal: Number(source) };
+  }
+
+  const path = source.split('.').map((segment) => segment.trim());
+  if (path.some((segment) => !segment)) {
+    throw new TemplateError(`Invalid variable name "${source}"`);
+  }
+
+  return { path };
+};
+
+const parseExpression = (source) => {
+  const [value, ...filters] = splitOutsideQuotes(source, '|');
+  if (!value) {
+    throw new TemplateError(`Empty expression in {{${source}}}`);
+  }
+
+  return {
+    source: value,
+    value: parseArgument(value),
+    filters: filters.map((filter) => {
+      const colon = filter.indexOf(':');
+      const name = (colon === -1 ? filter : filter.slice(0, colon)).trim();
+      if (!FILTERS[name]) {
+        throw new TemplateError(
+          `Unknown filter "${name}" (available: ${Object.keys(FILTERS).join(', ')})`
+        );
+      }
+
+      const args = colon === -1 ? [] : splitOutsideQuotes(filter.slice(colon + 1), ',');
+      return { name, args: args.map(parseArgument) };
+    }),
+  };
+};
+
+/**
+ * Parse a template into a tree of text, output, block and partial nodes
+ */
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const addText = (text) => {
+    if (text) {
+      const block = stack[stack.length - 1];
+      (block.inverse || block.children).push({ type: 'text', value: text });
+    }
+  };
+
+  for (const match of source.matchAll(TAG_REGEX)) {
+    addText(source.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const block = stack[stack.length - 1];
+    const nodes = block.inverse || block.children;
+
+    if (match[1] !== undefined) {
+      nodes.push({ type: 'output', expression: parseExpression(match[1]), raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag.startsWith('#')) {
+      const [, name, argument] = tag.match(/^#\s*(\w+)\s*([\s\S]*)$/) || [];
+      if (!BLOCKS.includes(name)) {
+        throw new TemplateError(`Unknown block {{${tag}}} (use ${BLOCKS.join(', ')})`);
+      }
+      if (!argument) {
+        throw new TemplateError(`{{#${name}}} needs a value`);
+      }
+
+      const node = {
+        type: name,
+        expression: parseExpression(argument),
+        children: [],
+        inverse: null,
+      };
+      nodes.push(node);
+      stack.push(node);
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      if (stack.length === 1 || block.type !== name) {
+        throw new TemplateError(`Unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (tag === 'else') {
+      if (stack.length === 1 || block.inverse) {
+        throw new TemplateError('Unexpected {{else}}');
+      }
+      block.inverse = [];
+    } else if (tag.startsWith('>')) {
+      nodes.push({ type: 'partial', name: tag.slice(1).trim() });
+    } else {
+      nodes.push({ type: 'output', expression: parseExpression(tag), raw: false });
+    }
+  }
+  addText(source.slice(last));
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Missing {{/${stack[stack.length - 1].type}}}`);
+  }
+
+  return root.children;
+};
+
+// Campaigns render the same content for every recipient, keep the parsed trees around
+const parseCache = new Map();
+const PARSE_CACHE_SIZE = 200;
+
+const parseCached = (source) => {
+  let nodes = parseCache.get(source);
+  if (!nodes) {
+    nodes = parse(source);
+    if (parseCache.size >= PARSE_CACHE_SIZE) {
+      parseCache.clear();
+    }
+    parseCache.set(source, nodes);
+  }
+
+  return nodes;
+};
+
+/**
+ * Look a path up in the innermost loop item that has it, then the outer ones
+ */
+const resolvePath = (path, frames) => {
+  const [first, ...rest] = path;
+  let value;
+
+  if (first.startsWith('@')) {
+    const frame = [...frames].reverse().find((candidate) => candidate.locals);
+    value = frame ? frame.locals[first.slice(1)] : undefined;
+  } else if (first === 'this') {
+    value = frames[frames.length - 1].data;
+  } else {
+    const frame = [...frames]
+      .reverse()
+      .find(
+        (candidate) =>
+          candidate.data !== null &&
+          typeof candidate.data === 'object' &&
+          Object.prototype.hasOwnProperty.call(candidate.data, first)
+      );
+    value = frame ? frame.data[first] : undefined;
+  }
+
+  for (const segment of rest) {
+    if (value === undefined || value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined;
+  }
+
+  return value;
+};
+
+const resolveArgument = (argument, frames) =>
+  argument.path ? resolvePath(argument.path, frames) : argument.literal;
+
+const evaluate = (expression, frames, state, { required = true } = {}) => {
+  let value = resolveArgument(expression.value, frames);
+
+  const hasDefault = expression.filters.some((filter) => filter.name === 'default');
+  if (required && value === undefined && expression.value.path && !hasDefault) {
+    state.missing.add(expression.source);
+  }
+
+  for (const filter of expression.filters) {
+    value = FILTERS[filter.name](value, ...filter.args.map((arg) => resolveArgument(arg, frames)));
+  }
+
+  return value;
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, frames, state) =>
+  nodes.map((node) => renderNode(node, frames, state)).join('');
+
+const renderNode = (node, frames, state) => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+
+    case 'output': {
+      const text = toText(evaluate(node.expression, frames, state));
+      return state.escape && !node.raw ? escapeHtml(text) : text;
+    }
+
+    case 'if':
+    case 'unless': {
+      const value = isTruthy(evaluate(node.expression, frames, state, { required: false }));
+      const branch = value === (node.type === 'if') ? node.children : node.inverse;
+      return branch ? renderNodes(branch, frames, state) : '';
+    }
+
+    case 'each': {
+      const value = evaluate(node.expression, frames, state);
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : value !== null && typeof value === 'object'
+          ? Object.entries(value)
+          : [];
+
+      if (entries.length === 0) {
+        return node.inverse ? renderNodes(node.inverse, frames, state) : '';
+      }
+
+      return entries
+        .map(([key, item], index) =>
+          renderNodes(
+            node.children,
+            [
+              ...frames,
+              {
+                data: item,
+                locals: { index, key, first: index === 0, last: index === entries.length - 1 },
+              },
+            ],
+            state
+          )
+        )
+        .join('');
+    }
+
+    case 'partial': {
+      if (!Object.prototype.hasOwnProperty.call(state.partials, node.name)) {
+        throw new TemplateError(`Unknown partial "${node.name}"`);
+      }
+      if (state.depth >= MAX_PARTIAL_DEPTH) {
+        throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep`);
+      }
+
+      state.depth++;
+      const output = renderNodes(parseCached(state.partials[node.name]), frames, state);
+      state.depth--;
+      return output;
+    }
+
+    default:
+      return '';
+  }
+};
+
+/**
+ * Render a template against `data`
+ * @param {string} source
+ * @param {object} data
+ * @param {object} [options]
+ * @param {boolean} [options.escape=false] - HTML-escape {{ }} output ({{{ }}} never is)
+ * @param {boolean} [options.strict=false] - throw when a variable without a default is missing,
+ *   otherwise missing variables render as empty text
+ * @param {Object<string, string>} [options.partials] - partial templates by name
+ * @returns {string}
+ */
+const render = (source, data = {}, { escape = false, strict = false, partials = {} } = {}) => {
+  if (source === undefined || source === null) return source;
+
+  const state = { escape, partials, missing: new Set(), depth: 0 };
+  const output = renderNodes(parseCached(String(source)), [{ data, locals: null }], state);
+
+  if (strict && state.missing.size > 0) {
+    const missing = [...state.missing];
+    throw new TemplateError(`Missing template variables: ${missing.join(', ')}`, missing);
+  }
+
+  return output;
+};
+
+/**
+ * Check a template's syntax without rendering it
+ * @throws {TemplateError}
+ */
+const validate = (source) => {
+  parse(String(source));
+};
+
+module.exports = {
+  TemplateError,
+  FILTERS,
+  render,
+  validate,
+};
@@ -0,0 +1,102 @@
+const { AppError } = require('./responseHandler');
+
+// ISO timestamps that carry their own offset, e.g. 2025-01-01T09:00:00Z or ...+05:30
+const OFFSET_REGEX = /(Z|[+-]\d{2}:?\d{2})$/i;
+// Wall-clock timestamps without an offset, e.g. 2025-01-01T09:00 or 2025-01-01 09:00:00
+const LOCAL_REGEX = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?$/;
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset in milliseconds between UTC and the time zone at the given instant
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock time in the given time zone to a UTC Date
+ */
+const zonedTimeToUtc = (match, timeZone) => {
+  const [, year, month, day, hour, minute, second = '0', ms = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms.padEnd(3, '0'));
+
+  // Re-check the offset at the resulting instant so DST transitions resolve correctly
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const adjustedOffset = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+
+  return new Date(wallClock - adjustedOffset);
+};
+
+/**
+ * Parse a requested send time
+ * Timestamps with an offset are used as-is, timestamps without one are read as
+ * wall-clock time in `timeZone` (UTC when omitted)
+ * @returns {Date}
+ */
+const parseSendAt = (sendAt, timeZone = 'UTC') => {
+  if (typeof sendAt !== 'string') {
+    throw new AppError('sendAt must be an ISO 8601 timestamp', 400);
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new AppError(`Unknown time zone: ${timeZone}`, 400);
+  }
+
+  const value = sendAt.trim();
+  const localMatch = value.match(LOCAL_REGEX);
+  let date;
+
+  if (localMatch) {
+    date = zonedTimeToUtc(localMatch, timeZone);
+  } else if (OFFSET_REGEX.test(value)) {
+    date = new Date(value);
+  }
+
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new AppError('sendAt must be an ISO 8601 timestamp', 400);
+  }
+
+  if (date.getTime() <= Date.now()) {
+    throw new AppError('sendAt must be in the future', 400);
+  }
+
+  return date;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  parseSendAt,
+};
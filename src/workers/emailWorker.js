@@ -0,0 +1,325 @@
+const logger = require('../config/logger');
+const db = require('../config/database');
+const queueService = require('../services/queueService');
+const campaignService = require('../services/campaignService');
+const emailService = require('../services/emailService');
+const retryService = require('../services/retryService');
+const suppressionService = require('../services/suppressionService');
+const quotaService = require('../services/quotaService');
+const rotationService = require('../services/rotationService');
+const templateService = require('../services/templateService');
+const { TemplateError } = require('../utils/templateEngine');
+const { getCredentialsForSender } = require('../services/credentialService');
+
+/**
+ * In-process worker that drains the email_queue table
+ *
+ * Settings (env):
+ *   EMAIL_QUEUE_CONCURRENCY       - jobs sent in parallel (default 5)
+ *   EMAIL_QUEUE_POLL_INTERVAL_MS  - wait between polls when the queue is empty (default 1000)
+ *   EMAIL_QUEUE_LEASE_TIMEOUT_MS  - how long a claimed job stays invisible to other
+ *                                   claims before it is retried (default 300000)
+ */
+const config = {
+  concurrency: parseInt(process.env.EMAIL_QUEUE_CONCURRENCY, 10) || 5,
+  pollIntervalMs: parseInt(process.env.EMAIL_QUEUE_POLL_INTERVAL_MS, 10) || 1000,
+  leaseTimeoutMs: parseInt(process.env.EMAIL_QUEUE_LEASE_TIMEOUT_MS, 10) || 5 * 60 * 1000,
+};
+
+let running = false;
+let pollTimer = null;
+let polling = false;
+const activeJobs = new Set();
+
+/**
+ * Build the email template used by sendToRecipient from a campaign row
+ */
+const campaignToTemplate = (campaign) => ({
+  subject: campaign.subject || campaign.name,
+  text: campaign.text_content,
+  html: campaign.html_content,
+  attachments: campaign.attachments ? JSON.parse(campaign.attachments) : undefined,
+  enableTracking: Boolean(campaign.enable_tracking),
+  trackClicks: Boolean(campaign.track_clicks),
+  includeUnsubscribe: Boolean(campaign.include_unsubscribe),
+  templateId: campaign.template_id,
+  strictVariables: Boolean(campaign.strict_variables),
+});
+
+/**
+ * Count a job's recipients against the credential's quotas
+ * When a quota is used up the job waits in the queue until it resets
+ * @returns {Promise<object|null>} the reservation when the job may be sent now
+ */
+const reserveQuota = async (job, credentials, count) => {
+  const quota = await quotaService.reserve(credentials, count);
+  if (quota.allowed) {
+    return quota;
+  }
+
+  const error = quotaService.quotaExceededError(credentials, quota);
+  // Nothing to wait for when the send is bigger than the quota itself
+  if (quota.exceedsLimit) {
+    throw error;
+  }
+
+  await queueService.deferJob(job, quota.resetAt, error.message);
+  return null;
+};
+
+/**
+ * Send a campaign job with the campaign's credentials, in the order its rotation strategy picks
+ * Credentials that are gone, over quota or fail to send are skipped for the next one
+ * @returns {Promise<object|null>} the send result with the `credentialId` used, or null when
+ *   every credential is over quota and the job was deferred
+ */
+const sendCampaignJob = async (job, campaign) => {
+  const pool = campaign.sender_pool
+    ? JSON.parse(campaign.sender_pool)
+    : [{ id: job.credential_id, weight: 1 }];
+  const credentialIds = await rotationService.orderSenders(pool, campaign.rotation_strategy, job);
+
+  // Nothing to rotate through (an empty sender pool) fails the job rather than leaving it leased
+  if (credentialIds.length === 0) {
+    throw new Error('Campaign has no email credentials to send with');
+  }
+
+  const template = {
+    ...campaignToTemplate(campaign),
+    partials: await templateService.getPartials({
+      userId: campaign.user_id,
+      organizationId: campaign.organization_id,
+    }),
+  };
+
+  let sendError = null;
+  let resumeAt = null;
+  let deferReason = null;
+
+  for (const credentialId of credentialIds) {
+    const credentials = await getCredentialsForSender(credentialId, job.user_id);
+    if (!credentials) {
+      continue;
+    }
+
+    const quota = await quotaService.reserve(credentials, 1);
+    if (!quota.allowed) {
+      if (!resumeAt || quota.resetAt < resumeAt) {
+        resumeAt = quota.resetAt;
+        deferReason = quotaService.quotaExceededError(credentials, quota).message;
+      }
+      continue;
+    }
+
+    try {
+      const result = await emailService.sendToRecipient(
+        credentials,
+        job.recipient_data,
+        template,
+        job.campaign_id
+      );
+      return { ...result, credentialId: credentials.id };
+    } catch (error) {
+      // Only sent emails count against the quota, the next credential or retry is counted anew
+      await quotaService.release(credentials, 1, quota.reservedAt);
+
+      // Content that can't be rendered fails the same with every credential
+      if (error instanceof TemplateError) {
+        throw error;
+      }
+      if (credentialIds.length > 1) {
+        logger.warn(
+          `Sending to ${job.recipient} with ${credentials.email} failed: ${error.message}`
+        );
+      }
+      sendError = error;
+    }
+  }
+
+  // A failed send is retried as usual, the next attempt goes through the rotation again
+  if (sendError) {
+    throw sendError;
+  }
+
+  // Every credential left is over quota, wait for the first one to reset
+  if (resumeAt) {
+    await queueService.deferJob(job, resumeAt, deferReason);
+    return null;
+  }
+
+  // Every credential is gone
+  throw new Error('Email credentials not found');
+};
+
+/**
+ * Send the email for a single leased job
+ */
+const processJob = async (job) => {
+  let outcome = 'failed';
+
+  try {
+    let result;
+    if (job.campaign_id) {
+      const campaigns = await db.query(`SELECT * FROM email_campaigns WHERE id = ?`, [
+        job.campaign_id,
+      ]);
+      if (campaigns.length === 0) {
+        throw new Error('Campaign not found');
+      }
+
+      // Pausing or cancelling a campaign takes effect before its next recipient
+      if (['paused', 'cancelled'].includes(campaigns[0].status)) {
+        await queueService.stopJob(job, campaigns[0].status);
+        return;
+      }
+
+      // The recipient may have unsubscribed from the campaign's workspace since it was queued
+      const scope = { userId: campaigns[0].user_id, organizationId: campaigns[0].organization_id };
+      if (await suppressionService.isSuppressed(scope, job.recipient)) {
+        await queueService.suppressJob(job);
+        await queueService.recordCampaignProgress(job.campaign_id, 'suppressed');
+        return;
+      }
+
+      result = await sendCampaignJob(job, campaigns[0]);
+      if (!result) {
+        return;
+      }
+    } else {
+      const credentials = await getCredentialsForSender(job.credential_id, job.user_id);
+      if (!credentials) {
+        throw new Error('Email credentials not found');
+      }
+
+      // Suppressions of the workspace the credential belongs to
+      const { to, cc, bcc } = await suppressionService.filterMessageRecipients(
+        { userId: job.user_id, organizationId: credentials.organizationId },
+        job.message
+      );
+      if (to.length === 0) {
+        await queueService.suppressJob(job);
+        return;
+      }
+
+      const count = to.length + cc.length + bcc.length;
+      const quota = await reserveQuota(job, credentials, count);
+      if (!quota) {
+        return;
+      }
+
+      try {
+        result = await emailService.sendEmail(credentials, { ...job.message, to, cc, bcc });
+      } catch (error) {
+        await quotaService.release(credentials, count, quota.reservedAt);
+        throw error;
+      }
+    }
+
+    await queueService.completeJob(job, result);
+    outcome = 'sent';
+  } catch (error) {
+    logger.error(`Error sending to ${job.recipient}: ${error.message}`);
+
+    // Transient failures go back on the queue until the user's retry limit is used up
+    const { transient } = retryService.classifySendError(error);
+    const maxRetries = await retryService.getMaxRetries(job.user_id);
+
+    if (transient && job.attempts <= maxRetries) {
+      const retryAt = await queueService.retryJob(
+        job,
+        error,
+        retryService.getRetryDelay(job.attempts)
+      );
+      logger.info(`Retrying email job ${job.id} at ${retryAt} (attempt ${job.attempts})`);
+      return;
+    }
+
+    await queueService.failJob(job, error);
+    await retryService.recordDeadLetter({
+      userId: job.user_id,
+      jobId: job.id,
+      campaignId: job.campaign_id,
+      credentialId: job.credential_id,
+      recipient: job.recipient,
+      recipientData: job.campaign_id ? job.recipient_data : null,
+      message: job.message,
+      error,
+      attempts: job.attempts,
+    });
+  }
+
+  if (job.campaign_id) {
+    await queueService.recordCampaignProgress(job.campaign_id, outcome);
+  }
+};
+
+/**
+ * Claim as many jobs as there are free slots and process them
+ */
+const poll = async () => {
+  if (!running || polling) return;
+  polling = true;
+
+  let claimed = 0;
+
+  try {
+    const freeSlots = config.concurrency - activeJobs.size;
+
+    if (freeSlots > 0) {
+      const jobs = await queueService.claimJobs(freeSlots, config.leaseTimeoutMs);
+      claimed = jobs.length;
+
+      jobs.forEach((job) => {
+        const task = processJob(job)
+          .catch((error) => logger.error(`Email job ${job.id} crashed: ${error.message}`))
+          .finally(() => {
+            activeJobs.delete(task);
+            schedulePoll(0);
+          });
+        activeJobs.add(task);
+      });
+    }
+  } catch (error) {
+    logger.error(`Email queue poll failed: ${error.message}`);
+  } finally {
+    polling = false;
+  }
+
+  // Keep draining while there is work, otherwise back off until the next interval
+  schedulePoll(claimed > 0 ? 0 : config.pollIntervalMs);
+};
+
+const schedulePoll = (delay) => {
+  if (!running) return;
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(poll, delay);
+};
+
+/**
+ * Start the worker, resuming any jobs and campaign launches left unfinished by a previous run
+ */
+const start = async () => {
+  if (running) return;
+
+  await queueService.releaseOrphanedJobs();
+  await campaignService.releaseInterruptedLaunches();
+
+  running = true;
+  schedulePoll(0);
+  logger.info(`Email queue worker started (concurrency: ${config.concurrency})`);
+};
+
+/**
+ * Stop polling and wait for in-flight jobs to finish
+ */
+const stop = async () => {
+  running = false;
+  clearTimeout(pollTimer);
+  await Promise.allSettled([...activeJobs]);
+  logger.info('Email queue worker stopped');
+};
+
+module.exports = {
+  start,
+  stop,
+};
@@ -0,0 +1,49 @@
+const logger = require('../config/logger');
+const scheduleService = require('../services/scheduleService');
+
+/**
+ * In-process loop that releases scheduled campaigns and emails to the send queue once due
+ *
+ * Settings (env):
+ *   SCHEDULER_INTERVAL_MS - how often due items are checked (default 10000)
+ */
+const config = {
+  intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 10 * 1000,
+};
+
+let running = false;
+let timer = null;
+
+const tick = async () => {
+  try {
+    await scheduleService.dispatchDue();
+  } catch (error) {
+    logger.error(`Scheduler tick failed: ${error.message}`);
+  }
+
+  if (running) {
+    timer = setTimeout(tick, config.intervalMs);
+  }
+};
+
+/**
+ * Start the scheduler, items that came due while the server was down are dispatched right away
+ */
+const start = async () => {
+  if (running) return;
+
+  running = true;
+  await tick();
+  logger.info(`Scheduler started (interval: ${config.intervalMs}ms)`);
+};
+
+const stop = () => {
+  running = false;
+  clearTimeout(timer);
+  logger.info('Scheduler stopped');
+};
+
+module.exports = {
+  start,
+  stop,
+};
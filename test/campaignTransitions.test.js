@@ -0,0 +1,58 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const { TRANSITIONS, assertTransition } = require('../src/services/campaignService');
+
+const STATUSES = [
+  'draft',
+  'launching',
+  'scheduled',
+  'in_progress',
+  'paused',
+  'completed',
+  'cancelled',
+];
+
+// Statuses each action is allowed from
+const ALLOWED = {
+  edit: ['draft'],
+  launch: ['draft'],
+  pause: ['in_progress'],
+  resume: ['paused'],
+  cancel: ['draft', 'scheduled', 'in_progress', 'paused'],
+};
+
+describe('campaign transitions', () => {
+  after(() => db.close());
+
+  it('lists the statuses every action is allowed from', () => {
+    assert.deepEqual(TRANSITIONS, ALLOWED);
+  });
+
+  for (const [action, allowed] of Object.entries(ALLOWED)) {
+    it(`allows ${action} only from ${allowed.join(', ')}`, () => {
+      for (const status of STATUSES) {
+        if (allowed.includes(status)) {
+          assert.doesNotThrow(() => assertTransition({ status }, action));
+        } else {
+          assert.throws(
+            () => assertTransition({ status }, action),
+            (error) => {
+              assert.equal(error.statusCode, 409);
+              assert.equal(error.code, 'INVALID_CAMPAIGN_STATE');
+              assert.deepEqual(error.details.allowedFrom, allowed);
+              return true;
+            }
+          );
+        }
+      }
+    });
+  }
+
+  it('never leaves completed or cancelled campaigns', () => {
+    for (const action of Object.keys(TRANSITIONS)) {
+      assert.throws(() => assertTransition({ status: 'completed' }, action));
+      assert.throws(() => assertTransition({ status: 'cancelled' }, action));
+    }
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, formatCell, formatRow } = require('../src/utils/csv');
+
+// Collect the records parsed from the given chunks
+const parseAll = async (...chunks) => {
+  const records = [];
+  for await (const record of parse(chunks)) {
+    records.push(record);
+  }
+  return records;
+};
+
+describe('csv.parse', () => {
+  it('splits records on CRLF or LF and skips blank lines', async () => {
+    assert.deepEqual(await parseAll('a,b\r\n1,2\n\n3,\r\n'), [
+      ['a', 'b'],
+      ['1', '2'],
+      ['3', ''],
+    ]);
+  });
+
+  it('parses the last record without a line end', async () => {
+    assert.deepEqual(await parseAll('a,b\n1,2'), [
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('reads quoted cells with commas, line breaks and escaped quotes', async () => {
+    assert.deepEqual(await parseAll('"a, b","line\r\nbreak","say ""hi"""\n'), [
+      ['a, b', 'line\r\nbreak', 'say "hi"'],
+    ]);
+  });
+
+  it('handles records, quotes, CRLF and multi-byte characters split across chunks', async () => {
+    const text = Buffer.from('name,city\r\n"Zoë ""Z""",Zürich\r\n');
+    const chunks = [...text].map((byte) => Buffer.from([byte]));
+
+    assert.deepEqual(await parseAll(...chunks), [
+      ['name', 'city'],
+      ['Zoë "Z"', 'Zürich'],
+    ]);
+  });
+
+  it('drops a leading byte order mark', async () => {
+    assert.deepEqual(await parseAll(Buffer.from('﻿email\nx@y.io\n')), [['email'], ['x@y.io']]);
+  });
+
+  it('rejects a file that ends inside a quoted cell', async () => {
+    await assert.rejects(parseAll('a,"open\n'), {
+      statusCode: 400,
+      message: /inside a quoted cell/,
+    });
+  });
+
+  it('rejects cells longer than 64 KiB', async () => {
+    await assert.rejects(parseAll('x'.repeat(64 * 1024 + 1)), { statusCode: 400 });
+  });
+});
+
+describe('csv.formatCell', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(formatCell('plain'), 'plain');
+    assert.equal(formatCell('a,b'), '"a,b"');
+    assert.equal(formatCell('say "hi"'), '"say ""hi"""');
+    assert.equal(formatCell('two\nlines'), '"two\nlines"');
+  });
+
+  it('formats empty values, numbers and dates', () => {
+    assert.equal(formatCell(null), '');
+    assert.equal(formatCell(undefined), '');
+    assert.equal(formatCell(-5), '-5');
+    assert.equal(formatCell(new Date('2024-01-02T03:04:05Z')), '2024-01-02T03:04:05.000Z');
+  });
+
+  it('defuses text a spreadsheet would run as a formula', () => {
+    assert.equal(formatCell('=SUM(A1)'), "'=SUM(A1)");
+    assert.equal(formatCell('+1'), "'+1");
+    assert.equal(formatCell('@cmd'), "'@cmd");
+    assert.equal(formatCell('-2,3'), `"'-2,3"`);
+  });
+});
+
+describe('csv.formatRow', () => {
+  it('joins cells and ends the record with CRLF', () => {
+    assert.equal(formatRow(['a', 'b,c', null]), 'a,"b,c",\r\n');
+  });
+
+  it('round-trips through parse', async () => {
+    const rows = [
+      ['email', 'note'],
+      ['x@y.io', 'multi\nline, "quoted"'],
+    ];
+
+    assert.deepEqual(await parseAll(rows.map(formatRow).join('')), rows);
+  });
+});
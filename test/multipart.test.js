@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const MultipartReader = require('../src/utils/multipart');
+
+const BOUNDARY = 'XyZ123';
+
+const body = [
+  'preamble\r\n',
+  `--${BOUNDARY}\r\n`,
+  'Content-Disposition: form-data; name="listId"\r\n\r\n',
+  'list-1\r\n',
+  `--${BOUNDARY}\r\n`,
+  'Content-Disposition: form-data; name="file"; filename="con\\"tacts.csv"\r\n',
+  'Content-Type: text/csv\r\n\r\n',
+  'email\r\nx@y.io\r\n',
+  `\r\n--${BOUNDARY}--\r\n`,
+].join('');
+
+// A request whose body arrives in chunks of `size` bytes
+const request = (content, { size = content.length, contentType } = {}) => {
+  const buffer = Buffer.from(content);
+  const chunks = [];
+  for (let start = 0; start < buffer.length; start += size) {
+    chunks.push(buffer.subarray(start, start + size));
+  }
+
+  return Object.assign(Readable.from(chunks), {
+    headers: { 'content-type': contentType || `multipart/form-data; boundary=${BOUNDARY}` },
+  });
+};
+
+// Read every part as text
+const readParts = async (reader) => {
+  const parts = [];
+  let part;
+  while ((part = await reader.nextPart())) {
+    parts.push({ ...part, content: await reader.readField() });
+  }
+  return parts;
+};
+
+const expected = [
+  { name: 'listId', filename: null, contentType: null, content: 'list-1' },
+  {
+    name: 'file',
+    filename: 'con"tacts.csv',
+    contentType: 'text/csv',
+    content: 'email\r\nx@y.io\r\n',
+  },
+];
+
+describe('MultipartReader', () => {
+  it('reads fields and files in order', async () => {
+    assert.deepEqual(await readParts(new MultipartReader(request(body))), expected);
+  });
+
+  it('finds delimiters split across chunks', async () => {
+    for (const size of [1, 3, 7, 16]) {
+      assert.deepEqual(await readParts(new MultipartReader(request(body, { size }))), expected);
+    }
+  });
+
+  it('accepts a quoted boundary', async () => {
+    const req = request(body, { contentType: `multipart/form-data; boundary="${BOUNDARY}"` });
+
+    assert.deepEqual(await readParts(new MultipartReader(req)), expected);
+  });
+
+  it('skips the unread rest of a part', async () => {
+    const reader = new MultipartReader(request(body, { size: 5 }));
+
+    assert.equal((await reader.nextPart()).name, 'listId');
+    assert.equal((await reader.nextPart()).name, 'file');
+    assert.equal(await reader.nextPart(), null);
+  });
+
+  it('rejects other content types with 415', () => {
+    assert.throws(() => new MultipartReader(request('{}', { contentType: 'application/json' })), {
+      statusCode: 415,
+    });
+  });
+
+  it('rejects bodies over maxBytes with 413', async () => {
+    const reader = new MultipartReader(request(body, { size: 10 }), { maxBytes: 50 });
+
+    await assert.rejects(readParts(reader), { statusCode: 413 });
+  });
+
+  it('rejects a body that ends before the closing delimiter', async () => {
+    const reader = new MultipartReader(request(body.slice(0, body.indexOf('x@y.io'))));
+
+    await assert.rejects(readParts(reader), { statusCode: 400, message: /Unexpected end/ });
+  });
+
+  it('limits form fields to 64 KiB', async () => {
+    const big = `--${BOUNDARY}\r\nContent-Disposition: form-data; name="a"\r\n\r\n${'x'.repeat(
+      64 * 1024 + 1
+    )}\r\n--${BOUNDARY}--\r\n`;
+
+    await assert.rejects(readParts(new MultipartReader(request(big))), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { render, validate, TemplateError } = require('../src/utils/templateEngine');
+
+describe('templateEngine.render', () => {
+  it('looks up dot-paths and leaves missing variables empty', () => {
+    assert.equal(
+      render('Hi {{ user.first_name }}{{ nope }}!', { user: { first_name: 'Ada' } }),
+      'Hi Ada!'
+    );
+  });
+
+  it('escapes {{ }} output when rendering HTML but not {{{ }}}', () => {
+    const data = { name: '<b>"Ada"</b>' };
+
+    assert.equal(
+      render('{{ name }} {{{ name }}}', data, { escape: true }),
+      '&lt;b&gt;&quot;Ada&quot;&lt;/b&gt; <b>"Ada"</b>'
+    );
+    assert.equal(render('{{ name }}', data), '<b>"Ada"</b>');
+  });
+
+  it('chains filters with arguments', () => {
+    assert.equal(render('{{ name | default: "there" | upper }}', {}), 'THERE');
+    assert.equal(render('{{ text | truncate: 5, "~" }}', { text: 'abcdefgh' }), 'abcde~');
+    assert.equal(render('{{ tags | join: " / " }}', { tags: ['a', 'b'] }), 'a / b');
+    assert.equal(render('{{ name | trim | capitalize }}', { name: '  ada ' }), 'Ada');
+  });
+
+  it('formats dates in a time zone', () => {
+    const data = { at: '2024-03-05T23:30:00Z' };
+
+    assert.equal(render('{{ at | date: "DD MMM YYYY HH:mm" }}', data), '05 Mar 2024 23:30');
+    assert.equal(
+      render('{{ at | date: "YYYY-MM-DD HH:mm", "Europe/Berlin" }}', data),
+      '2024-03-06 00:30'
+    );
+    assert.throws(() => render('{{ at | date: "YYYY", "Mars/Base" }}', data), TemplateError);
+  });
+
+  it('renders if, unless and their else branches', () => {
+    const template = '{{#if paid}}thanks{{else}}please pay{{/if}}{{#unless paid}}!{{/unless}}';
+
+    assert.equal(render(template, { paid: true }), 'thanks');
+    assert.equal(render(template, { paid: false }), 'please pay!');
+    assert.equal(render('{{#if items}}some{{else}}none{{/if}}', { items: [] }), 'none');
+  });
+
+  it('loops over lists and objects with @index, @first, @last and @key', () => {
+    const list =
+      '{{#each items}}{{#if @first}}[{{/if}}{{ @index }}:{{ this.name }}{{#unless @last}},{{/unless}}{{#if @last}}]{{/if}}{{/each}}';
+
+    assert.equal(render(list, { items: [{ name: 'a' }, { name: 'b' }] }), '[0:a,1:b]');
+    assert.equal(
+      render('{{#each prices}}{{ @key }}={{ this }};{{/each}}', { prices: { a: 1, b: 2 } }),
+      'a=1;b=2;'
+    );
+    assert.equal(render('{{#each items}}x{{else}}empty{{/each}}', { items: [] }), 'empty');
+  });
+
+  it('looks names up in enclosing loop items and the top-level data', () => {
+    const data = { currency: '$', orders: [{ id: 1, lines: [{ price: 5 }] }] };
+
+    assert.equal(
+      render(
+        '{{#each orders}}{{#each lines}}{{ id }}:{{ currency }}{{ price }}{{/each}}{{/each}}',
+        data
+      ),
+      '1:$5'
+    );
+  });
+
+  it('renders partials with the current data', () => {
+    const partials = { footer: 'Bye {{ name }}{{> sign }}', sign: ', the team' };
+
+    assert.equal(
+      render('Hi{{! skipped }}. {{> footer}}', { name: 'Ada' }, { partials }),
+      'Hi. Bye Ada, the team'
+    );
+    assert.throws(() => render('{{> nope}}', {}, { partials }), /Unknown partial "nope"/);
+    assert.throws(
+      () => render('{{> loop}}', {}, { partials: { loop: '{{> loop}}' } }),
+      /nested more than/
+    );
+  });
+
+  it('reports missing variables in strict mode', () => {
+    assert.throws(
+      () => render('{{ a }} {{ b.c }} {{ d | default: "x" }}', { a: 1 }, { strict: true }),
+      (error) => {
+        assert.ok(error instanceof TemplateError);
+        assert.equal(error.code, 'TEMPLATE_ERROR');
+        assert.deepEqual(error.missing, ['b.c']);
+        return true;
+      }
+    );
+  });
+
+  it('passes null and undefined sources through', () => {
+    assert.equal(render(null, {}), null);
+    assert.equal(render(undefined, {}), undefined);
+  });
+});
+
+describe('templateEngine.validate', () => {
+  it('accepts well-formed templates', () => {
+    assert.doesNotThrow(() => validate('{{#each a}}{{#if b}}{{ c | upper }}{{/if}}{{/each}}'));
+  });
+
+  for (const [template, message] of [
+    ['{{#if a}}open', /Missing \{\{\/if\}\}/],
+    ['{{/each}}', /Unexpected \{\{\/each\}\}/],
+    ['{{#if a}}{{/each}}', /Unexpected \{\{\/each\}\}/],
+    ['{{else}}', /Unexpected \{\{else\}\}/],
+    ['{{#with a}}{{/with}}', /Unknown block/],
+    ['{{#if}}{{/if}}', /needs a value/],
+    ['{{ a | shout }}', /Unknown filter "shout"/],
+    ['{{ a..b }}', /Invalid variable name/],
+  ]) {
+    it(`rejects ${template}`, () => {
+      assert.throws(() => validate(template), message);
+    });
+  }
+});
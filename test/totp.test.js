@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('generates the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    assert.equal(totp.generateCode(SECRET, 59 * 1000), '287082');
+    assert.equal(totp.generateCode(SECRET, 1111111109 * 1000), '081804');
+    assert.equal(totp.generateCode(SECRET, 1234567890 * 1000), '005924');
+    assert.equal(totp.generateCode(SECRET, 2000000000 * 1000), '279037');
+  });
+
+  it('reads secrets in lower case, with spaces or padding', () => {
+    const loose = 'gezd gnbv gy3t qojq gezd gnbv gy3t qojq====';
+
+    assert.equal(totp.generateCode(loose, 59 * 1000), '287082');
+    assert.throws(() => totp.generateCode('GEZD1', 0), /Invalid base32/);
+  });
+
+  it('generates 32 character base32 secrets', () => {
+    const secret = totp.generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, totp.generateSecret());
+  });
+
+  it('verifies codes within the drift window and returns their time step', () => {
+    const timeMs = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    assert.equal(totp.verifyCode(SECRET, '081804', { timeMs }), step);
+    assert.equal(totp.verifyCode(SECRET, '081 804', { timeMs }), step);
+    assert.equal(totp.verifyCode(SECRET, '081804', { timeMs: timeMs + 30 * 1000 }), step);
+    assert.equal(totp.verifyCode(SECRET, '081804', { timeMs: timeMs + 60 * 1000 }), null);
+    assert.equal(
+      totp.verifyCode(SECRET, '081804', { timeMs: timeMs + 60 * 1000, window: 2 }),
+      step
+    );
+  });
+
+  it('rejects malformed codes', () => {
+    for (const code of ['', null, '12345', '1234567', 'abcdef']) {
+      assert.equal(totp.verifyCode(SECRET, code), null);
+    }
+  });
+
+  it('builds otpauth URIs for authenticator apps', () => {
+    assert.equal(
+      totp.buildOtpauthUri({ secret: SECRET, accountName: 'ada@x.io', issuer: 'Mail Server' }),
+      `otpauth://totp/Mail%20Server%3Aada%40x.io?secret=${SECRET}&issuer=Mail+Server&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});